@@ -0,0 +1,200 @@
+// backend/api.js
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+// --- Authentication ---
+// REST API calls carry one of the configured API_TOKENS as "Authorization: Bearer <token>".
+// Tokens are compared by their hashes, which have the same length and take the same time.
+const tokenHash = (token) => crypto.createHash('sha256').update(token).digest();
+
+const requireToken = (tokens) => {
+  const hashes = tokens.map(tokenHash);
+  return (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const given = scheme === 'Bearer' && token ? tokenHash(token) : null;
+    if (given && hashes.some(hash => crypto.timingSafeEqual(hash, given))) {
+      next();
+      return;
+    }
+    res.set('WWW-Authenticate', 'Bearer').status(401).json({ error: 'A valid API token is required.' });
+  };
+};
+
+// --- API Sender ---
+// POST /api/transfers sends an uploaded file to a device with nobody on the sending end,
+// so the server plays the sender itself: it speaks the data channel protocol of
+// frontend/src/lib/sender.js over the relay (the receiver accepts relay-only requests
+// with a relay connection of its own, see `transport` in file-request). One file, held
+// in memory, one data channel; the receiver's acks and resend requests pace it as usual.
+// The sender is a virtual user in server.js; events for it arrive through `handle`.
+
+const CONTROL = 'zap-control';
+const DATA = 'zap-data-0';
+const MAX_UNFORWARDED_BYTES = 1024 * 1024;
+const SEND_WINDOW_BYTES = 8 * 1024 * 1024;
+const MIN_SEND_WINDOW = 32; // chunks
+
+// [u32 fileIndex][u32 chunkIndex][32-byte SHA-256][...payload], see frontend/src/lib/protocol.js.
+// `compressed` frames carry `payload` compressed and the top bit of fileIndex set.
+const COMPRESSED_BIT = 0x80000000;
+const encodeChunk = (chunkIndex, payload, compressed = null) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(compressed ? COMPRESSED_BIT : 0, 0);
+  header.writeUInt32BE(chunkIndex, 4);
+  return Buffer.concat([header, crypto.createHash('sha256').update(payload).digest(), compressed || payload]);
+};
+
+// The formats of frontend/src/lib/compression.js, most preferred first. Whatever the
+// caller said the file is, the first chunk tells whether compressing it is worth it.
+const COMPRESSORS = { deflate: promisify(zlib.deflate), gzip: promisify(zlib.gzip) };
+const MIN_SAVING = 0.1;
+
+// `relay(message)` forwards one relay message to the receiver and resolves with the
+// relay's answer ({} or { error }); `log` is the transfer's logger (see logger.js).
+const createApiSender = ({ transferId, data, chunkSize, relay, log }) => {
+  const chunkCount = Math.ceil(data.length / chunkSize);
+  const digest = crypto.createHash('sha256').update(data).digest('hex');
+  const windowSize = Math.max(MIN_SEND_WINDOW, Math.ceil(SEND_WINDOW_BYTES / chunkSize));
+  let connection = null; // { id, sent, acked, paused, unforwarded, rewindTo, resends, running }
+  let compression = null; // Agreed on when the receiver accepts
+  let stopped = false;
+  let waiters = [];
+
+  const wake = () => {
+    const woken = waiters;
+    waiters = [];
+    woken.forEach(resolve => resolve());
+  };
+
+  const waitUntil = async (condition) => {
+    while (!condition()) {
+      await new Promise(resolve => waiters.push(resolve));
+    }
+  };
+
+  const isOpen = current => !stopped && connection === current;
+
+  const send = (current, type, label, payload = null) => {
+    const size = payload ? Buffer.byteLength(payload) : 0;
+    current.unforwarded += size;
+    return relay({ transferId, connectionId: current.id, type, label, payload }).then((result) => {
+      current.unforwarded -= size;
+      wake();
+      if (result.error && isOpen(current)) {
+        log.warn('The relay refused data from the API sender', { error: result.error });
+        stop();
+      }
+      return result;
+    });
+  };
+
+  const sendControl = (current, message) => send(current, 'message', CONTROL, JSON.stringify(message));
+
+  const chunk = index => data.subarray(index * chunkSize, Math.min((index + 1) * chunkSize, data.length));
+
+  const compressChunk = async (payload) => {
+    if (!compression) return null;
+    const compressed = await COMPRESSORS[compression](payload);
+    if (compressed.length <= payload.length * (1 - MIN_SAVING)) return compressed;
+    compression = null;
+    return null;
+  };
+
+  const sendChunk = async (current, index) => {
+    await waitUntil(() => !isOpen(current) || current.unforwarded < MAX_UNFORWARDED_BYTES);
+    if (!isOpen(current)) return false;
+    const payload = chunk(index);
+    send(current, 'message', DATA, encodeChunk(index, payload, await compressChunk(payload)));
+    current.sent += 1;
+    return true;
+  };
+
+  // One pass at a time per connection; resend requests that come in meanwhile join it.
+  const pump = async (current) => {
+    if (current.running) return;
+    current.running = true;
+    while (isOpen(current) && (current.rewindTo !== null || current.resends.length > 0)) {
+      if (current.resends.length > 0) {
+        await sendChunk(current, current.resends.shift());
+        continue;
+      }
+      const first = current.rewindTo;
+      current.rewindTo = null;
+      for (let index = first; index < chunkCount; index++) {
+        await waitUntil(() => !isOpen(current) || current.rewindTo !== null || current.resends.length > 0
+          || (!current.paused && current.sent - current.acked < windowSize));
+        if (!isOpen(current) || current.rewindTo !== null) break;
+        while (current.resends.length > 0) await sendChunk(current, current.resends.shift());
+        await sendChunk(current, index);
+      }
+      if (isOpen(current) && current.rewindTo === null) {
+        sendControl(current, { type: 'file-end', index: 0, chunkCount, digest });
+        sendControl(current, { type: 'transfer-end' });
+      }
+    }
+    current.running = false;
+  };
+
+  const start = async (connectionId) => {
+    const current = { id: connectionId, sent: 0, acked: 0, paused: false, unforwarded: 0, rewindTo: 0, resends: [], running: false };
+    connection = current;
+    for (const label of [CONTROL, DATA]) {
+      const { error } = await send(current, 'open', label);
+      if (error) return;
+    }
+    sendControl(current, { type: 'transfer-start', chunkSize, channels: 1, compression });
+    pump(current);
+  };
+
+  const handleControl = (current, message) => {
+    if (message.type === 'ack') {
+      current.acked = Math.max(current.acked, message.consumed);
+    } else if (message.type === 'chunk-resend') {
+      if (message.restart) {
+        current.rewindTo = 0;
+        current.resends = [];
+      } else {
+        current.resends.push(message.chunkIndex);
+      }
+      pump(current);
+    } else if (message.type === 'transfer-pause' || message.type === 'transfer-continue') {
+      current.paused = message.type === 'transfer-pause';
+    } else if (message.type === 'transfer-failed' || message.type === 'transfer-cancel') {
+      stop();
+    }
+    wake();
+  };
+
+  const stop = () => {
+    stopped = true;
+    wake();
+  };
+
+  // Events the server delivers to the virtual sender. 'transfer-ended' comes last, once
+  // the session is gone for whatever reason (see endTransferSession).
+  const handle = (event, payload) => {
+    if (event === 'file-accept') {
+      compression = Object.keys(COMPRESSORS).find(format => payload.compression?.includes(format)) || null;
+      if (payload.relayId) start(payload.relayId);
+    } else if (event === 'relay') {
+      const current = connection;
+      if (!current || payload.connectionId !== current.id || payload.label !== CONTROL || typeof payload.payload !== 'string') return;
+      try {
+        handleControl(current, JSON.parse(payload.payload));
+      } catch {
+        // Not a control message; ignore it like the browsers do.
+      }
+    } else if (['file-reject', 'transfer-cancel', 'transfer-closed', 'transfer-ended'].includes(event)) {
+      stop();
+    }
+  };
+
+  return { handle, stop };
+};
+
+module.exports = {
+  requireToken,
+  createApiSender,
+};
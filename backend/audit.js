@@ -0,0 +1,71 @@
+// backend/audit.js
+
+const fs = require('fs');
+const path = require('path');
+
+// --- Audit Log ---
+// Who sent what to whom: joins, nickname changes and every transfer request, answer and
+// outcome, with the file names and sizes and both devices (see `audit` calls in server.js).
+// Records are JSON lines, { time, event, ...fields }, appended to one file per UTC day
+// (audit-2026-01-31.jsonl) in AUDIT_LOG_DIR. Nothing is ever rewritten; whole files are
+// deleted once they are older than the retention period (never, with 0 days).
+
+const DAY = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+const dayOf = date => date.toISOString().slice(0, 10);
+
+// Returns `{ record(event, fields), close() }`. Without a directory, records go nowhere.
+// Writes are synchronous: there are few of them, and none is lost when the process exits.
+const createAuditLog = ({ dir, retentionDays, log }) => {
+  if (!dir) return { record: () => {}, close: () => {} };
+  fs.mkdirSync(dir, { recursive: true });
+  let day = null;
+  let fd = null;
+
+  const prune = () => {
+    const oldest = dayOf(new Date(Date.now() - retentionDays * DAY));
+    try {
+      for (const name of fs.readdirSync(dir)) {
+        const match = FILE_PATTERN.exec(name);
+        if (match && match[1] < oldest) {
+          fs.unlinkSync(path.join(dir, name));
+          log.info('Deleted an expired audit log', { file: name });
+        }
+      }
+    } catch (error) {
+      log.error('Could not prune the audit log', { error });
+    }
+  };
+
+  const record = (event, fields) => {
+    const now = new Date();
+    try {
+      if (dayOf(now) !== day) {
+        if (fd !== null) fs.closeSync(fd);
+        fd = null;
+        fd = fs.openSync(path.join(dir, `audit-${dayOf(now)}.jsonl`), 'a', 0o640);
+        day = dayOf(now);
+      }
+      fs.writeSync(fd, `${JSON.stringify({ time: now.toISOString(), event, ...fields })}\n`);
+    } catch (error) {
+      log.error('Could not write to the audit log', { error, event });
+    }
+  };
+
+  if (retentionDays > 0) {
+    prune();
+    setInterval(prune, DAY).unref();
+  }
+  log.info('Audit log enabled', { dir, retentionDays });
+
+  const close = () => {
+    if (fd !== null) fs.closeSync(fd);
+    fd = null;
+    day = null;
+  };
+
+  return { record, close };
+};
+
+module.exports = { createAuditLog };
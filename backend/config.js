@@ -0,0 +1,204 @@
+// backend/config.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { LEVELS } = require('./logger');
+
+// --- Runtime Configuration ---
+// Settings clients fetch from GET /api/config at startup, and the server enforces
+// itself. They are read once, from the JSON file named by ZAP_CONFIG_FILE (if any),
+// with environment variables taking precedence:
+//
+//   ICE_SERVERS            STUN/TURN servers: comma-separated URLs, or a JSON array of
+//                          RTCIceServer objects. Empty for none (e.g. an air-gapped LAN).
+//   TURN_URLS, TURN_SECRET TURN servers that share TURN_SECRET with the server (coturn's
+//                          use-auth-secret); clients get short-lived credentials for them.
+//   TURN_CREDENTIAL_TTL_S  How long those credentials are valid, in seconds.
+//   CHUNK_SIZE             Largest chunk senders may use, in bytes.
+//   MAX_FILE_SIZE          Largest file that may be offered, in bytes.
+//   ALLOWED_FILE_TYPES     Comma-separated MIME types ("image/*", "application/pdf") or
+//                          extensions (".zip"). Empty allows everything.
+//   MAX_PREVIEW_SIZE       Largest preview a transfer request may carry, in bytes. 0 for none.
+//   DISABLED_FEATURES      Comma-separated features to turn off, see FEATURES.
+//
+// Server-only settings, never sent to clients:
+//
+//   API_TOKENS             Comma-separated bearer tokens for the REST API (see api.js).
+//                          Without any, the API is off.
+//   API_MAX_UPLOAD_BYTES   Largest file POST /api/transfers accepts; it is held in memory.
+//   WEBHOOK_URLS           Comma-separated URLs that get transfer events (see webhooks.js),
+//   WEBHOOK_SECRET         signed with this secret,
+//   WEBHOOK_EVENTS         limited to these comma-separated events (default all).
+//   METRICS_TOKEN          Bearer token GET /metrics asks for. Without one, it is open.
+//   LOG_LEVEL              debug, info (default), warn or error (see logger.js).
+//   LOG_FORMAT             json (default), or text for people reading along.
+//   AUDIT_LOG_DIR          Where the audit log is kept (see audit.js). Without it, there is none.
+//   AUDIT_RETENTION_DAYS   How many days of audit log to keep (default 90, 0 keeps all).
+//   REDIS_URL              Redis (or Valkey) that several instances share their state
+//                          through (see store.js). Without it, one instance runs alone.
+//
+// The file uses the same settings in camelCase: { iceServers, turn: { urls, secret,
+// ttl }, chunkSize, maxFileSize, allowedFileTypes, maxPreviewSize, features: { relay: false },
+// apiTokens, apiMaxUploadBytes, webhooks: [{ url, secret, events }], metricsToken, logLevel,
+// logFormat, auditLogDir, auditRetentionDays, redisUrl }.
+
+const FEATURES = ['rooms', 'pairing', 'relay', 'messages'];
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+const DEFAULT_CHUNK_SIZE = 256 * 1024;
+const MIN_CHUNK_SIZE = 16 * 1024; // Every browser can send this much in one message
+const MAX_CHUNK_SIZE = 1024 * 1024;
+const DEFAULT_PREVIEW_SIZE = 64 * 1024;
+const MAX_PREVIEW_SIZE = 512 * 1024; // Previews travel with every copy of the request
+const DEFAULT_TURN_CREDENTIAL_TTL = 24 * 60 * 60; // seconds
+const DEFAULT_API_MAX_UPLOAD = 64 * 1024 * 1024;
+const DEFAULT_AUDIT_RETENTION_DAYS = 90;
+const LOG_FORMATS = ['json', 'text'];
+const WEBHOOK_EVENTS = ['transfer.requested', 'transfer.accepted', 'transfer.completed', 'transfer.failed'];
+
+// Events that belong to a feature, and are refused while it is turned off.
+const EVENT_FEATURES = {
+  'room-join': 'rooms',
+  'pair-create': 'pairing',
+  'pair-join': 'pairing',
+  relay: 'relay',
+  message: 'messages',
+};
+
+const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const parseIceServers = (value) => (value.trim().startsWith('[') ? JSON.parse(value) : list(value).map(urls => ({ urls })));
+
+const readConfigFile = (path) => (path ? JSON.parse(fs.readFileSync(path, 'utf8')) : {});
+
+// One list of { url, secret, events } from either the environment or the file.
+const loadWebhooks = (env, file) => {
+  const hooks = env.WEBHOOK_URLS !== undefined
+    ? list(env.WEBHOOK_URLS).map(url => ({ url, secret: env.WEBHOOK_SECRET, events: env.WEBHOOK_EVENTS && list(env.WEBHOOK_EVENTS) }))
+    : file.webhooks || [];
+  return hooks.map(({ url, secret = null, events }) => {
+    if (!/^https?:$/.test(new URL(url).protocol)) throw new Error(`Webhook URLs must use http or https: ${url}`);
+    const unknown = (events || []).find(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown) throw new Error(`Unknown webhook event: ${unknown}`);
+    return { url, secret: secret || null, events: events?.length ? events : WEBHOOK_EVENTS };
+  });
+};
+
+// Throws on settings that make no sense, so a bad deployment fails at startup.
+const loadConfig = (env = process.env) => {
+  const file = readConfigFile(env.ZAP_CONFIG_FILE);
+
+  const chunkSize = Number(env.CHUNK_SIZE) || file.chunkSize || DEFAULT_CHUNK_SIZE;
+  if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+    throw new Error(`CHUNK_SIZE must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`);
+  }
+
+  const features = Object.fromEntries(FEATURES.map(feature => [feature, file.features?.[feature] !== false]));
+  for (const feature of list(env.DISABLED_FEATURES || '')) {
+    if (!FEATURES.includes(feature)) throw new Error(`Unknown feature in DISABLED_FEATURES: ${feature}`);
+    features[feature] = false;
+  }
+
+  const turn = {
+    urls: env.TURN_URLS !== undefined ? list(env.TURN_URLS) : file.turn?.urls || [],
+    secret: env.TURN_SECRET || file.turn?.secret || null,
+    ttl: Number(env.TURN_CREDENTIAL_TTL_S) || file.turn?.ttl || DEFAULT_TURN_CREDENTIAL_TTL,
+  };
+  if (turn.urls.length > 0 && !turn.secret) throw new Error('TURN_URLS needs TURN_SECRET');
+
+  const logLevel = env.LOG_LEVEL || file.logLevel || 'info';
+  if (!LEVELS[logLevel]) throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')}`);
+  const logFormat = env.LOG_FORMAT || file.logFormat || 'json';
+  if (!LOG_FORMATS.includes(logFormat)) throw new Error(`LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')}`);
+  const maxPreviewSize = env.MAX_PREVIEW_SIZE ? Number(env.MAX_PREVIEW_SIZE) : file.maxPreviewSize ?? DEFAULT_PREVIEW_SIZE;
+  if (!Number.isInteger(maxPreviewSize) || maxPreviewSize < 0 || maxPreviewSize > MAX_PREVIEW_SIZE) {
+    throw new Error(`MAX_PREVIEW_SIZE must be between 0 and ${MAX_PREVIEW_SIZE} bytes`);
+  }
+  const auditRetentionDays = env.AUDIT_RETENTION_DAYS ? Number(env.AUDIT_RETENTION_DAYS) : file.auditRetentionDays ?? DEFAULT_AUDIT_RETENTION_DAYS;
+  if (!Number.isInteger(auditRetentionDays) || auditRetentionDays < 0) throw new Error('AUDIT_RETENTION_DAYS must be a whole number of days');
+
+  return {
+    iceServers: env.ICE_SERVERS !== undefined ? parseIceServers(env.ICE_SERVERS) : file.iceServers || DEFAULT_ICE_SERVERS,
+    turn,
+    chunkSize,
+    maxFileSize: Number(env.MAX_FILE_SIZE) || file.maxFileSize || null,
+    allowedFileTypes: (env.ALLOWED_FILE_TYPES !== undefined ? list(env.ALLOWED_FILE_TYPES) : file.allowedFileTypes || []).map(type => type.toLowerCase()),
+    maxPreviewSize,
+    features,
+    apiTokens: env.API_TOKENS !== undefined ? list(env.API_TOKENS) : file.apiTokens || [],
+    apiMaxUploadBytes: Number(env.API_MAX_UPLOAD_BYTES) || file.apiMaxUploadBytes || DEFAULT_API_MAX_UPLOAD,
+    webhooks: loadWebhooks(env, file),
+    metricsToken: env.METRICS_TOKEN || file.metricsToken || null,
+    logLevel,
+    logFormat,
+    auditLogDir: env.AUDIT_LOG_DIR || file.auditLogDir || null,
+    auditRetentionDays,
+    redisUrl: env.REDIS_URL || file.redisUrl || null,
+  };
+};
+
+// --- TURN Credentials ---
+// The TURN REST API scheme: the username is the expiry time, the password an HMAC of it
+// with the shared secret, so the TURN server can check it without asking us.
+const turnCredentials = ({ secret, ttl }, now = Date.now()) => {
+  const expiresAt = Math.floor(now / 1000) + ttl;
+  const username = `${expiresAt}:zap`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential, expiresAt: expiresAt * 1000 };
+};
+
+// What GET /api/config returns. With TURN set up, every call hands out fresh credentials,
+// and `credentialsExpireAt` tells the client when to fetch new ones.
+const clientConfig = (config) => {
+  const iceServers = [...config.iceServers];
+  let credentialsExpireAt = null;
+  if (config.turn.urls.length > 0) {
+    const { username, credential, expiresAt } = turnCredentials(config.turn);
+    iceServers.push({ urls: config.turn.urls, username, credential });
+    credentialsExpireAt = expiresAt;
+  }
+  const { chunkSize, maxFileSize, allowedFileTypes, maxPreviewSize, features } = config;
+  return { iceServers, credentialsExpireAt, chunkSize, maxFileSize, allowedFileTypes, maxPreviewSize, features };
+};
+
+// --- Checks ---
+const isEventEnabled = (config, event) => !(event in EVENT_FEATURES) || config.features[EVENT_FEATURES[event]];
+
+// Whether a manifest file matches ALLOWED_FILE_TYPES, by MIME type or by extension.
+const isAllowedFileType = (config, { name, type = '' }) => {
+  if (config.allowedFileTypes.length === 0) return true;
+  const mime = type.toLowerCase();
+  const fileName = name.toLowerCase();
+  return config.allowedFileTypes.some((allowed) => {
+    if (allowed.startsWith('.')) return fileName.endsWith(allowed);
+    if (allowed.endsWith('/*')) return mime.startsWith(allowed.slice(0, -1));
+    return mime === allowed;
+  });
+};
+
+// Image previews are shown by the receiver as they are, so only raster images get through.
+const IMAGE_PREVIEW = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+const previewProblem = (config, manifest) => {
+  const { preview } = manifest;
+  if (!preview) return null;
+  if (Buffer.byteLength(preview.data) > config.maxPreviewSize) return 'The preview is larger than this server allows.';
+  if (preview.fileIndex >= manifest.files.length) return 'The preview is of a file that is not offered.';
+  if (preview.kind === 'image' && !IMAGE_PREVIEW.test(preview.data)) return 'The preview is not an image.';
+  return null;
+};
+
+// Why the server refuses a manifest, or null if it may be offered.
+const manifestProblem = (config, manifest) => {
+  for (const file of manifest.files) {
+    if (config.maxFileSize && file.size > config.maxFileSize) return `${file.name} is larger than this server allows.`;
+    if (!isAllowedFileType(config, file)) return `${file.name} is not a file type this server allows.`;
+  }
+  return previewProblem(config, manifest);
+};
+
+module.exports = {
+  loadConfig,
+  clientConfig,
+  isEventEnabled,
+  manifestProblem,
+};
@@ -0,0 +1,46 @@
+// backend/logger.js
+
+// --- Logging ---
+// Every entry is one JSON object per line on stdout, { time, level, msg, ...fields }, so a
+// log collector can index and filter it. LOG_FORMAT=text prints the same entries as
+// readable lines for development. Child loggers add correlation fields to every entry:
+// server.js gives each connection its `socketId` (and `deviceId` once it joined), each
+// transfer its `transferId` and each REST call a `requestId`.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't survive JSON.stringify on their own.
+const serialize = (key, value) => (value instanceof Error ? { message: value.message, stack: value.stack } : value);
+
+const formatText = ({ time, level, msg, ...fields }) => {
+  const pairs = Object.entries(fields).filter(([, value]) => value !== undefined).map(([key, value]) => {
+    if (typeof value !== 'string') return `${key}=${JSON.stringify(value, serialize)}`;
+    return `${key}=${/[\s"]/.test(value) ? JSON.stringify(value) : value}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(' ');
+};
+
+const createLogger = ({ level = 'info', format = 'json', stream = process.stdout } = {}) => {
+  const threshold = LEVELS[level];
+
+  const write = (entryLevel, msg, fields) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields };
+    stream.write(`${format === 'text' ? formatText(entry) : JSON.stringify(entry, serialize)}\n`);
+  };
+
+  const withFields = (base) => ({
+    debug: (msg, fields) => write('debug', msg, { ...base, ...fields }),
+    info: (msg, fields) => write('info', msg, { ...base, ...fields }),
+    warn: (msg, fields) => write('warn', msg, { ...base, ...fields }),
+    error: (msg, fields) => write('error', msg, { ...base, ...fields }),
+    child: fields => withFields({ ...base, ...fields }),
+  });
+
+  return withFields({});
+};
+
+module.exports = {
+  LEVELS,
+  createLogger,
+};
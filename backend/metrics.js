@@ -0,0 +1,56 @@
+// backend/metrics.js
+
+// --- Metrics ---
+// Just enough of a Prometheus client for GET /metrics: counters the server increments
+// and gauges read when the endpoint is scraped, rendered in the text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/). Label values must come
+// from a fixed set (event names, outcomes), never from clients, or the series never end.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const createRegistry = () => {
+  const metrics = [];
+
+  // `known` lists label sets to report as 0 before they first happen, so rates and
+  // alerts work from the start.
+  const counter = (name, help, known = []) => {
+    const samples = new Map(); // formatted labels -> value
+    const inc = (labels = {}, by = 1) => {
+      const key = formatLabels(labels);
+      samples.set(key, (samples.get(key) || 0) + by);
+    };
+    known.forEach(labels => inc(labels, 0));
+    metrics.push({ name, help, type: 'counter', samples: () => [...samples] });
+    return { inc };
+  };
+
+  // `collect()` returns the current value, or [{ labels, value }] for several series.
+  const gauge = (name, help, collect) => {
+    const samples = () => {
+      const value = collect();
+      return Array.isArray(value) ? value.map(sample => [formatLabels(sample.labels), sample.value]) : [['', value]];
+    };
+    metrics.push({ name, help, type: 'gauge', samples });
+  };
+
+  const render = () => metrics.map(({ name, help, type, samples }) => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples().map(([labels, value]) => `${name}${labels} ${value}`),
+  ].join('\n')).join('\n') + '\n';
+
+  return { counter, gauge, render };
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  createRegistry,
+};
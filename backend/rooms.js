@@ -0,0 +1,161 @@
+// backend/rooms.js
+
+const crypto = require('crypto');
+const net = require('net');
+
+// --- Rooms ---
+// Every user is in exactly one room and only sees (and can only reach) the users in it.
+//
+//   net:<network>   joined automatically, one per network the server sees users coming from
+//   room:<name>     created by whoever joins a name first, optionally protected with a code
+//   pair:<token>    two devices paired with a short code (see the pairing events in server.js)
+//
+// Room IDs double as socket.io room names. Named and pairing rooms are kept in a table of
+// the shared store (see store.js), so every server instance knows them. Who is in a room
+// is up to server.js: a user's entry names its room, and `hasMembers` tells rooms.js
+// whether anybody is still in one. Wrong room codes are counted per client address in
+// another table, so neither a new socket nor another instance gets fresh guesses.
+
+const MAX_ROOM_NAME_LENGTH = 32;
+const MAX_ROOM_CODE_LENGTH = 64;
+const MAX_CODE_ATTEMPTS = 5; // Wrong codes per client address...
+const CODE_ATTEMPT_WINDOW = 60 * 1000; // ...within this window, before further tries are refused
+
+// --- Network Rooms ---
+const PRIVATE_IPV4_RANGES = [
+  ['10.0.0.0', 8],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['169.254.0.0', 16],
+];
+
+const ipv4ToInt = (address) => address.split('.').reduce((value, octet) => (value << 8) + Number(octet), 0) >>> 0;
+
+const inIpv4Range = (address, [base, bits]) => {
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (ipv4ToInt(address) & mask) === (ipv4ToInt(base) & mask);
+};
+
+// Expands `fe80::1` and friends to eight 4-digit groups.
+const expandIpv6 = (address) => {
+  const [head, tail = ''] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = address.includes('::') && tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...Array(Math.max(0, missing)).fill('0'), ...tailGroups].map(group => group.padStart(4, '0'));
+};
+
+// The part of an address that devices on the same network share. Behind NAT that is
+// the public IP itself; when the server runs inside the LAN it sees private addresses,
+// which are grouped by /24 subnet. IPv6 networks are /64 prefixes.
+const networkKeyFor = (rawAddress) => {
+  const address = String(rawAddress || '').replace(/^::ffff:/, '');
+  if (address === '::1' || address.startsWith('127.')) return 'localhost';
+  if (net.isIPv4(address)) {
+    const isPrivate = PRIVATE_IPV4_RANGES.some(range => inIpv4Range(address, range));
+    return isPrivate ? `${address.split('.').slice(0, 3).join('.')}.0/24` : address;
+  }
+  if (net.isIPv6(address)) return `${expandIpv6(address).slice(0, 4).join(':')}::/64`;
+  return 'unknown';
+};
+
+// Behind a reverse proxy, the client's address is in X-Forwarded-For instead.
+const clientAddress = (socket, trustProxy) => {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (trustProxy && typeof forwarded === 'string') return forwarded.split(',')[0].trim();
+  return socket.handshake.address;
+};
+
+const networkRoomFor = (socket, trustProxy) => `net:${networkKeyFor(clientAddress(socket, trustProxy))}`;
+
+// --- Named Rooms ---
+const hashCode = (salt, code) => crypto.createHash('sha256').update(salt).update(code).digest();
+
+const normalizeRoomName = (name) => (typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '');
+
+// `privateRooms` is the store table of named and pairing rooms:
+// room ID -> { kind: 'named' | 'paired', name, salt, codeHash } (salt and hash in hex).
+// `codeAttempts` is the one of wrong codes: client address -> { count, resetAt }.
+const createRooms = (privateRooms, codeAttempts, hasMembers) => {
+  const isThrottled = (address) => {
+    const attempts = codeAttempts.get(address);
+    if (!attempts || attempts.resetAt < Date.now()) return false;
+    return attempts.count >= MAX_CODE_ATTEMPTS;
+  };
+
+  const recordFailedAttempt = (address) => {
+    const attempts = codeAttempts.get(address);
+    if (!attempts || attempts.resetAt < Date.now()) {
+      codeAttempts.set(address, { count: 1, resetAt: Date.now() + CODE_ATTEMPT_WINDOW });
+    } else {
+      codeAttempts.set(address, { ...attempts, count: attempts.count + 1 });
+    }
+  };
+
+  // Forgets counts whose window is over; the sweep's leader calls it.
+  const dropExpiredAttempts = (now = Date.now()) => {
+    for (const [address, attempts] of codeAttempts.entries()) {
+      if (attempts.resetAt <= now) codeAttempts.delete(address);
+    }
+  };
+
+  // Joins the named room, creating it (with `code`, if given) when nobody is in it yet.
+  // `address` is the client's, see clientAddress. Returns { roomId } or { error }.
+  const joinNamedRoom = (rawName, rawCode, address) => {
+    const name = normalizeRoomName(rawName);
+    const code = typeof rawCode === 'string' ? rawCode : '';
+    if (!name || name.length > MAX_ROOM_NAME_LENGTH) return { error: `Room names are 1 to ${MAX_ROOM_NAME_LENGTH} characters long.` };
+    if (code.length > MAX_ROOM_CODE_LENGTH) return { error: `Room codes are at most ${MAX_ROOM_CODE_LENGTH} characters long.` };
+
+    const roomId = `room:${name.toLowerCase()}`;
+    const room = privateRooms.get(roomId);
+    if (!room) {
+      const salt = crypto.randomBytes(16);
+      privateRooms.set(roomId, { kind: 'named', name, salt: salt.toString('hex'), codeHash: code ? hashCode(salt, code).toString('hex') : null });
+      return { roomId, created: true };
+    }
+    if (room.codeHash) {
+      if (isThrottled(address)) return { error: 'Too many wrong codes. Try again in a minute.' };
+      if (!crypto.timingSafeEqual(hashCode(Buffer.from(room.salt, 'hex'), code), Buffer.from(room.codeHash, 'hex'))) {
+        recordFailedAttempt(address);
+        return { error: 'Wrong room code.' };
+      }
+    }
+    return { roomId, created: false };
+  };
+
+  // --- Pairing Rooms ---
+  // Only reachable through the token handed out with a pairing code, so they need no code of their own.
+  const openPairingRoom = (token) => {
+    const roomId = `pair:${token}`;
+    privateRooms.set(roomId, { kind: 'paired', name: 'Paired devices', salt: null, codeHash: null });
+    return roomId;
+  };
+
+  // Lets a paired device back in after a reconnect, as long as the other one is still there.
+  const rejoinPairingRoom = (token) => {
+    const roomId = `pair:${token}`;
+    return privateRooms.get(roomId)?.kind === 'paired' ? roomId : null;
+  };
+
+  // Named and pairing rooms disappear with their last member; call it once somebody left.
+  const leaveRoom = (roomId) => {
+    if (privateRooms.has(roomId) && !hasMembers(roomId)) privateRooms.delete(roomId);
+  };
+
+  // What a client gets to know about its room.
+  const describeRoom = (roomId) => {
+    const room = privateRooms.get(roomId);
+    if (room) return { id: roomId, kind: room.kind, name: room.name, protected: Boolean(room.codeHash) };
+    return { id: roomId, kind: 'network', name: 'This network', protected: false };
+  };
+
+  return { joinNamedRoom, dropExpiredAttempts, openPairingRoom, rejoinPairingRoom, leaveRoom, describeRoom };
+};
+
+module.exports = {
+  networkKeyFor,
+  clientAddress,
+  networkRoomFor,
+  createRooms,
+};
@@ -1,9 +1,19 @@
 // backend/server.js
 
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const { clientAddress, networkRoomFor, createRooms } = require('./rooms');
+const { validatePayload } = require('./validation');
+const { loadConfig, clientConfig, isEventEnabled, manifestProblem } = require('./config');
+const { requireToken, createApiSender } = require('./api');
+const { createWebhooks } = require('./webhooks');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createRegistry } = require('./metrics');
+const { createLogger } = require('./logger');
+const { createAuditLog } = require('./audit');
+const { createStore } = require('./store');
 
 // --- Server Setup ---
 const app = express();
@@ -15,108 +25,1085 @@ const io = new Server(server, {
     origin: "*", // Allow all origins for simplicity. For production, restrict this to your frontend's URL.
     methods: ["GET", "POST"],
   },
-  maxHttpBufferSize: 1e8, // 100 MB
+  maxHttpBufferSize: 1e8, // 100 MB, for large manifests. Relayed data has its own, tighter limits.
 });
 
-// --- In-Memory State Management ---
-let users = {}; // Store { socketId: { nickname: { name: 'Lion', emoji: '🦁' } } }
+// --- Configuration ---
+const config = loadConfig(); // What clients are told at startup, see config.js
+const log = createLogger({ level: config.logLevel, format: config.logFormat });
+const audit = createAuditLog({ dir: config.auditLogDir, retentionDays: config.auditRetentionDays, log });
+const PENDING_TRANSFER_TIMEOUT = Number(process.env.PENDING_TRANSFER_TIMEOUT_MS) || 60 * 1000; // How long a request may go unanswered
+const DETACHED_TRANSFER_TIMEOUT = Number(process.env.DETACHED_TRANSFER_TIMEOUT_MS) || 2 * 60 * 1000; // How long a running transfer waits for a party to reconnect
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true'; // Take client addresses from X-Forwarded-For
+const DEVICE_RECONNECT_GRACE = Number(process.env.DEVICE_RECONNECT_GRACE_MS) || 30 * 1000; // How long a disconnected device stays listed
+const MAX_OUTBOX_EVENTS = 200; // Events held for a reconnecting device, at most
+const PAIRING_CODE_TTL = Number(process.env.PAIRING_CODE_TTL_MS) || 2 * 60 * 1000; // How long a pairing code can be used
+const RELAY_BYTES_PER_SECOND = Number(process.env.RELAY_BYTES_PER_SECOND) || 4 * 1024 * 1024; // Relay bandwidth per transfer
+const RELAY_MAX_SESSION_BYTES = Number(process.env.RELAY_MAX_SESSION_BYTES) || 2 * 1024 * 1024 * 1024; // Relayed bytes per transfer
+const RELAY_MAX_MESSAGE_BYTES = config.chunkSize + 1024; // A chunk plus its frame header
+const MAX_FINISHED_TRANSFERS = 500; // Finished transfers GET /api/transfers still lists
+const MAX_PAIRING_ATTEMPTS = 5; // Wrong pairing codes per client address...
+const PAIRING_ATTEMPT_WINDOW = 5 * 60 * 1000; // ...within this window, before further tries are refused
+const SHUTDOWN_TIMEOUT = 10 * 1000; // How long a shutdown waits for connections to close
+const SWEEP_INTERVAL = 1000; // How often expired requests, devices and pairing codes are cleaned up
+
+// --- Shared State ---
+// Everything the server instances must agree on is in the store (see store.js), so each
+// of them knows every device, room, pairing code and transfer. What belongs to one
+// instance only (its sockets, API senders and relay pacing) stays in plain Maps.
+const store = createStore({ redisUrl: config.redisUrl, log });
+const users = store.table('users'); // Store { socketId: { deviceId, nickname: { name: 'Lion', emoji: '🦁' }, fingerprint, room: 'net:203.0.113.7', networkRoom, node, offline, offlineSince, virtual } }
+const outboxes = store.list('outbox'); // socket ID -> [event, payload] entries held for a reconnecting device
+const notifyWebhooks = createWebhooks(config.webhooks, log);
+
+// --- Metrics ---
+// Served by GET /metrics. Transfers are counted once they end, by outcome: 'completed',
+// a reason the server saw for itself (see endTransferSession), or 'failed' for a failure
+// a device reported, whatever reason it gave. Devices and transfers in progress are those
+// of all instances; everything else is this instance's.
+const TRANSFER_OUTCOMES = ['completed', 'rejected', 'cancelled', 'expired', 'peer-disconnected', 'relay-limit', 'resume-rejected', 'failed'];
+const metrics = createRegistry();
+const signallingEvents = metrics.counter('zap_signalling_events_total', 'Socket.io events received from clients, by event.');
+const rejectedEvents = metrics.counter('zap_rejected_events_total', 'Events the server refused, by event and reason (invalid, not-joined, disabled, refused).');
+const transferOutcomes = metrics.counter('zap_transfer_requests_total', 'Finished transfer requests, by outcome.', TRANSFER_OUTCOMES.map(outcome => ({ outcome })));
+const relayedBytes = metrics.counter('zap_relayed_bytes_total', 'Bytes forwarded through the relay.', [{}]);
+metrics.gauge('zap_connected_sockets', 'Open Socket.io connections.', () => io.of('/').sockets.size);
+metrics.gauge('zap_registered_users', 'Devices that joined with a nickname, on all instances, by state (online, reconnecting).', () => {
+  const devices = [...users.values()].filter(user => !user.virtual);
+  const reconnecting = devices.filter(user => user.offline).length;
+  return [{ labels: { state: 'online' }, value: devices.length - reconnecting }, { labels: { state: 'reconnecting' }, value: reconnecting }];
+});
+metrics.gauge('zap_transfers', 'Transfers in progress on all instances, by state.', () => ['pending', 'accepted', 'active'].map(state => ({
+  labels: { state },
+  value: [...transferSessions.values()].filter(session => session.state === state).length,
+})));
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', () => process.memoryUsage().rss);
+metrics.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds.', () => Math.round(Date.now() / 1000 - process.uptime()));
+
+// --- Devices ---
+// Clients send a secret device token with `user-joined`; its hash is the device ID
+// everyone else sees, so nobody can pose as another device by copying its ID. A device
+// that disconnects stays listed (as reconnecting) for DEVICE_RECONNECT_GRACE, and what
+// is sent to it meanwhile waits in its outbox. When it comes back in time, to any
+// instance, its new socket takes over the old entry: room, pairing code, transfers and outbox.
+const deviceIdFor = (secret) => crypto.createHash('sha256').update(secret).digest('hex').slice(0, 32);
+
+const findUserByDevice = (deviceId) => [...users.keys()].find(id => users.get(id).deviceId === deviceId);
+
+// Sends an event to a user, holding it back while the user is reconnecting. Virtual
+// users (the REST API's senders) have no socket and get their events handed over.
+const deliver = (socketId, event, payload) => {
+  const user = users.get(socketId);
+  if (user?.virtual) {
+    handOverToApiSender(socketId, event, payload);
+    return;
+  }
+  if (user?.offline) {
+    outboxes.push(socketId, [event, payload], MAX_OUTBOX_EVENTS);
+    return;
+  }
+  io.to(socketId).emit(event, payload);
+};
+
+// A device whose connection is gone, and which may still come back.
+const markOffline = (socketId) => {
+  detachFromTransferSessions(socketId);
+  const user = users.get(socketId);
+  user.offline = true;
+  user.offlineSince = Date.now();
+  users.set(socketId, user);
+  broadcastUserList(user.room);
+};
+
+// A device that did not come back in time.
+const removeDevice = (socketId) => {
+  const user = users.get(socketId);
+  users.delete(socketId);
+  outboxes.delete(socketId);
+  log.info('Device left', { socketId, deviceId: user.deviceId, room: user.room });
+  leaveRoom(user.room);
+  dropPairingCodesOf(socketId);
+  abandonTransferSessions(socketId);
+  // Broadcast the updated user list to the remaining members of the room
+  broadcastUserList(user.room);
+};
+
+// --- Rooms ---
+// Users only see, and can only send to, the users in their own room (see rooms.js).
+const { joinNamedRoom, dropExpiredAttempts, openPairingRoom, rejoinPairingRoom, leaveRoom, describeRoom } = createRooms(
+  store.table('rooms'),
+  store.table('room-code-attempts'),
+  roomId => [...users.values()].some(user => user.room === roomId),
+);
+
+const sameRoom = (a, b) => Boolean(users.get(a) && users.get(b) && users.get(a).room === users.get(b).room);
+
+const broadcastUserList = (roomId) => {
+  const members = [...users.entries()].filter(([, user]) => user.room === roomId);
+  io.to(roomId).emit('update-user-list', members.map(([id, user]) => ({
+    id,
+    deviceId: user.deviceId,
+    nickname: user.nickname,
+    fingerprint: user.fingerprint,
+    reconnecting: user.offline,
+  })));
+};
+
+// The socket may be connected to another instance; the adapter passes the change on. One
+// of ours changes at once, so it gets what is broadcast to its new room right after.
+const changeSocketRooms = (socketId, join, leave) => {
+  const socket = io.sockets.sockets.get(socketId);
+  if (socket) {
+    if (leave) socket.leave(leave);
+    socket.join(join);
+    return;
+  }
+  if (leave) io.in(socketId).socketsLeave(leave);
+  io.in(socketId).socketsJoin(join);
+};
+
+const moveToRoom = (socketId, roomId) => {
+  const user = users.get(socketId);
+  const previous = user.room;
+  if (previous === roomId) return;
+  user.room = roomId;
+  users.set(socketId, user);
+  changeSocketRooms(socketId, roomId, previous);
+  if (previous) {
+    leaveRoom(previous);
+    broadcastUserList(previous);
+  }
+  broadcastUserList(roomId);
+  io.to(socketId).emit('room-update', describeRoom(roomId));
+};
+
+// --- Device Pairing ---
+// A device asks for a 6-digit code and shows it (and a QR code with the matching token).
+// The first other device to enter the code, or open the QR link, lands in a private
+// pairing room with it. Codes are single use and expire; guessing is limited per
+// client address, since a new socket is cheap.
+const pairingCodes = store.table('pairing'); // code -> { token, socketId, expiresAt }
+const pairingAttempts = store.table('pairing-attempts'); // client address -> { count, resetAt }
+
+const generatePairingCode = () => {
+  let code;
+  do {
+    code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  } while (pairingCodes.has(code));
+  return code;
+};
+
+const dropPairingCode = (code) => {
+  if (pairingCodes.has(code)) pairingCodes.delete(code);
+};
+
+const dropPairingCodesOf = (socketId) => {
+  for (const [code, entry] of pairingCodes.entries()) {
+    if (entry.socketId === socketId) dropPairingCode(code);
+  }
+};
+
+const findPairingCode = ({ code, token }) => {
+  if (typeof code === 'string') return pairingCodes.has(code) && pairingCodes.get(code).expiresAt > Date.now() ? code : null;
+  if (typeof token === 'string') {
+    for (const [candidate, entry] of pairingCodes.entries()) {
+      if (entry.token === token && entry.expiresAt > Date.now()) return candidate;
+    }
+  }
+  return null;
+};
+
+const isPairingThrottled = (address) => {
+  const attempts = pairingAttempts.get(address);
+  return Boolean(attempts && attempts.resetAt > Date.now() && attempts.count >= MAX_PAIRING_ATTEMPTS);
+};
+
+const recordFailedPairing = (address) => {
+  const attempts = pairingAttempts.get(address);
+  if (!attempts || attempts.resetAt < Date.now()) {
+    pairingAttempts.set(address, { count: 1, resetAt: Date.now() + PAIRING_ATTEMPT_WINDOW });
+  } else {
+    pairingAttempts.set(address, { ...attempts, count: attempts.count + 1 });
+  }
+};
+
+// --- Transfer Sessions ---
+// Every transfer request gets a session: { id, from, to, devices, nicknames, manifest, transport, state, reason, reportedReason, detached, detachedAt, relayedBytes, createdAt, updatedAt }.
+// `from` and `to` are the socket IDs of sender and receiver, `devices` their device IDs,
+// `state` one of pending -> accepted -> active -> done | failed, and `detached` lists
+// the parties ('from', 'to') that are away. Finished sessions are dropped; the REST API
+// keeps a summary of the last few (`finishedTransfers`).
+const transferSessions = store.table('transfers');
+const finishedTransfers = store.table('finished-transfers'); // transfer ID -> describeTransfer()
+const RESUMABLE_STATES = ['accepted', 'active'];
+
+const transferLog = (session) => log.child({ transferId: session.id });
+
+// While a transfer runs, each instance counts what it relayed (see scheduleRelay); the
+// session gets the total once it ends.
+const relayedBytesOf = session => relayCountKeys(session).reduce((total, key) => total + relayCounts.get(key), session.relayedBytes);
+
+// What the REST API and webhooks tell about a transfer. Never the file list: only its label and size.
+const describeTransfer = (session) => ({
+  id: session.id,
+  state: session.state,
+  reason: session.reason || null,
+  reportedReason: session.reportedReason || null,
+  transport: session.transport,
+  from: { deviceId: session.devices.from, ...session.nicknames.from },
+  to: { deviceId: session.devices.to, ...session.nicknames.to },
+  label: session.manifest.label,
+  fileCount: session.manifest.files.length,
+  totalSize: session.manifest.totalSize,
+  relayedBytes: relayedBytesOf(session),
+  createdAt: new Date(session.createdAt).toISOString(),
+  updatedAt: new Date(session.updatedAt).toISOString(),
+});
+
+// Both devices of a transfer, as logs and the audit log name them.
+const auditParties = (session) => ({
+  from: { deviceId: session.devices.from, name: session.nicknames.from.name },
+  to: { deviceId: session.devices.to, name: session.nicknames.to.name },
+});
+
+// The files a request offers, as the audit log records them with every answer to it.
+const auditFiles = ({ manifest }) => ({
+  label: manifest.label,
+  totalSize: manifest.totalSize,
+  files: manifest.files.map(({ path, size, type }) => ({ path, size, type: type || null })),
+});
+
+// A request nobody answers in PENDING_TRANSFER_TIMEOUT expires (see sweep).
+const createTransferSession = (from, to, manifest, transport = 'direct') => {
+  const session = {
+    id: crypto.randomUUID(),
+    from,
+    to,
+    devices: { from: users.get(from).deviceId, to: users.get(to).deviceId },
+    nicknames: { from: users.get(from).nickname, to: users.get(to).nickname },
+    manifest,
+    transport,
+    state: 'pending',
+    reason: null,
+    reportedReason: null,
+    detached: [],
+    detachedAt: null,
+    relayedBytes: 0,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  transferSessions.set(session.id, session);
+  transferLog(session).info('Transfer requested', { ...auditParties(session), transport, fileCount: manifest.files.length, totalSize: manifest.totalSize });
+  audit.record('transfer.requested', {
+    transferId: session.id,
+    ...auditParties(session),
+    transport,
+    ...auditFiles(session),
+  });
+  notifyWebhooks('transfer.requested', describeTransfer(session));
+  return session;
+};
+
+// Shows the request to the receiver, or, while it is reconnecting, once it is back (see reattachTransferSessions).
+const offerTransfer = (session) => {
+  if (users.get(session.to).offline) {
+    session.detached.push('to');
+    transferSessions.set(session.id, session);
+    return;
+  }
+  const sender = users.get(session.from);
+  io.to(session.to).emit('file-request', { from: session.from, senderDevice: sender.deviceId, senderNickname: sender.nickname, transferId: session.id, manifest: session.manifest, transport: session.transport });
+};
+
+const updateTransferState = (session, state) => {
+  if (session.state === state) return;
+  session.state = state;
+  session.updatedAt = Date.now();
+  transferSessions.set(session.id, session);
+  if (state === 'accepted') {
+    audit.record('transfer.accepted', { transferId: session.id, ...auditParties(session), ...auditFiles(session) });
+    notifyWebhooks('transfer.accepted', describeTransfer(session));
+  }
+};
+
+// `reason` is one the server saw for itself: rejected, cancelled, expired, peer-disconnected,
+// relay-limit or resume-rejected. A transfer a party reported as over (see transfer-state)
+// has none; `report` is { party: 'from' | 'to', reason } then, and what the party said
+// is kept apart from what the server knows.
+const endTransferSession = async (session, state, reason, report = null) => {
+  if (!transferSessions.has(session.id)) return;
+  // Set at once, for relay messages already on their way (see forwardRelay).
+  session.state = state;
+  session.reason = reason;
+  session.reportedReason = report?.reason || null;
+  session.updatedAt = Date.now();
+  // Both parties' instances, and the sweep, may try at the same time; only the one that
+  // removes the session from the store records how it ended.
+  if (!await transferSessions.remove(session.id)) return;
+  session.relayedBytes = relayedBytesOf(session);
+  relayCountKeys(session).forEach(key => relayCounts.delete(key));
+  relayPacing.delete(session.id);
+  transferLog(session).info(state === 'done' ? 'Transfer completed' : 'Transfer failed', { reason, reportedBy: report?.party, reportedReason: session.reportedReason, relayedBytes: session.relayedBytes });
+  // A rejection is an answer to the request, the other failures are the transfer's outcome.
+  const auditEvent = state === 'done' ? 'transfer.completed' : reason === 'rejected' ? 'transfer.rejected' : 'transfer.failed';
+  audit.record(auditEvent, {
+    transferId: session.id,
+    ...auditParties(session),
+    ...(auditEvent === 'transfer.rejected' && auditFiles(session)),
+    reason: reason || null,
+    ...(report && { reportedBy: report.party, reportedReason: session.reportedReason }),
+    relayedBytes: session.relayedBytes,
+  });
+  transferOutcomes.inc({ outcome: state === 'done' ? 'completed' : reason || 'failed' });
+  // An API sender exists for this one transfer only.
+  if (users.get(session.from)?.virtual) {
+    handOverToApiSender(session.from, 'transfer-ended', { transferId: session.id });
+    users.delete(session.from);
+  }
+  const transfer = describeTransfer(session);
+  finishedTransfers.set(session.id, transfer);
+  if (finishedTransfers.size > MAX_FINISHED_TRANSFERS) {
+    const oldest = [...finishedTransfers.values()].reduce((a, b) => (a.updatedAt <= b.updatedAt ? a : b));
+    finishedTransfers.delete(oldest.id);
+  }
+  notifyWebhooks(state === 'done' ? 'transfer.completed' : 'transfer.failed', transfer);
+};
+
+// Fails a session and tells both parties why it is gone.
+const closeTransferSession = (session, reason) => {
+  deliver(session.from, 'transfer-closed', { transferId: session.id, reason });
+  deliver(session.to, 'transfer-closed', { transferId: session.id, reason });
+  endTransferSession(session, 'failed', reason);
+};
+
+const otherParty = (session, socketId) => {
+  if (session.from === socketId) return session.to;
+  if (session.to === socketId) return session.from;
+  return null;
+};
+
+// A party that disconnected may come back with a new socket and take its place again,
+// e.g. after a page reload, but only from the same device. Returns whether `socketId`
+// is (now) that party.
+const claimParty = (session, party, socketId) => {
+  if (session[party] === socketId) return true;
+  if (!session.detached.includes(party) || users.get(socketId)?.deviceId !== session.devices[party]) return false;
+  transferLog(session).info('Party rejoined the transfer', { party, socketId });
+  session[party] = socketId;
+  session.detached = session.detached.filter(other => other !== party);
+  if (session.detached.length === 0) session.detachedAt = null;
+  transferSessions.set(session.id, session);
+  return true;
+};
+
+// A transfer that loses a party waits DETACHED_TRANSFER_TIMEOUT for it (see sweep).
+const detachFromTransferSessions = (socketId) => {
+  for (const session of transferSessions.values()) {
+    const party = session.from === socketId ? 'from' : session.to === socketId ? 'to' : null;
+    if (!party || session.detached.includes(party)) continue;
+    if (session.detached.length > 0) {
+      closeTransferSession(session, 'peer-disconnected');
+      continue;
+    }
+    session.detached.push(party);
+    session.detachedAt = Date.now();
+    transferSessions.set(session.id, session);
+    deliver(otherParty(session, socketId), 'transfer-peer-left', { transferId: session.id });
+  }
+};
+
+// Fails the transfers of a device that did not come back in time.
+const abandonTransferSessions = (socketId) => {
+  for (const session of transferSessions.values()) {
+    if (session.from === socketId || session.to === socketId) closeTransferSession(session, 'peer-disconnected');
+  }
+};
+
+// Puts a returning device back into the transfers it left. A request it had not
+// answered yet is shown to it again, in case the page was reloaded in between.
+const reattachTransferSessions = (socket) => {
+  for (const session of transferSessions.values()) {
+    for (const party of ['from', 'to']) {
+      if (session[party] === socket.id || !claimParty(session, party, socket.id)) continue;
+      if (party === 'to' && session.state === 'pending') {
+        socket.emit('file-request', { from: session.from, senderDevice: session.devices.from, senderNickname: users.get(session.from)?.nickname, transferId: session.id, manifest: session.manifest, transport: session.transport });
+      }
+    }
+  }
+};
+
+// --- Relay ---
+// When two devices can't reach each other directly, their data channels run through
+// the server instead (see frontend/src/lib/relay.js). Each transfer gets its own
+// pacing, so one relayed transfer can't take all of the server's bandwidth, and a cap
+// on the bytes it may relay in total. Messages are acknowledged once forwarded, which
+// is what the sending side's backpressure waits for. Each instance paces what its own
+// sockets send, and counts it in the store, so the cap is on what all of them relayed.
+const relayCounts = store.table('relay-counts'); // "<transfer ID> <instance>" -> bytes relayed
+const relayPacing = new Map(); // transfer ID -> when the next message may be forwarded
+
+const relayCountKeys = session => [...relayCounts.keys()].filter(key => key.startsWith(`${session.id} `));
+
+const relayPayloadSize = (payload) => {
+  if (Buffer.isBuffer(payload)) return payload.length;
+  return typeof payload === 'string' ? Buffer.byteLength(payload) : 0;
+};
+
+// Returns the delay before a message of `size` bytes may be forwarded, or null when
+// the transfer went over its relay limit.
+const scheduleRelay = (session, size) => {
+  const now = Date.now();
+  if (!relayPacing.has(session.id)) {
+    relayPacing.set(session.id, 0);
+    transferLog(session).info('Relaying the transfer through the server');
+  }
+  if (relayedBytesOf(session) + size > RELAY_MAX_SESSION_BYTES) return null;
+  const key = `${session.id} ${store.node}`;
+  relayCounts.set(key, (relayCounts.get(key) || 0) + size);
+  const releaseAt = Math.max(now, relayPacing.get(session.id));
+  relayPacing.set(session.id, releaseAt + (size * 1000) / RELAY_BYTES_PER_SECOND);
+  return releaseAt - now;
+};
+
+// Forwards one relay message of `fromId` to the other party of `session`, at the relay's
+// pace, and answers `reply` once it is forwarded (or refused).
+const forwardRelay = (session, fromId, message, reply) => {
+  const size = relayPayloadSize(message.payload);
+  if (size > RELAY_MAX_MESSAGE_BYTES) {
+    reply({ error: 'message-too-large' });
+    return;
+  }
+
+  const delay = scheduleRelay(session, size);
+  if (delay === null) {
+    transferLog(session).warn('Transfer went over the relay limit', { relayedBytes: relayedBytesOf(session) });
+    closeTransferSession(session, 'relay-limit');
+    reply({ error: 'relay-limit' });
+    return;
+  }
+  updateTransferState(session, 'active');
+  setTimeout(() => {
+    // A finished transfer still delivers what was already on its way, e.g. the receiver's
+    // transfer-complete, which can be overtaken by its own transfer-state report.
+    const done = session.state === 'done' || finishedTransfers.get(session.id)?.state === 'done';
+    const current = transferSessions.get(session.id) || (done && session);
+    const peer = current && otherParty(current, fromId);
+    if (!peer || !users.get(peer) || users.get(peer).offline) {
+      reply({ error: 'unknown-transfer' });
+      return;
+    }
+    deliver(peer, 'relay', message);
+    relayedBytes.inc({}, size);
+    reply({});
+  }, delay);
+};
+
+// --- Expiry ---
+// Unanswered requests, transfers and devices that lost their connection, and pairing
+// codes all expire by the timestamps in the store. One instance checks them every
+// SWEEP_INTERVAL: the one with the lowest ID among those alive (see store.liveNodes).
+// It also cleans up after an instance that went away without a word: its devices count
+// as disconnected from then on, and its API senders as gone.
+const sweep = async () => {
+  // Every instance forgets the pacing of transfers that ended on another one.
+  for (const transferId of relayPacing.keys()) {
+    if (!transferSessions.has(transferId)) relayPacing.delete(transferId);
+  }
+  const nodes = await store.liveNodes();
+  if (nodes[0] !== store.node) return;
+  const now = Date.now();
+
+  for (const [code, entry] of pairingCodes.entries()) {
+    if (entry.expiresAt > now) continue;
+    // The device may have reconnected since, see takeOverUser.
+    deliver(entry.socketId, 'pair-expired', { code });
+    pairingCodes.delete(code);
+  }
+  for (const [address, attempts] of pairingAttempts.entries()) {
+    if (attempts.resetAt <= now) pairingAttempts.delete(address);
+  }
+  dropExpiredAttempts(now);
+  // Counted by an instance that had not heard yet that the transfer ended.
+  for (const key of relayCounts.keys()) {
+    if (!transferSessions.has(key.split(' ')[0])) relayCounts.delete(key);
+  }
+
+  for (const session of transferSessions.values()) {
+    if (session.state === 'pending' && now - session.createdAt >= PENDING_TRANSFER_TIMEOUT) {
+      transferLog(session).info('Transfer request expired');
+      closeTransferSession(session, 'expired');
+    } else if (session.detachedAt && now - session.detachedAt >= DETACHED_TRANSFER_TIMEOUT) {
+      transferLog(session).info('Transfer gave up waiting for a reconnect');
+      closeTransferSession(session, 'peer-disconnected');
+    }
+  }
+
+  for (const [socketId, user] of users.entries()) {
+    const lost = !nodes.includes(user.node);
+    if (user.virtual) {
+      if (lost) abandonTransferSessions(socketId);
+    } else if (lost && !user.offline) {
+      log.info('Instance is gone, device is reconnecting', { socketId, deviceId: user.deviceId, node: user.node });
+      markOffline(socketId);
+    } else if (user.offline && now - user.offlineSince >= DEVICE_RECONNECT_GRACE) {
+      removeDevice(socketId);
+    }
+  }
+};
+
+// --- HTTP API ---
+// Every request gets a logger tagged with a request ID: the caller's X-Request-Id, when it
+// looks like one, or a new one. It is sent back in the same header.
+app.use((req, res, next) => {
+  const given = req.get('X-Request-Id');
+  const requestId = given && /^[\w.:-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+  res.set('X-Request-Id', requestId);
+  req.log = log.child({ requestId });
+  next();
+});
+
+// Runtime settings for the frontend. Not cached: TURN credentials are fresh on every call.
+app.get('/api/config', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(clientConfig(config));
+});
+
+// --- REST API ---
+// For integrations: who is online, what was transferred, and sending a file to a device.
+// Every route needs one of the API_TOKENS (see api.js); without any, there is no API.
+const API_SENDER_EMOJI = '🔗';
+const DEFAULT_API_SENDER_NAME = 'Zap API';
+
+const describePeer = (user) => ({
+  deviceId: user.deviceId,
+  name: user.nickname.name,
+  emoji: user.nickname.emoji,
+  room: describeRoom(user.room),
+  reconnecting: user.offline,
+});
+
+// The API senders of this instance, by the socket ID of their virtual user. Events for
+// one on another instance are passed on to it.
+const apiSenders = new Map();
+
+const handOverToApiSender = (socketId, event, payload) => {
+  const sender = apiSenders.get(socketId);
+  if (!sender) {
+    if (store.shared) io.serverSideEmit('api-sender-event', socketId, event, payload);
+    return;
+  }
+  sender.handle(event, payload);
+  if (event === 'transfer-ended') apiSenders.delete(socketId);
+};
+
+io.on('api-sender-event', (socketId, event, payload) => {
+  if (apiSenders.has(socketId)) handOverToApiSender(socketId, event, payload);
+});
+
+// Sends an uploaded file to `receiverId` from a virtual user that lives as long as the transfer.
+const startApiTransfer = (receiverId, manifest, data, senderName) => {
+  const senderId = `api:${crypto.randomUUID()}`;
+  users.set(senderId, { deviceId: 'api', nickname: { name: senderName, emoji: API_SENDER_EMOJI }, fingerprint: null, room: null, node: store.node, offline: false, virtual: true });
+  const session = createTransferSession(senderId, receiverId, manifest, 'relay');
+  apiSenders.set(senderId, createApiSender({
+    transferId: session.id,
+    data,
+    chunkSize: config.chunkSize,
+    relay: message => new Promise((resolve) => {
+      const current = transferSessions.get(session.id);
+      if (current) forwardRelay(current, senderId, message, resolve);
+      else resolve({ error: 'unknown-transfer' });
+    }),
+    log: transferLog(session),
+  }));
+  offerTransfer(session);
+  return session;
+};
+
+if (config.apiTokens.length > 0) {
+  const api = express.Router();
+  api.use(requireToken(config.apiTokens));
+
+  // GET /api/peers[?room=<room id>]: the devices that are connected, or reconnecting.
+  api.get('/peers', (req, res) => {
+    const peers = [...users.values()].filter(user => !user.virtual && (!req.query.room || user.room === req.query.room));
+    res.json({ peers: peers.map(describePeer) });
+  });
+
+  // GET /api/transfers[?state=<state>]: running transfers, then the last finished ones, newest first.
+  api.get('/transfers', (req, res) => {
+    const running = [...transferSessions.values()].sort((a, b) => b.createdAt - a.createdAt).map(describeTransfer);
+    const finished = [...finishedTransfers.values()].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    const transfers = [...running, ...finished];
+    res.json({ transfers: req.query.state ? transfers.filter(t => t.state === req.query.state) : transfers });
+  });
+
+  // POST /api/transfers?to=<device ID>&name=<file name>[&sender=<name>], with the file as
+  // the request body. Answers 202 once the request is offered; GET /api/transfers and the
+  // webhooks tell how it went.
+  api.post('/transfers', express.raw({ type: () => true, limit: config.apiMaxUploadBytes }), (req, res) => {
+    const { to, name, sender = DEFAULT_API_SENDER_NAME } = req.query;
+    if (typeof name !== 'string' || !name.trim() || name.length > 255 || /[\\/]/.test(name)) {
+      res.status(400).json({ error: 'Give the file a name (without slashes) with ?name=.' });
+      return;
+    }
+    if (typeof sender !== 'string' || !/\S/.test(sender) || sender.length > 64) {
+      res.status(400).json({ error: 'The sender name must be 1 to 64 characters.' });
+      return;
+    }
+    if (!config.features.relay) {
+      res.status(409).json({ error: 'Sending through the API needs the relay, which this server has turned off.' });
+      return;
+    }
+    const receiverId = typeof to === 'string' ? findUserByDevice(to) : undefined;
+    if (!receiverId || users.get(receiverId).virtual || users.get(receiverId).offline) {
+      res.status(404).json({ error: 'No device with that ID is online.' });
+      return;
+    }
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const type = req.is('application/octet-stream') || !req.get('Content-Type') ? '' : req.get('Content-Type').split(';')[0].trim();
+    const manifest = { label: name, totalSize: data.length, files: [{ name, path: name, size: data.length, type }] };
+    const problem = validatePayload('file-request', { to: receiverId, manifest, transport: 'relay' }) || manifestProblem(config, manifest);
+    if (problem) {
+      res.status(422).json({ error: problem });
+      return;
+    }
+    const session = startApiTransfer(receiverId, manifest, data, sender.trim());
+    req.log.info('Transfer started through the API', { transferId: session.id, sender: sender.trim(), size: data.length });
+    res.status(202).json({ transfer: describeTransfer(session) });
+  });
+
+  api.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+      res.status(413).json({ error: `The file is larger than the ${config.apiMaxUploadBytes} bytes the API accepts.` });
+      return;
+    }
+    req.log.error('API request failed', { error, method: req.method, path: req.path });
+    res.status(error.status || 500).json({ error: 'The request failed.' });
+  });
+  app.use('/api', api);
+  log.info('REST API enabled', { tokens: config.apiTokens.length });
+}
+
+// --- Health and Metrics ---
+// For load balancers and orchestrators: /healthz answers while the process runs, /readyz
+// only while the server takes connections, i.e. not before it listens or once it is
+// shutting down. /metrics is in the Prometheus text format and needs METRICS_TOKEN when set.
+let ready = false;
+let shuttingDown = false;
+
+app.get('/healthz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+app.get('/readyz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const available = ready && store.healthy();
+  res.status(available ? 200 : 503).json({ status: available ? 'ready' : 'unavailable' });
+});
+
+app.get('/metrics', ...(config.metricsToken ? [requireToken([config.metricsToken])] : []), (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
 
 // --- Socket.io Connection Handling ---
 io.on('connection', (socket) => {
-  console.log(`🔌 User connected: ${socket.id}`);
+  // Tagged with the device ID too, once the socket joined.
+  let socketLog = log.child({ socketId: socket.id });
+  socketLog.info('Socket connected', { address: clientAddress(socket, TRUST_PROXY) });
+
+  // Tells the client its event was refused, through the ack when it passed one.
+  // `reason` is what the metrics count it as: invalid, not-joined, disabled or refused.
+  const reject = (event, error, reply, reason = 'refused') => {
+    socketLog.warn('Event rejected', { event, reason, error });
+    rejectedEvents.inc({ event, reason });
+    socket.emit('server-error', { event, error });
+    reply?.({ error });
+  };
+
+  // Registers a handler for `event` that only ever sees payloads matching its schema
+  // (see validation.js), and, apart from `user-joined`, only runs for sockets that
+  // registered a nickname. Who sent an event is always `socket.id`, never the payload.
+  const on = (event, handler) => {
+    socket.on(event, (...args) => {
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const [data] = args;
+      signallingEvents.inc({ event });
+      if (event !== 'user-joined' && !users.has(socket.id)) {
+        reject(event, 'Join the network first.', ack, 'not-joined');
+        return;
+      }
+      if (!isEventEnabled(config, event)) {
+        reject(event, 'This server has turned that feature off.', ack, 'disabled');
+        return;
+      }
+      const error = validatePayload(event, data);
+      if (error) {
+        reject(event, error, ack, 'invalid');
+        return;
+      }
+      handler(data, ack || (() => {}));
+    });
+  };
 
   // Event: When a user joins with a nickname object
-  socket.on('user-joined', (nickname) => {
-    // *** FIX: Ensure nickname is an object with a name property ***
-    if (nickname && typeof nickname === 'object' && nickname.name) {
-      users[socket.id] = { nickname };
-      console.log(`👋 ${nickname.name} (${socket.id}) joined the room.`);
-      // Broadcast the updated user list to all clients
-      io.emit('update-user-list', Object.keys(users).map(id => ({ id, ...users[id] })));
+  // The fingerprint of the device's key (see frontend/src/lib/identity.js) is only passed
+  // on; peers check it against the connection themselves.
+  on('user-joined', ({ name, emoji, fingerprint = null, device }, reply) => {
+    const nickname = { name, emoji };
+    const user = users.get(socket.id);
+    if (user) {
+      users.set(socket.id, { ...user, nickname, fingerprint });
+      broadcastUserList(user.room);
+      reply({ deviceId: user.deviceId });
+      return;
+    }
+    const deviceId = deviceIdFor(device);
+    socketLog = log.child({ socketId: socket.id, deviceId });
+    const previousId = findUserByDevice(deviceId);
+    if (previousId) {
+      // Usually a connection that dropped before the server noticed; the newest one wins.
+      // One of ours disconnects at once, which marks it offline. One on another instance
+      // is detached here and disconnected after the takeover, so that instance already
+      // knows the entry moved when its disconnect handler runs.
+      const replaced = !users.get(previousId).offline;
+      const previous = replaced && io.sockets.sockets.get(previousId);
+      if (previous) {
+        previous.emit('device-replaced');
+        previous.disconnect(true);
+      } else if (replaced) {
+        detachFromTransferSessions(previousId);
+      }
+      takeOverUser(previousId, { nickname, fingerprint });
+      if (replaced && !previous) {
+        io.to(previousId).emit('device-replaced');
+        io.in(previousId).disconnectSockets(true);
+      }
     } else {
-      console.log(`Invalid nickname received from ${socket.id}`);
+      const networkRoom = networkRoomFor(socket, TRUST_PROXY);
+      users.set(socket.id, { deviceId, nickname, fingerprint, room: null, networkRoom, node: store.node, offline: false, offlineSince: null, virtual: false });
+      socketLog.info('Device joined', { name: nickname.name, room: networkRoom });
+      audit.record('device.joined', { deviceId, socketId: socket.id, name: nickname.name, emoji: nickname.emoji, address: clientAddress(socket, TRUST_PROXY) });
+      // Everyone starts out in the room of their network
+      moveToRoom(socket.id, networkRoom);
     }
+    reattachTransferSessions(socket);
+    reply({ deviceId });
   });
 
+  // Moves a reconnecting device's entry, room membership and pairing codes over to
+  // this socket, then hands it what was sent to it while it was away.
+  const takeOverUser = (previousId, { nickname, fingerprint }) => {
+    const user = users.get(previousId);
+    users.delete(previousId);
+    users.set(socket.id, { ...user, nickname, fingerprint, node: store.node, offline: false, offlineSince: null });
+    socketLog.info('Device reconnected', { name: nickname.name, previousSocketId: previousId, room: user.room });
+    socket.join(user.room);
+    for (const [code, entry] of pairingCodes.entries()) {
+      if (entry.socketId === previousId) pairingCodes.set(code, { ...entry, socketId: socket.id });
+    }
+    socket.emit('room-update', describeRoom(user.room));
+    broadcastUserList(user.room);
+    outboxes.take(previousId)
+      .then(outbox => outbox.forEach(([event, payload]) => socket.emit(event, payload)))
+      .catch(error => socketLog.error('Could not hand over the outbox', { error: error.message }));
+  };
+
   // Event: When a user updates their nickname object
-  socket.on('update-nickname', (newNickname) => {
-    if (users[socket.id] && newNickname && typeof newNickname === 'object' && newNickname.name) {
-      const oldNickname = users[socket.id].nickname;
-      users[socket.id].nickname = newNickname;
-      // *** FIX: Log the name property of the nickname object ***
-      console.log(`✏️ ${oldNickname.name} changed nickname to ${newNickname.name}`);
-      io.emit('update-user-list', Object.keys(users).map(id => ({ id, ...users[id] })));
+  on('update-nickname', ({ name, emoji }) => {
+    const user = users.get(socket.id);
+    const oldNickname = user.nickname;
+    users.set(socket.id, { ...user, nickname: { name, emoji } });
+    socketLog.info('Nickname changed', { from: oldNickname.name, to: name });
+    audit.record('device.renamed', { deviceId: user.deviceId, from: oldNickname, to: { name, emoji } });
+    broadcastUserList(user.room);
+  });
+
+  // Event: A user joins (or creates) a named room, optionally protected with a code
+  on('room-join', (data, reply) => {
+    const { roomId, created, error } = joinNamedRoom(data.name, data.code, clientAddress(socket, TRUST_PROXY));
+    if (error) {
+      socketLog.info('Could not join a room', { room: data.name, error });
+      reply({ error });
+      return;
     }
+    socketLog.info(created ? 'Created a room' : 'Joined a room', { room: roomId });
+    moveToRoom(socket.id, roomId);
+    reply({ room: describeRoom(roomId) });
+  });
+
+  // Event: A user leaves their named room and goes back to the room of their network
+  on('room-leave', () => {
+    const user = users.get(socket.id);
+    socketLog.info('Left a room', { room: user.room });
+    moveToRoom(socket.id, user.networkRoom);
+  });
+
+  // Event: A user wants to pair with another device and needs a code to show. The code
+  // expires after PAIRING_CODE_TTL (see sweep).
+  on('pair-create', (data, reply) => {
+    dropPairingCodesOf(socket.id); // One code per device at a time
+    const code = generatePairingCode();
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + PAIRING_CODE_TTL;
+    pairingCodes.set(code, { token, socketId: socket.id, expiresAt });
+    socketLog.info('Waiting to pair');
+    reply({ code, token, expiresAt });
+  });
+
+  // Event: A user gives up on pairing before anyone used the code
+  on('pair-cancel', () => {
+    dropPairingCodesOf(socket.id);
+  });
+
+  // Event: A user enters a pairing code, or opens the link from its QR code (token)
+  on('pair-join', (data, reply) => {
+    const address = clientAddress(socket, TRUST_PROXY);
+    if (isPairingThrottled(address)) {
+      reply({ error: 'Too many wrong codes. Try again in a few minutes.' });
+      return;
+    }
+
+    const code = findPairingCode(data);
+    const entry = code && pairingCodes.get(code);
+    const creator = entry && users.get(entry.socketId);
+    if (!entry || !creator || creator.offline || entry.socketId === socket.id) {
+      // A device that lost its connection gets back into its pairing room with the token.
+      const roomId = data.token && rejoinPairingRoom(data.token);
+      if (roomId) {
+        socketLog.info('Rejoined a pairing', { room: roomId });
+        moveToRoom(socket.id, roomId);
+        reply({ room: describeRoom(roomId), token: data.token });
+        return;
+      }
+      recordFailedPairing(address);
+      reply({ error: 'This code is wrong or has expired.' });
+      return;
+    }
+
+    dropPairingCode(code);
+    const roomId = openPairingRoom(entry.token);
+    socketLog.info('Paired', { room: roomId, peerDeviceId: creator.deviceId });
+    moveToRoom(entry.socketId, roomId);
+    moveToRoom(socket.id, roomId);
+    const { deviceId, nickname } = users.get(socket.id);
+    deliver(entry.socketId, 'pair-complete', { token: entry.token, peer: { id: socket.id, deviceId, nickname } });
+    reply({ room: describeRoom(roomId), token: entry.token });
   });
 
   // --- WebRTC Signaling Events ---
+  // Everything after `file-request` is tied to the transfer session it created, and is
+  // only forwarded between the two parties of that session.
 
   // Event: A user initiates a file transfer request
-  socket.on('file-request', (data) => {
-    const { to, from, file } = data;
-    // *** FIX: Access the name property for logging ***
-    const senderNickname = users[from]?.nickname?.name || 'A user';
-    const receiverNickname = users[to]?.nickname?.name || 'another user';
-    console.log(`📩 File request from ${senderNickname} to ${receiverNickname}`);
-    // Forward the request to the target user, sending the full nickname object
-    io.to(to).emit('file-request', { from, senderNickname: users[from]?.nickname, file });
+  on('file-request', (data, reply) => {
+    const { to, manifest, transport } = data;
+    if (!sameRoom(socket.id, to) || to === socket.id) {
+      reject('file-request', 'The receiver is not available.', reply);
+      return;
+    }
+    if (transport === 'relay' && !config.features.relay) {
+      reject('file-request', 'This server does not relay transfers.', reply);
+      return;
+    }
+    const problem = manifestProblem(config, manifest);
+    if (problem) {
+      reject('file-request', problem, reply);
+      return;
+    }
+    const session = createTransferSession(socket.id, to, manifest, transport);
+    offerTransfer(session);
+    reply({ transferId: session.id });
+  });
+
+  // Event: A text snippet or pasted image for another device. No session: it is delivered
+  // as it is, and waits in the outbox if the receiver is reconnecting.
+  on('message', (data, reply) => {
+    const { to, text, image } = data;
+    if (!sameRoom(socket.id, to) || to === socket.id) {
+      reject('message', 'The receiver is not available.', reply);
+      return;
+    }
+    if (!text && !image) {
+      reject('message', 'The message is empty.', reply);
+      return;
+    }
+    const id = crypto.randomUUID();
+    const sender = users.get(socket.id);
+    socketLog.info('Message sent', { messageId: id, toDeviceId: users.get(to).deviceId, ...(image ? { imageType: image.type } : { length: text.length }) });
+    deliver(to, 'message', { id, from: socket.id, senderDevice: sender.deviceId, senderNickname: sender.nickname, text, image, sentAt: Date.now() });
+    reply({ id });
   });
 
   // Event: The receiver accepts the file transfer
-  socket.on('file-accept', (data) => {
-    const { to } = data;
-    // *** FIX: Access the name property for logging ***
-    console.log(`✅ File accepted by ${users[socket.id]?.nickname?.name}`);
+  on('file-accept', (data) => {
+    const session = transferSessions.get(data.transferId);
+    if (!session || session.state !== 'pending' || session.to !== socket.id) return;
+    transferLog(session).info('Transfer accepted', { socketId: socket.id });
+    updateTransferState(session, 'accepted');
     // Notify the original sender that the request was accepted
-    io.to(to).emit('file-accept', { from: socket.id });
+    deliver(session.from, 'file-accept', { from: socket.id, transferId: session.id, relayId: data.relayId, compression: data.compression });
   });
 
   // Event: The receiver rejects the file transfer
-  socket.on('file-reject', (data) => {
-    const { to } = data;
-     // *** FIX: Access the name property for logging ***
-    console.log(`❌ File rejected by ${users[socket.id]?.nickname?.name}`);
+  on('file-reject', (data) => {
+    const session = transferSessions.get(data.transferId);
+    if (!session || session.state !== 'pending' || session.to !== socket.id) return;
+    transferLog(session).info('Transfer rejected', { socketId: socket.id });
     // Notify the original sender that the request was rejected
-    io.to(to).emit('file-reject', { from: socket.id });
+    deliver(session.from, 'file-reject', { from: socket.id, transferId: session.id });
+    endTransferSession(session, 'failed', 'rejected');
+  });
+
+  // Event: The receiver asks the sender to continue an interrupted transfer from its checkpoint
+  on('transfer-resume', (data) => {
+    const { transferId, fileIndex, chunkIndex, chunkSize, relayId } = data;
+    const session = transferSessions.get(transferId);
+    if (!session || !RESUMABLE_STATES.includes(session.state)) {
+      // Nobody can pick this transfer up any more.
+      socket.emit('transfer-resume-reject', { transferId });
+      return;
+    }
+    // While the sender is away there is nobody to ask; the receiver keeps trying.
+    if (!claimParty(session, 'to', socket.id) || session.detached.includes('from')) return;
+    const target = session.from;
+    if (!sameRoom(socket.id, target)) {
+      reject('transfer-resume', 'The sender is not available.');
+      return;
+    }
+    transferLog(session).info('Receiver asked to resume', { socketId: socket.id, fileIndex, chunkIndex });
+    deliver(target, 'transfer-resume', { from: socket.id, transferId, fileIndex, chunkIndex, chunkSize, relayId });
+  });
+
+  // Event: The sender can no longer resume the transfer
+  on('transfer-resume-reject', (data) => {
+    const session = transferSessions.get(data.transferId);
+    if (!session) return;
+    transferLog(session).info('Sender cannot resume', { socketId: socket.id });
+    deliver(session.to, 'transfer-resume-reject', { from: socket.id, transferId: session.id });
+    if (session.from === socket.id) endTransferSession(session, 'failed', 'resume-rejected');
   });
 
   // Event: Forward WebRTC offer
-  socket.on('webrtc-offer', (data) => {
-    const { to, offer } = data;
-    // *** FIX: Access the name property for logging ***
-    console.log(`Offer from ${users[socket.id]?.nickname?.name} to ${users[to]?.nickname?.name}`);
-    io.to(to).emit('webrtc-offer', { from: socket.id, offer });
+  on('webrtc-offer', (data) => {
+    const session = transferSessions.get(data.transferId);
+    if (!session || !RESUMABLE_STATES.includes(session.state) || !claimParty(session, 'from', socket.id)) return;
+    if (!users.has(session.to)) {
+      reject('webrtc-offer', 'The receiver is not connected.');
+      return;
+    }
+    transferLog(session).debug('Forwarding a WebRTC offer', { socketId: socket.id });
+    updateTransferState(session, 'active');
+    deliver(session.to, 'webrtc-offer', { from: socket.id, transferId: session.id, offer: data.offer });
   });
 
   // Event: Forward WebRTC answer
-  socket.on('webrtc-answer', (data) => {
-    const { to, answer } = data;
-    // *** FIX: Access the name property for logging ***
-    console.log(`Answer from ${users[socket.id]?.nickname?.name} to ${users[to]?.nickname?.name}`);
-    io.to(to).emit('webrtc-answer', { from: socket.id, answer });
+  on('webrtc-answer', (data) => {
+    const session = transferSessions.get(data.transferId);
+    if (!session || session.to !== socket.id) return;
+    if (!users.has(session.from)) {
+      reject('webrtc-answer', 'The sender is not connected.');
+      return;
+    }
+    transferLog(session).debug('Forwarding a WebRTC answer', { socketId: socket.id });
+    deliver(session.from, 'webrtc-answer', { from: socket.id, transferId: session.id, answer: data.answer });
   });
 
   // Event: Forward ICE candidates
-  socket.on('webrtc-ice-candidate', (data) => {
-    const { to, candidate } = data;
-    io.to(to).emit('webrtc-ice-candidate', { from: socket.id, candidate });
+  on('webrtc-ice-candidate', (data) => {
+    const session = transferSessions.get(data.transferId);
+    const peer = session && otherParty(session, socket.id);
+    if (!peer) return;
+    if (!users.has(peer)) {
+      reject('webrtc-ice-candidate', 'The other device is not connected.');
+      return;
+    }
+    deliver(peer, 'webrtc-ice-candidate', { from: socket.id, transferId: session.id, candidate: data.candidate });
+  });
+
+  // Event: Data channel traffic of a transfer that runs over the relay
+  on('relay', (data, reply) => {
+    const { transferId, connectionId, type, label, payload } = data;
+    const session = transferSessions.get(transferId);
+    if (!session || !RESUMABLE_STATES.includes(session.state)) {
+      reply({ error: 'unknown-transfer' });
+      return;
+    }
+    // The receiver claimed its place when it asked to resume, so a new socket here is the sender's.
+    if (!claimParty(session, session.to === socket.id ? 'to' : 'from', socket.id)) {
+      reply({ error: 'unknown-transfer' });
+      return;
+    }
+    forwardRelay(session, socket.id, { transferId, connectionId, type, label, payload }, reply);
+  });
+
+  // Event: Either party cancels the transfer, in any state
+  on('transfer-cancel', (data) => {
+    const session = transferSessions.get(data.transferId);
+    const peer = session && otherParty(session, socket.id);
+    if (!peer) return;
+    transferLog(session).info('Transfer cancelled', { socketId: socket.id });
+    deliver(peer, 'transfer-cancel', { from: socket.id, transferId: session.id });
+    endTransferSession(session, 'failed', 'cancelled');
+  });
+
+  // Event: A party reports how the transfer ended ('done' or 'failed'). Only the receiver
+  // knows it saved every file, so the sender's 'done' waits for the receiver's.
+  on('transfer-state', (data) => {
+    const { transferId, state, reason } = data;
+    const session = transferSessions.get(transferId);
+    const party = session?.from === socket.id ? 'from' : session?.to === socket.id ? 'to' : null;
+    if (!party || (state === 'done' && party !== 'to')) return;
+    endTransferSession(session, state, null, { party, reason });
   });
 
   // --- Disconnection Handling ---
-  socket.on('disconnect', () => {
-    console.log(`🔌 User disconnected: ${socket.id}`);
-    if (users[socket.id] && users[socket.id].nickname) {
-       // *** FIX: Access the name property for logging ***
-      console.log(`👋 ${users[socket.id].nickname.name} left the room.`);
-      delete users[socket.id];
-      // Broadcast the updated user list to all remaining clients
-      io.emit('update-user-list', Object.keys(users).map(id => ({ id, ...users[id] })));
+  socket.on('disconnect', (reason) => {
+    socketLog.info('Socket disconnected', { reason });
+    detachFromTransferSessions(socket.id);
+    // A device replaced by a newer connection (see user-joined) was taken over already.
+    if (!users.has(socket.id)) {
+      dropPairingCodesOf(socket.id);
+      return;
     }
+    // Keep the device listed for a while; a reload or a flaky connection brings it back
+    // under a new socket ID (see takeOverUser). Otherwise the sweep removes it.
+    socketLog.info('Device is reconnecting');
+    markOffline(socket.id);
   });
+
 });
 
 // --- Start the Server ---
+// Nothing is served before the shared state is loaded.
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`✅ Server is running on port ${PORT}`);
+store.ready.then(() => {
+  if (store.adapter) io.adapter(store.adapter);
+  server.listen(PORT, () => {
+    ready = !shuttingDown;
+    log.info('Server is running', { port: Number(PORT), node: store.node });
+  });
+  setInterval(() => sweep().catch(error => log.error('Expiry check failed', { error })), SWEEP_INTERVAL);
+}).catch((error) => {
+  log.error('Could not load the shared state', { error });
+  process.exit(1);
 });
+
+// On SIGTERM (e.g. a rolling deploy) /readyz fails at once, then every socket is closed;
+// clients reconnect to another instance. Connections that linger don't hold up the exit,
+// and a second signal exits at once.
+const shutDown = (signal) => {
+  if (shuttingDown) process.exit(1);
+  shuttingDown = true;
+  ready = false;
+  log.info('Shutting down', { signal });
+  io.close(() => {
+    audit.close();
+    store.close().finally(() => process.exit(0));
+  });
+  setTimeout(() => process.exit(0), SHUTDOWN_TIMEOUT).unref();
+};
+process.on('SIGTERM', () => shutDown('SIGTERM'));
+process.on('SIGINT', () => shutDown('SIGINT'));
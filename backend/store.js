@@ -0,0 +1,242 @@
+// backend/store.js
+
+const crypto = require('crypto');
+
+// --- Shared State ---
+// What every server instance must agree on lives in the store's tables (users, rooms,
+// transfers, ...; see server.js). Values are plain JSON, and a value that changed must
+// be written back with `set`: reads are synchronous and come from memory, which is all
+// there is with a single instance. With REDIS_URL every instance keeps a replica of each
+// table in memory. A write updates this instance's replica at once and the others' a
+// moment later, through Redis pub/sub.
+//
+// Lists hold what piles up for one key, such as the events waiting for a reconnecting
+// device: entries are appended one at a time and taken all at once, and they may carry
+// binary data (Buffers), which is kept as base64 in Redis.
+//
+// The socket.io adapter shares the store's Redis connections, so every instance sees
+// changes and socket.io messages in the order they were sent: a device that is told a
+// transfer was accepted finds it accepted on its own instance too. When two instances
+// write the same key at once, the write Redis got last wins everywhere. When something
+// must happen only once, such as ending a transfer, `remove` tells the one instance
+// that deleted the row from the others that tried at the same time.
+
+const KEY_PREFIX = 'zap:';
+const CHANGES_CHANNEL = `${KEY_PREFIX}changes`;
+const NODES_KEY = `${KEY_PREFIX}nodes`;
+const HEARTBEAT_INTERVAL = 5 * 1000;
+const NODE_TIMEOUT = 15 * 1000; // An instance that missed this many heartbeats is gone
+
+// JSON turns a Buffer into { type: 'Buffer', data: [...] } and back into nothing useful,
+// so list entries mark their Buffers explicitly.
+const encodeBinary = (value) => {
+  if (Buffer.isBuffer(value)) return { $base64: value.toString('base64') };
+  if (Array.isArray(value)) return value.map(encodeBinary);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, encodeBinary(field)]));
+  return value;
+};
+
+const decodeBinary = (value) => {
+  if (Array.isArray(value)) return value.map(decodeBinary);
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$base64' && typeof value.$base64 === 'string') return Buffer.from(value.$base64, 'base64');
+    return Object.fromEntries(keys.map(key => [key, decodeBinary(value[key])]));
+  }
+  return value;
+};
+
+const createTable = (name, write) => {
+  const rows = new Map();
+  return {
+    rows, // For the store itself; everyone else goes through the methods below.
+    get: key => rows.get(key),
+    has: key => rows.has(key),
+    set: (key, value) => {
+      rows.set(key, value);
+      write(name, key, value);
+    },
+    delete: (key) => {
+      rows.delete(key);
+      write(name, key, null);
+    },
+    // Deletes the row and resolves whether this call did: of several removing it at
+    // once, on any instance, exactly one gets true.
+    remove: async (key) => {
+      const found = rows.delete(key);
+      return (await write(name, key, null)) ?? found;
+    },
+    keys: () => rows.keys(),
+    values: () => rows.values(),
+    entries: () => rows.entries(),
+    get size() {
+      return rows.size;
+    },
+  };
+};
+
+// --- Memory Store ---
+// A single instance: nothing to share, and it is always the only instance alive.
+const createMemoryStore = () => {
+  const node = crypto.randomUUID();
+  const tables = new Map();
+  const lists = new Map(); // "name\nkey" -> entries
+  return {
+    node,
+    shared: false,
+    ready: Promise.resolve(),
+    adapter: null,
+    table: (name) => {
+      if (!tables.has(name)) tables.set(name, createTable(name, () => {}));
+      return tables.get(name);
+    },
+    list: name => ({
+      push: (key, value, max) => {
+        const entries = lists.get(`${name}\n${key}`) || [];
+        if (entries.length < max) entries.push(value);
+        lists.set(`${name}\n${key}`, entries);
+      },
+      take: async (key) => {
+        const entries = lists.get(`${name}\n${key}`) || [];
+        lists.delete(`${name}\n${key}`);
+        return entries;
+      },
+      delete: (key) => {
+        lists.delete(`${name}\n${key}`);
+      },
+    }),
+    liveNodes: async () => [node],
+    healthy: () => true,
+    close: async () => {},
+  };
+};
+
+// --- Redis Store ---
+// Each table is a Redis hash (zap:table:<name>) of JSON values; every write also goes out
+// on zap:changes as { node, table, key, value }, value null for a delete. Instances say
+// they are alive in the sorted set zap:nodes. Tables must be created before `ready`. Each
+// list is a Redis list (zap:list:<name>:<key>) of JSON entries, read only by `take`.
+const createRedisStore = ({ url, log }) => {
+  const { createClient } = require('redis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const node = crypto.randomUUID();
+  const client = createClient({ url });
+  const subscriber = client.duplicate();
+  const tables = new Map();
+  const unconfirmed = new Map(); // "table\nkey" -> writes of ours not back from Redis yet
+  let buffered = []; // Changes that came in while the tables were loading
+  let heartbeat = null;
+
+  client.on('error', error => log.error('Redis connection failed', { error: error.message }));
+  subscriber.on('error', error => log.error('Redis subscriber connection failed', { error: error.message }));
+
+  const write = (name, key, value) => {
+    const id = `${name}\n${key}`;
+    unconfirmed.set(id, (unconfirmed.get(id) || 0) + 1);
+    const hash = `${KEY_PREFIX}table:${name}`;
+    const multi = client.multi();
+    if (value === null) multi.hDel(hash, key);
+    else multi.hSet(hash, key, JSON.stringify(value));
+    multi.publish(CHANGES_CHANNEL, JSON.stringify({ node, table: name, key, value }));
+    // For a delete, whether the key was still in Redis; nothing when Redis can't be reached.
+    return multi.exec()
+      .then(([changed]) => changed > 0)
+      .catch(error => log.error('Could not write to Redis', { error: error.message, table: name }));
+  };
+
+  // Our own changes are already applied. Another instance's change is skipped while one
+  // of ours to the same key is still on its way: Redis ordered it after theirs.
+  const applyChange = ({ node: from, table: name, key, value }) => {
+    const id = `${name}\n${key}`;
+    if (from === node) {
+      const count = unconfirmed.get(id) - 1;
+      if (count > 0) unconfirmed.set(id, count);
+      else unconfirmed.delete(id);
+      return;
+    }
+    const table = tables.get(name);
+    if (!table || unconfirmed.has(id)) return;
+    if (value === null) table.rows.delete(key);
+    else table.rows.set(key, value);
+  };
+
+  const onChange = (message) => {
+    const change = JSON.parse(message);
+    if (buffered) buffered.push(change);
+    else applyChange(change);
+  };
+
+  // Fills every table from Redis, then catches up with what changed meanwhile. Also runs
+  // after a lost connection comes back, since changes sent in between never arrived.
+  const load = async () => {
+    buffered = buffered || [];
+    unconfirmed.clear();
+    for (const [name, table] of tables) {
+      const rows = await client.hGetAll(`${KEY_PREFIX}table:${name}`);
+      table.rows.clear();
+      for (const [key, value] of Object.entries(rows)) table.rows.set(key, JSON.parse(value));
+    }
+    const changes = buffered;
+    buffered = null;
+    changes.forEach(applyChange);
+  };
+
+  const beat = () => client.zAdd(NODES_KEY, { score: Date.now(), value: node })
+    .catch(error => log.error('Could not report to Redis', { error: error.message }));
+
+  const ready = (async () => {
+    await Promise.all([client.connect(), subscriber.connect()]);
+    await subscriber.subscribe(CHANGES_CHANNEL, onChange);
+    await load();
+    await beat();
+    heartbeat = setInterval(beat, HEARTBEAT_INTERVAL);
+    subscriber.on('ready', () => {
+      load().catch(error => log.error('Could not reload the shared state', { error: error.message }));
+    });
+    log.info('Sharing state through Redis', { node });
+  })();
+
+  return {
+    node,
+    shared: true,
+    ready,
+    adapter: createAdapter(client, subscriber),
+    table: (name) => {
+      if (!tables.has(name)) tables.set(name, createTable(name, write));
+      return tables.get(name);
+    },
+    list: (name) => {
+      const listKey = key => `${KEY_PREFIX}list:${name}:${key}`;
+      const failed = error => log.error('Could not write to Redis', { error: error.message, list: name });
+      return {
+        // Entries past `max` are dropped, like the memory store does.
+        push: (key, value, max) => {
+          client.multi().rPush(listKey(key), JSON.stringify(encodeBinary(value))).lTrim(listKey(key), 0, max - 1).exec().catch(failed);
+        },
+        take: async (key) => {
+          const [entries] = await client.multi().lRange(listKey(key), 0, -1).del(listKey(key)).exec();
+          return entries.map(entry => decodeBinary(JSON.parse(entry)));
+        },
+        delete: (key) => {
+          client.del(listKey(key)).catch(failed);
+        },
+      };
+    },
+    // Instances that sent a heartbeat lately, oldest ID first.
+    liveNodes: async () => {
+      const now = Date.now();
+      await client.zRemRangeByScore(NODES_KEY, 0, now - NODE_TIMEOUT);
+      return (await client.zRangeByScore(NODES_KEY, now - NODE_TIMEOUT, '+inf')).sort();
+    },
+    healthy: () => client.isReady && subscriber.isReady,
+    close: async () => {
+      clearInterval(heartbeat);
+      await client.zRem(NODES_KEY, node).catch(() => {});
+      await Promise.allSettled([client.close(), subscriber.close()]);
+    },
+  };
+};
+
+const createStore = ({ redisUrl, log }) => (redisUrl ? createRedisStore({ url: redisUrl, log }) : createMemoryStore());
+
+module.exports = { createStore, encodeBinary, decodeBinary };
@@ -0,0 +1,112 @@
+// backend/test/helpers.js
+
+// What the server tests share: servers in child processes, devices and their sockets.
+
+const crypto = require('crypto');
+const path = require('path');
+const { spawn } = require('child_process');
+const { io } = require('socket.io-client');
+
+const TIMEOUT = 5000;
+const servers = [];
+const sockets = [];
+
+// Starts server.js on `port` and resolves once it is ready. `env` is added to ours.
+const startServer = (port, env = {}) => new Promise((resolve, reject) => {
+  const server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), LOG_LEVEL: 'warn', ...env },
+    stdio: 'inherit',
+  });
+  servers.push(server);
+  server.once('exit', code => reject(new Error(`The server on port ${port} exited with ${code}`)));
+  const poll = async () => {
+    try {
+      if ((await fetch(`http://localhost:${port}/readyz`)).ok) return resolve();
+    } catch {
+      // Not listening yet
+    }
+    setTimeout(poll, 100);
+  };
+  poll();
+});
+
+// Closes every socket and stops every server the tests started.
+const stopAll = () => {
+  sockets.forEach(socket => socket.close());
+  servers.forEach(server => server.kill());
+};
+
+// Resolves with the first `event` payload that passes `check`.
+const nextEvent = (socket, event, check = () => true) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ${event} within ${TIMEOUT}ms`)), TIMEOUT);
+  const listener = (payload) => {
+    if (!check(payload)) return;
+    clearTimeout(timer);
+    socket.off(event, listener);
+    resolve(payload);
+  };
+  socket.on(event, listener);
+});
+
+// A device's secret, and the ID the server publishes for it (deviceIdFor in server.js).
+const newDevice = () => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { secret, deviceId: crypto.createHash('sha256').update(secret).digest('hex').slice(0, 32) };
+};
+
+const connect = (port) => {
+  const socket = io(`http://localhost:${port}`, { transports: ['websocket'], reconnection: false });
+  sockets.push(socket);
+  return socket;
+};
+
+const join = (socket, name, device) => new Promise(resolve => socket.emit('user-joined', { name, emoji: '🧪', device: device.secret }, resolve));
+
+const sees = (socket, deviceId, reconnecting = false) => nextEvent(socket, 'update-user-list', users => (
+  users.some(user => user.deviceId === deviceId && user.reconnecting === reconnecting)
+));
+
+// Joins a device on `port` once `watcher` is there to see it, and resolves with its socket and socket ID.
+const joinSeen = async (watcher, port, name) => {
+  const device = newDevice();
+  const seen = sees(watcher, device.deviceId);
+  const socket = connect(port);
+  await join(socket, name, device);
+  const id = (await seen).find(user => user.deviceId === device.deviceId).id;
+  return { socket, device, id };
+};
+
+const manifest = { label: 'a.txt', totalSize: 1, files: [{ name: 'a.txt', path: 'a.txt', size: 1, type: 'text/plain' }] };
+
+// Requests a transfer of `manifest` from `sender` to the socket `to`, and resolves with its ID.
+const requestTransfer = async (sender, to) => {
+  const { transferId } = await new Promise(resolve => sender.emit('file-request', { to, manifest }, resolve));
+  return transferId;
+};
+
+// The finished transfers the server on `port` counted, by outcome.
+const transferOutcomes = async (port) => {
+  const text = await (await fetch(`http://localhost:${port}/metrics`)).text();
+  const outcomes = {};
+  for (const [, outcome, count] of text.matchAll(/^zap_transfer_requests_total\{outcome="([^"]+)"\} (\d+)$/gm)) {
+    outcomes[outcome] = Number(count);
+  }
+  return outcomes;
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  startServer,
+  stopAll,
+  nextEvent,
+  newDevice,
+  connect,
+  join,
+  sees,
+  joinSeen,
+  manifest,
+  requestTransfer,
+  transferOutcomes,
+  delay,
+};
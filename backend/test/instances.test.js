@@ -0,0 +1,80 @@
+// backend/test/instances.test.js
+
+// Two server instances sharing one Redis, as in "Running Several Instances" in the
+// README: devices see each other across instances, requests reach them, a device that
+// comes back on the other instance gets what was sent to it while it was away, and a
+// transfer both instances end at once is recorded once.
+// Needs a Redis server: REDIS_URL=redis://localhost:6379 npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, stopAll, nextEvent, newDevice, connect, join, sees, joinSeen, requestTransfer, transferOutcomes, delay } = require('./helpers');
+
+const PORTS = [5301, 5302];
+
+const skip = !process.env.REDIS_URL && 'REDIS_URL is not set';
+
+before(async () => {
+  if (!skip) await Promise.all(PORTS.map(port => startServer(port)));
+});
+
+after(stopAll);
+
+test('devices on different instances see and reach each other', { skip }, async () => {
+  const alice = connect(PORTS[0]);
+  await join(alice, 'Alice', newDevice());
+  const bob = await joinSeen(alice, PORTS[1], 'Bob');
+
+  const requested = nextEvent(bob.socket, 'file-request');
+  const transferId = await requestTransfer(alice, bob.id);
+  assert.ok(transferId);
+  assert.equal((await requested).transferId, transferId);
+});
+
+// The outbox is written on the first instance and handed over on the second.
+test('a device that comes back on another instance gets the image sent meanwhile', { skip }, async () => {
+  const sender = connect(PORTS[0]);
+  await join(sender, 'Sender', newDevice());
+  const carol = await joinSeen(sender, PORTS[0], 'Carol');
+
+  const away = sees(sender, carol.device.deviceId, true);
+  carol.socket.close();
+  await away;
+
+  const image = crypto.randomBytes(64 * 1024);
+  const sent = await new Promise(resolve => sender.emit('message', { to: carol.id, image: { type: 'image/png', data: image } }, resolve));
+  assert.ok(sent.id);
+
+  const back = connect(PORTS[1]);
+  const replayed = nextEvent(back, 'message');
+  await join(back, 'Carol', carol.device);
+  const message = await replayed;
+  assert.equal(message.id, sent.id);
+  assert.ok(Buffer.isBuffer(message.image.data));
+  assert.ok(message.image.data.equals(image));
+});
+
+// The outcomes both instances counted, added up.
+const countedOutcomes = async () => {
+  const counts = await Promise.all(PORTS.map(transferOutcomes));
+  return counts.reduce((total, outcomes) => total + Object.values(outcomes).reduce((a, b) => a + b, 0), 0);
+};
+
+test('a transfer both parties end at once, on different instances, is counted once', { skip }, async () => {
+  const alice = connect(PORTS[0]);
+  await join(alice, 'Alice', newDevice());
+  const bob = await joinSeen(alice, PORTS[1], 'Bob');
+  const requested = nextEvent(bob.socket, 'file-request');
+  const transferId = await requestTransfer(alice, bob.id);
+  await requested;
+  const accepted = nextEvent(alice, 'file-accept');
+  bob.socket.emit('file-accept', { transferId });
+  await accepted;
+
+  const counted = await countedOutcomes();
+  bob.socket.emit('transfer-state', { transferId, state: 'done' });
+  alice.emit('transfer-state', { transferId, state: 'failed', reason: 'error' });
+  await delay(500);
+  assert.equal(await countedOutcomes(), counted + 1);
+});
@@ -0,0 +1,65 @@
+// backend/test/store.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore, encodeBinary, decodeBinary } = require('../store');
+
+const log = { info: () => {}, error: () => {} };
+const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x10]);
+const message = ['message', { id: 'm1', text: null, image: { type: 'image/png', data: image } }];
+
+test('binary payloads survive a trip through JSON', () => {
+  const [event, payload] = decodeBinary(JSON.parse(JSON.stringify(encodeBinary(message))));
+  assert.equal(event, 'message');
+  assert.ok(Buffer.isBuffer(payload.image.data));
+  assert.deepEqual(payload.image.data, image);
+  assert.equal(payload.text, null);
+});
+
+test('memory lists keep entries up to their limit and hand them out once', async () => {
+  const store = createStore({ redisUrl: null, log });
+  const outboxes = store.list('outbox');
+  outboxes.push('socket', 'first', 2);
+  outboxes.push('socket', 'second', 2);
+  outboxes.push('socket', 'third', 2);
+  assert.deepEqual(await outboxes.take('socket'), ['first', 'second']);
+  assert.deepEqual(await outboxes.take('socket'), []);
+});
+
+test('removing a row tells whether this call removed it', async () => {
+  const transfers = createStore({ redisUrl: null, log }).table('transfers');
+  transfers.set('t1', { id: 't1' });
+  assert.deepEqual(await Promise.all([transfers.remove('t1'), transfers.remove('t1')]), [true, false]);
+});
+
+// Needs a Redis server to share: REDIS_URL=redis://localhost:6379 npm test
+test('a list written on one instance is read intact on another', { skip: !process.env.REDIS_URL && 'REDIS_URL is not set' }, async () => {
+  const [first, second] = [createStore({ redisUrl: process.env.REDIS_URL, log }), createStore({ redisUrl: process.env.REDIS_URL, log })];
+  try {
+    await Promise.all([first.ready, second.ready]);
+    const key = `test-${Date.now()}`;
+    first.list('outbox').push(key, message, 10);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const [[event, payload]] = await second.list('outbox').take(key);
+    assert.equal(event, 'message');
+    assert.deepEqual(payload.image.data, image);
+  } finally {
+    await Promise.all([first.close(), second.close()]);
+  }
+});
+
+test('of two instances removing a row at once, exactly one does', { skip: !process.env.REDIS_URL && 'REDIS_URL is not set' }, async () => {
+  const [first, second] = [createStore({ redisUrl: process.env.REDIS_URL, log }), createStore({ redisUrl: process.env.REDIS_URL, log })];
+  const [mine, theirs] = [first.table('test-rows'), second.table('test-rows')];
+  try {
+    await Promise.all([first.ready, second.ready]);
+    const key = `test-${Date.now()}`;
+    mine.set(key, { key });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.ok(theirs.has(key));
+    const removed = await Promise.all([mine.remove(key), theirs.remove(key)]);
+    assert.deepEqual(removed.filter(Boolean), [true]);
+  } finally {
+    await Promise.all([first.close(), second.close()]);
+  }
+});
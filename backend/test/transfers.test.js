@@ -0,0 +1,59 @@
+// backend/test/transfers.test.js
+
+// How transfers end on a single instance, and what the server counts for them: only
+// the server's own handlers decide an outcome other than 'completed' or 'failed'.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopAll, nextEvent, newDevice, connect, join, joinSeen, requestTransfer, transferOutcomes, delay } = require('./helpers');
+
+const PORT = 5303;
+
+let sender;
+let receiver;
+
+// Requests a transfer from `sender` and has `receiver` accept it.
+const acceptedTransfer = async () => {
+  const requested = nextEvent(receiver.socket, 'file-request');
+  const transferId = await requestTransfer(sender, receiver.id);
+  await requested;
+  receiver.socket.emit('file-accept', { transferId });
+  await nextEvent(sender, 'file-accept');
+  return transferId;
+};
+
+// What the transfer outcomes grew by while `run` ran.
+const outcomesOf = async (run) => {
+  const start = await transferOutcomes(PORT);
+  await run();
+  await delay(200);
+  const end = await transferOutcomes(PORT);
+  return Object.fromEntries(Object.keys(end).filter(outcome => end[outcome] !== start[outcome]).map(outcome => [outcome, end[outcome] - start[outcome]]));
+};
+
+before(async () => {
+  await startServer(PORT, { REDIS_URL: '' });
+  sender = connect(PORT);
+  await join(sender, 'Sender', newDevice());
+  receiver = await joinSeen(sender, PORT, 'Receiver');
+});
+
+after(stopAll);
+
+test('a rejection the server saw counts as rejected', async () => {
+  const requested = nextEvent(receiver.socket, 'file-request');
+  const transferId = await requestTransfer(sender, receiver.id);
+  await requested;
+  assert.deepEqual(await outcomesOf(() => receiver.socket.emit('file-reject', { transferId })), { rejected: 1 });
+});
+
+test('a failure a device reports counts as failed, whatever reason it gives', async () => {
+  const transferId = await acceptedTransfer();
+  assert.deepEqual(await outcomesOf(() => sender.emit('transfer-state', { transferId, state: 'failed', reason: 'peer-disconnected' })), { failed: 1 });
+});
+
+test('only the receiver completes a transfer', async () => {
+  const transferId = await acceptedTransfer();
+  assert.deepEqual(await outcomesOf(() => sender.emit('transfer-state', { transferId, state: 'done' })), {});
+  assert.deepEqual(await outcomesOf(() => receiver.socket.emit('transfer-state', { transferId, state: 'done' })), { completed: 1 });
+});
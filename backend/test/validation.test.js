@@ -0,0 +1,12 @@
+// backend/test/validation.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePayload } = require('../validation');
+
+test('transfer reports carry one of the failures devices know', () => {
+  assert.equal(validatePayload('transfer-state', { transferId: 't1', state: 'done' }), null);
+  assert.equal(validatePayload('transfer-state', { transferId: 't1', state: 'failed', reason: 'corrupted' }), null);
+  assert.match(validatePayload('transfer-state', { transferId: 't1', state: 'failed', reason: 'rejected' }), /reason must be one of/);
+  assert.match(validatePayload('transfer-state', { transferId: 't1', state: 'failed', reason: 'x'.repeat(10) }), /reason must be one of/);
+});
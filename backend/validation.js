@@ -0,0 +1,242 @@
+// backend/validation.js
+
+// --- Payload Schemas ---
+// Every socket event payload is checked against a schema before its handler runs.
+// A schema is a plain object describing one value:
+//
+//   { type: 'string', max, pattern, optional }
+//   { type: 'integer', min, max, optional }
+//   { type: 'enum', values, optional }
+//   { type: 'object', fields, optional }        other keys are ignored
+//   { type: 'array', items, max, optional }
+//   { type: 'payload', max, optional }          a string or binary data (Buffer)
+//
+// `validate` returns a description of the first problem it finds, or null.
+
+const MAX_ID_LENGTH = 64;
+
+const describe = (path) => path || 'payload';
+
+const validate = (schema, value, path = '') => {
+  if (value === undefined || value === null) {
+    return schema.optional ? null : `${describe(path)} is required`;
+  }
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${describe(path)} must be a string`;
+      if (schema.max !== undefined && value.length > schema.max) return `${describe(path)} is longer than ${schema.max} characters`;
+      if (schema.pattern && !schema.pattern.test(value)) return `${describe(path)} is malformed`;
+      return null;
+    case 'integer':
+      if (!Number.isSafeInteger(value)) return `${describe(path)} must be an integer`;
+      if (schema.min !== undefined && value < schema.min) return `${describe(path)} must be at least ${schema.min}`;
+      if (schema.max !== undefined && value > schema.max) return `${describe(path)} must be at most ${schema.max}`;
+      return null;
+    case 'enum':
+      return schema.values.includes(value) ? null : `${describe(path)} must be one of ${schema.values.join(', ')}`;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value) || Buffer.isBuffer(value)) return `${describe(path)} must be an object`;
+      for (const [key, field] of Object.entries(schema.fields || {})) {
+        const error = validate(field, value[key], path ? `${path}.${key}` : key);
+        if (error) return error;
+      }
+      return null;
+    case 'array':
+      if (!Array.isArray(value)) return `${describe(path)} must be a list`;
+      if (schema.max !== undefined && value.length > schema.max) return `${describe(path)} has more than ${schema.max} entries`;
+      for (let i = 0; i < value.length; i++) {
+        const error = validate(schema.items, value[i], `${describe(path)}[${i}]`);
+        if (error) return error;
+      }
+      return null;
+    case 'payload': {
+      const size = Buffer.isBuffer(value) ? value.length : typeof value === 'string' ? Buffer.byteLength(value) : null;
+      if (size === null) return `${describe(path)} must be text or binary data`;
+      if (schema.max !== undefined && size > schema.max) return `${describe(path)} is larger than ${schema.max} bytes`;
+      return null;
+    }
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+};
+
+// --- Shared Pieces ---
+const id = { type: 'string', max: MAX_ID_LENGTH };
+const transferRef = { type: 'object', fields: { transferId: id } };
+
+// Why a device says its transfer failed (finishTransfer in frontend/src/app.jsx, reportState
+// in cli/zap.js): its own failures, and those the server closed the transfer for.
+const REPORTED_FAILURES = ['error', 'corrupted', 'no-connection', 'identity-mismatch', 'disconnected', 'peer-disconnected', 'expired', 'relay-limit'];
+
+const nickname = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', max: 64, pattern: /\S/ },
+    emoji: { type: 'string', max: 16 },
+  },
+};
+
+const manifest = {
+  type: 'object',
+  fields: {
+    label: { type: 'string', max: 1024 },
+    totalSize: { type: 'integer', min: 0 },
+    files: {
+      type: 'array',
+      max: 100000,
+      items: {
+        type: 'object',
+        fields: {
+          name: { type: 'string', max: 1024 },
+          path: { type: 'string', max: 4096 },
+          size: { type: 'integer', min: 0 },
+          type: { type: 'string', max: 256, optional: true },
+        },
+      },
+    },
+    // What the sender shows of one file before it is accepted: a data: URL of a thumbnail,
+    // or the first lines of a text file. Its size is limited by MAX_PREVIEW_SIZE (config.js).
+    preview: {
+      type: 'object',
+      optional: true,
+      fields: {
+        fileIndex: { type: 'integer', min: 0 },
+        kind: { type: 'enum', values: ['image', 'text'] },
+        data: { type: 'string', max: 512 * 1024 },
+      },
+    },
+  },
+};
+
+const sessionDescription = {
+  type: 'object',
+  fields: {
+    type: { type: 'enum', values: ['offer', 'answer'] },
+    sdp: { type: 'string', max: 64 * 1024 },
+  },
+};
+
+// --- Event Schemas ---
+// `null` means the event carries no payload.
+const schemas = {
+  'user-joined': {
+    type: 'object',
+    fields: {
+      ...nickname.fields,
+      fingerprint: { type: 'string', pattern: /^[0-9a-f]{64}$/, optional: true },
+      device: { type: 'string', pattern: /^[0-9a-f]{64}$/ },
+    },
+  },
+  'update-nickname': nickname,
+  'room-join': {
+    type: 'object',
+    fields: {
+      name: { type: 'string', max: 256 },
+      code: { type: 'string', max: 256, optional: true },
+    },
+  },
+  'room-leave': null,
+  'pair-create': null,
+  'pair-cancel': null,
+  'pair-join': {
+    type: 'object',
+    fields: {
+      code: { type: 'string', pattern: /^\d{6}$/, optional: true },
+      token: { type: 'string', pattern: /^[0-9a-f]{32}$/, optional: true },
+    },
+  },
+  'file-request': {
+    type: 'object',
+    fields: {
+      to: id,
+      manifest,
+      // 'relay' when the sender can only send through the relay (the command-line client).
+      transport: { type: 'enum', values: ['direct', 'relay'], optional: true },
+    },
+  },
+  // Text and small images, shown to the receiver right away (frontend/src/lib/messages.js).
+  message: {
+    type: 'object',
+    fields: {
+      to: id,
+      text: { type: 'string', max: 64 * 1024, optional: true },
+      image: {
+        type: 'object',
+        optional: true,
+        fields: {
+          type: { type: 'string', max: 64, pattern: /^image\/[\w.+-]+$/ },
+          data: { type: 'payload', max: 2 * 1024 * 1024 },
+        },
+      },
+    },
+  },
+  // With a relayId, the receiver has opened a relay connection and the sender skips WebRTC.
+  // `compression` lists the formats the receiver can decompress (see lib/compression.js).
+  'file-accept': {
+    type: 'object',
+    fields: {
+      transferId: id,
+      relayId: { ...id, optional: true },
+      compression: { type: 'array', max: 8, items: { type: 'string', max: 32 }, optional: true },
+    },
+  },
+  'file-reject': transferRef,
+  'transfer-resume': {
+    type: 'object',
+    fields: {
+      transferId: id,
+      fileIndex: { type: 'integer', min: 0 },
+      chunkIndex: { type: 'integer', min: 0 },
+      chunkSize: { type: 'integer', min: 1, optional: true },
+      relayId: { ...id, optional: true },
+    },
+  },
+  'transfer-resume-reject': transferRef,
+  'webrtc-offer': { type: 'object', fields: { transferId: id, offer: sessionDescription } },
+  'webrtc-answer': { type: 'object', fields: { transferId: id, answer: sessionDescription } },
+  'webrtc-ice-candidate': {
+    type: 'object',
+    fields: {
+      transferId: id,
+      candidate: {
+        type: 'object',
+        fields: {
+          candidate: { type: 'string', max: 1024 },
+          sdpMid: { type: 'string', max: 64, optional: true },
+          sdpMLineIndex: { type: 'integer', min: 0, optional: true },
+        },
+      },
+    },
+  },
+  relay: {
+    type: 'object',
+    fields: {
+      transferId: id,
+      connectionId: id,
+      type: { type: 'enum', values: ['open', 'message', 'close'] },
+      label: { type: 'string', max: 32 },
+      payload: { type: 'payload', optional: true },
+    },
+  },
+  'transfer-cancel': transferRef,
+  'transfer-state': {
+    type: 'object',
+    fields: {
+      transferId: id,
+      state: { type: 'enum', values: ['done', 'failed'] },
+      reason: { type: 'enum', values: REPORTED_FAILURES, optional: true },
+    },
+  },
+};
+
+// Returns the problem with `data` as a payload of `event`, or null if it is fine.
+const validatePayload = (event, data) => {
+  if (!(event in schemas)) return `unknown event ${event}`;
+  const schema = schemas[event];
+  if (schema === null) return null;
+  return validate(schema, data);
+};
+
+module.exports = {
+  validatePayload,
+};
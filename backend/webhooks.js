@@ -0,0 +1,54 @@
+// backend/webhooks.js
+
+const crypto = require('crypto');
+
+// --- Webhooks ---
+// Transfer lifecycle events are POSTed as JSON to the URLs in the config (see config.js):
+//
+//   { "event": "transfer.completed", "sentAt": "2026-01-01T12:00:00.000Z", "transfer": { ... } }
+//
+// `transfer` is what GET /api/transfers lists. With a secret, the X-Zap-Signature header
+// holds "sha256=" and the hex HMAC-SHA256 of the body, so receivers can tell the call came
+// from this server. Failed deliveries are retried a few times, then dropped: webhooks
+// are notifications, and a slow endpoint must never hold up a transfer.
+
+const DELIVERY_TIMEOUT = 5 * 1000;
+const RETRY_DELAYS = [2 * 1000, 10 * 1000, 60 * 1000];
+
+const sign = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const post = async ({ url, secret }, event, body, log, attempt = 0) => {
+  let problem;
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Zap-Webhook',
+        'X-Zap-Event': event,
+        ...(secret && { 'X-Zap-Signature': sign(secret, body) }),
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+    });
+    if (response.ok) return;
+    problem = `answered ${response.status}`;
+  } catch (error) {
+    problem = error.message;
+  }
+  if (attempt < RETRY_DELAYS.length) {
+    setTimeout(() => post({ url, secret }, event, body, log, attempt + 1), RETRY_DELAYS[attempt]);
+  } else {
+    log.warn('Gave up delivering a webhook', { event, url, problem });
+  }
+};
+
+// Returns `notify(event, transfer)`, which sends the event to every webhook that wants it.
+const createWebhooks = (hooks, log) => (event, transfer) => {
+  const body = JSON.stringify({ event, sentAt: new Date().toISOString(), transfer });
+  for (const hook of hooks) {
+    if (hook.events.includes(event)) post(hook, event, body, log);
+  }
+};
+
+module.exports = { createWebhooks };
@@ -0,0 +1,90 @@
+// cli/client.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const CLI_EMOJI = '💻';
+const CONNECT_TIMEOUT = 10 * 1000;
+
+// --- Device State ---
+// Like a browser's localStorage entry (frontend/src/lib/device.js): the secret the server
+// derives our device ID from, and the nickname. Keeping them means a script that runs
+// `zap` again and again shows up as the same device every time.
+const statePath = () => process.env.ZAP_CLI_STATE || path.join(os.homedir(), '.zap-cli.json');
+
+const loadState = (name) => {
+  let state = {};
+  try {
+    state = JSON.parse(fs.readFileSync(statePath(), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Could not read ${statePath()}: ${error.message}`);
+  }
+  const next = {
+    secret: /^[0-9a-f]{64}$/.test(state.secret) ? state.secret : crypto.randomBytes(32).toString('hex'),
+    name: name || state.name || os.hostname(),
+  };
+  if (next.secret !== state.secret || next.name !== state.name) {
+    fs.writeFileSync(statePath(), JSON.stringify(next, null, 2), { mode: 0o600 });
+  }
+  return next;
+};
+
+// --- Server Connection ---
+const fetchConfig = async (server) => {
+  const response = await fetch(`${server}/api/config`, { cache: 'no-store' });
+  if (!response.ok) throw new Error(`${server} answered ${response.status}`);
+  return response.json();
+};
+
+const emitWithAck = (socket, event, data) => new Promise((resolve, reject) => {
+  socket.timeout(CONNECT_TIMEOUT).emit(event, data, (error, result = {}) => {
+    if (error) reject(new Error(`The server did not answer ${event}`));
+    else if (result.error) reject(new Error(result.error));
+    else resolve(result);
+  });
+});
+
+// Connects, joins as this device and moves to the room asked for (`room`/`code` or a
+// pairing `pair` code), and resolves once the first user list of that room is in.
+// The CLI does not reconnect: a lost connection ends the command.
+const connect = async ({ server, name, room, code, pair }) => {
+  const state = loadState(name);
+  const config = await fetchConfig(server);
+
+  const socket = io(server, { reconnection: false, timeout: CONNECT_TIMEOUT });
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', error => reject(new Error(`Could not connect to ${server}: ${error.message}`)));
+  });
+
+  let users = [];
+  let listed;
+  const firstList = new Promise((resolve) => { listed = resolve; });
+  socket.on('update-user-list', (list) => {
+    users = list;
+    listed();
+  });
+
+  const { deviceId } = await emitWithAck(socket, 'user-joined', { name: state.name, emoji: CLI_EMOJI, device: state.secret });
+  if (room) {
+    await emitWithAck(socket, 'room-join', { name: room, ...(code && { code }) });
+  } else if (pair) {
+    await emitWithAck(socket, 'pair-join', { code: pair });
+  }
+  await firstList;
+
+  return {
+    socket,
+    config,
+    deviceId,
+    name: state.name,
+    // Everyone else in the room.
+    peers: () => users.filter(user => user.deviceId !== deviceId),
+    close: () => socket.close(),
+  };
+};
+
+module.exports = { connect };
@@ -0,0 +1,43 @@
+// cli/compression.js
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+// --- Chunk Compression ---
+// The formats of frontend/src/lib/compression.js, with zlib: a receiver lists the ones it
+// can decompress in `file-accept`, the sender names the one it uses in `transfer-start`.
+// The CLI only knows a file's type by its extension, so that decides what is worth trying.
+
+const FORMATS = {
+  deflate: { compress: promisify(zlib.deflate), decompress: promisify(zlib.inflate) },
+  gzip: { compress: promisify(zlib.gzip), decompress: promisify(zlib.gunzip) },
+};
+const COMPRESSION_FORMATS = Object.keys(FORMATS); // Most preferred first
+const MIN_SAVING = 0.1; // A chunk must shrink by this share, or its file is sent raw
+
+const COMPRESSED_EXTENSIONS = /\.(zip|gz|tgz|bz2|xz|zst|7z|rar|jar|apk|epub|docx|xlsx|pptx|odt|ods|odp|jpe?g|png|gif|webp|avif|heic|mp3|m4a|aac|ogg|opus|flac|mp4|m4v|mov|mkv|webm)$/i;
+
+const chooseCompression = (offered) => (Array.isArray(offered)
+  ? COMPRESSION_FORMATS.find(format => offered.includes(format)) || null
+  : null);
+
+const isCompressible = (fileName) => !COMPRESSED_EXTENSIONS.test(fileName);
+
+const isWorthIt = (rawSize, compressedSize) => compressedSize <= rawSize * (1 - MIN_SAVING);
+
+const compress = (data, format) => FORMATS[format].compress(data);
+
+// Rejects for data that is not valid in `format`, as for an unknown format.
+const decompress = async (data, format) => {
+  if (!FORMATS[format]) throw new Error(`Unknown compression format ${format}`);
+  return FORMATS[format].decompress(data);
+};
+
+module.exports = {
+  COMPRESSION_FORMATS,
+  chooseCompression,
+  isCompressible,
+  isWorthIt,
+  compress,
+  decompress,
+};
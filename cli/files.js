@@ -0,0 +1,116 @@
+// cli/files.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Browsers send the MIME type with every file; the CLI guesses it from the extension,
+// for servers that restrict file types (ALLOWED_FILE_TYPES) and for the receiver's preview.
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+};
+
+const mimeType = (fileName) => MIME_TYPES[path.extname(fileName).toLowerCase()] || '';
+
+// --- Selection ---
+// Files and folders from the command line, as [{ source, path, size }]: `source` is where
+// the file is on disk, `path` where it goes on the receiver (folders keep their name).
+const walk = (source, relative, selection) => {
+  const stats = fs.statSync(source);
+  if (stats.isDirectory()) {
+    for (const entry of fs.readdirSync(source).sort()) {
+      walk(path.join(source, entry), `${relative}/${entry}`, selection);
+    }
+  } else if (stats.isFile()) {
+    selection.push({ source, path: relative, size: stats.size });
+  }
+};
+
+const selectionFromPaths = (paths) => {
+  const selection = [];
+  for (const given of paths) {
+    walk(path.resolve(given), path.basename(path.resolve(given)), selection);
+  }
+  return selection;
+};
+
+// The same manifest browsers build (frontend/src/lib/files.js).
+const buildManifest = (selection) => {
+  const files = selection.map(({ path: filePath, size }) => {
+    const name = path.posix.basename(filePath);
+    return { name, path: filePath, size, type: mimeType(name) };
+  });
+  const totalSize = files.reduce((sum, f) => sum + f.size, 0);
+  const rootFolders = new Set(files.map(f => f.path.includes('/') ? f.path.split('/')[0] : null));
+  let label;
+  if (files.length === 1) {
+    label = files[0].name;
+  } else if (rootFolders.size === 1 && !rootFolders.has(null)) {
+    label = [...rootFolders][0];
+  } else {
+    label = `${files.length} files`;
+  }
+  return { label, totalSize, files };
+};
+
+// --- Previews ---
+// Of what frontend/src/lib/previews.js makes, the CLI only makes text previews: the
+// first lines of the first text file, within the server's maxPreviewSize.
+const PREVIEW_LINES = 12;
+const PREVIEW_READ_BYTES = 4096;
+
+const isText = type => type.startsWith('text/') || type === 'application/json';
+
+const buildPreview = (selection, manifest, maxSize) => {
+  const fileIndex = manifest.files.findIndex(({ type }) => isText(type));
+  if (!maxSize || fileIndex === -1) return null;
+  const fd = fs.openSync(selection[fileIndex].source, 'r');
+  const head = Buffer.alloc(Math.min(PREVIEW_READ_BYTES, selection[fileIndex].size));
+  try {
+    fs.readSync(fd, head, 0, head.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (head.includes(0)) return null; // Binary after all
+  let data = head.toString('utf8').split(/\r?\n/).slice(0, PREVIEW_LINES).join('\n').trimEnd();
+  while (data && Buffer.byteLength(data) > maxSize) data = data.slice(0, Math.floor(data.length / 2));
+  return data ? { fileIndex, kind: 'text', data } : null;
+};
+
+// --- Output Paths ---
+// Where a received file goes inside `outDir`. Paths come from the other device, so
+// anything that would climb out of `outDir` is dropped, and existing files are kept:
+// "report.pdf" becomes "report (1).pdf".
+const outputPath = (outDir, manifestPath) => {
+  const parts = manifestPath.split(/[\\/]/).filter(part => part && part !== '.' && part !== '..');
+  const target = path.join(outDir, ...(parts.length > 0 ? parts : ['file']));
+  const { dir, name, ext } = path.parse(target);
+  let candidate = target;
+  for (let n = 1; fs.existsSync(candidate); n++) {
+    candidate = path.join(dir, `${name} (${n})${ext}`);
+  }
+  return candidate;
+};
+
+module.exports = {
+  selectionFromPaths,
+  buildManifest,
+  buildPreview,
+  outputPath,
+};
@@ -0,0 +1,66 @@
+// cli/progress.js
+
+// --- Terminal Output ---
+// Progress goes to stderr, so `zap list` and the paths `zap receive` prints can be piped.
+// On a terminal each transfer gets a bar that redraws in place; otherwise (logs, CI)
+// a line is printed every 25%.
+
+const BAR_WIDTH = 24;
+const REDRAW_INTERVAL = 100; // ms
+const out = process.stderr;
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+};
+
+// A message on its own line, without breaking a bar that is being drawn.
+const log = (message) => {
+  if (out.isTTY) {
+    out.clearLine(0);
+    out.cursorTo(0);
+  }
+  out.write(`${message}\n`);
+};
+
+class ProgressBar {
+  constructor(label, total) {
+    this.label = label;
+    this.total = total;
+    this.startedAt = Date.now();
+    this.lastDraw = 0;
+    this.lastQuarter = 0;
+  }
+
+  update(bytes) {
+    const fraction = this.total ? Math.min(1, bytes / this.total) : 1;
+    if (!out.isTTY) {
+      const quarter = Math.floor(fraction * 4);
+      if (quarter > this.lastQuarter && quarter < 4) log(`${this.label}: ${quarter * 25}%`);
+      this.lastQuarter = quarter;
+      return;
+    }
+    const now = Date.now();
+    if (now - this.lastDraw < REDRAW_INTERVAL && fraction < 1) return;
+    this.lastDraw = now;
+    const filled = Math.round(fraction * BAR_WIDTH);
+    const speed = bytes / Math.max(0.001, (now - this.startedAt) / 1000);
+    out.clearLine(0);
+    out.cursorTo(0);
+    out.write(`${this.label} [${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ${String(Math.round(fraction * 100)).padStart(3)}% ${formatBytes(speed)}/s`);
+  }
+
+  done(message, completed = false) {
+    const seconds = ((Date.now() - this.startedAt) / 1000).toFixed(1);
+    log(`${this.label}: ${message}${completed ? ` (${formatBytes(this.total)} in ${seconds}s)` : ''}`);
+  }
+}
+
+module.exports = { formatBytes, log, ProgressBar };
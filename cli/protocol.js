@@ -0,0 +1,54 @@
+// cli/protocol.js
+
+const crypto = require('crypto');
+
+// --- Data Channel Framing ---
+// The same frames as frontend/src/lib/protocol.js, so the CLI and browsers understand
+// each other: control messages as JSON strings, file content as binary frames of
+//
+//   [u32 fileIndex][u32 chunkIndex][32-byte SHA-256 of payload][...payload]
+//
+// A compressed payload sets the top bit of fileIndex; the digest is still over the
+// chunk as stored (see compression.js).
+
+const SHA256_LENGTH = 32;
+const COMPRESSED_BIT = 0x80000000;
+const CHUNK_HEADER_SIZE = 8 + SHA256_LENGTH;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// `compressed` is `payload` compressed, when that is what goes on the wire.
+const encodeChunk = (fileIndex, chunkIndex, payload, compressed = null) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(compressed ? (fileIndex | COMPRESSED_BIT) >>> 0 : fileIndex, 0);
+  header.writeUInt32BE(chunkIndex, 4);
+  return Buffer.concat([header, sha256(payload), compressed || payload]);
+};
+
+// `frame` is a Buffer: socket.io hands binary relay payloads to Node as Buffers.
+const decodeChunk = (frame) => ({
+  fileIndex: (frame.readUInt32BE(0) & ~COMPRESSED_BIT) >>> 0,
+  compressed: (frame.readUInt32BE(0) & COMPRESSED_BIT) !== 0,
+  chunkIndex: frame.readUInt32BE(4),
+  digest: frame.subarray(8, CHUNK_HEADER_SIZE),
+  payload: frame.subarray(CHUNK_HEADER_SIZE),
+});
+
+const encodeControl = (message) => JSON.stringify(message);
+
+const decodeControl = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  CHUNK_HEADER_SIZE,
+  sha256,
+  encodeChunk,
+  decodeChunk,
+  encodeControl,
+  decodeControl,
+};
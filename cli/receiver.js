@@ -0,0 +1,222 @@
+// cli/receiver.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sha256, decodeChunk, encodeControl, decodeControl } = require('./protocol');
+const { outputPath } = require('./files');
+const { decompress } = require('./compression');
+
+// --- Receiver Tuning ---
+const ACK_EVERY = 8; // Tell the sender after this many consumed chunks
+const MAX_INTEGRITY_RETRIES = 3; // Resend requests per file before the transfer fails
+const PART_SUFFIX = '.zap-part'; // Files are written under this name until they are verified
+
+const chunkKey = (fileIndex, chunkIndex) => `${fileIndex}:${chunkIndex}`;
+
+// --- Transfer Receiver ---
+// The CLI's end of frontend/src/lib/receiver.js: chunks are put back in order, checked
+// against their SHA-256 and written to `outDir`; each file is checked against the
+// sender's digest before it gets its real name. Messages are handled one at a time
+// through a queue, so writes never interleave. `done` resolves with { status, reason }
+// and the paths of the files that were saved.
+class TransferReceiver {
+  constructor({ relay, manifest, outDir, onProgress, onLog }) {
+    this.relay = relay;
+    this.manifest = manifest;
+    this.outDir = outDir;
+    this.callbacks = { onProgress, onLog };
+    this.queue = Promise.resolve();
+    this.chunkSize = null;
+    this.compression = null; // Named by the sender in transfer-start
+    this.fileIndex = 0;
+    this.chunkIndex = 0; // Next chunk to write in the current file
+    this.receivedBytes = 0;
+    this.file = null; // { target, partPath, handle, hash } of the file being written
+    this.saved = [];
+    this.pending = new Map();
+    this.fileEnds = new Map();
+    this.transferEnded = false;
+    this.consumed = 0;
+    this.acked = 0;
+    this.retries = {};
+    this.finished = false;
+    this.done = new Promise((resolve) => { this.resolveDone = resolve; });
+
+    relay.onmessage = (label, data) => {
+      this.queue = this.queue
+        .then(() => this.handle(data))
+        .catch(error => this.fail('error', `Failed to store received data: ${error.message}`));
+    };
+  }
+
+  send(message) {
+    if (this.relay.open.has('zap-control')) this.relay.send('zap-control', encodeControl(message)).catch(() => {});
+  }
+
+  ack(force = false) {
+    if (force || this.consumed - this.acked >= ACK_EVERY) {
+      this.send({ type: 'ack', consumed: this.consumed });
+      this.acked = this.consumed;
+    }
+  }
+
+  isBehind({ fileIndex, chunkIndex }) {
+    return fileIndex < this.fileIndex || (fileIndex === this.fileIndex && chunkIndex < this.chunkIndex);
+  }
+
+  async handle(data) {
+    if (this.finished) return;
+
+    if (typeof data === 'string') {
+      const message = decodeControl(data);
+      if (!message) return;
+      if (message.type === 'transfer-start') {
+        this.chunkSize = this.chunkSize || message.chunkSize;
+        this.compression = message.compression || null;
+      } else if (message.type === 'file-end') {
+        this.fileEnds.set(message.index, message);
+      } else if (message.type === 'transfer-end') {
+        this.transferEnded = true;
+      } else if (message.type === 'transfer-failed') {
+        await this.fail(message.reason, `The sender stopped the transfer (${message.reason}).`, false);
+        return;
+      } else if (message.type === 'transfer-pause' || message.type === 'transfer-continue') {
+        this.callbacks.onLog?.(message.type === 'transfer-pause' ? 'The sender paused the transfer.' : 'The sender continued the transfer.');
+      } else if (message.type === 'transfer-cancel') {
+        await this.fail('cancelled-by-peer', 'The sender cancelled the transfer.', false);
+        return;
+      }
+    } else {
+      const frame = decodeChunk(data);
+      if (this.isBehind(frame)) {
+        this.consumed += 1; // Already written before a resend
+      } else {
+        this.pending.set(chunkKey(frame.fileIndex, frame.chunkIndex), frame);
+      }
+    }
+
+    await this.drain();
+    this.ack();
+  }
+
+  async openFile() {
+    if (this.file) return;
+    const target = outputPath(this.outDir, this.manifest.files[this.fileIndex].path);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const partPath = target + PART_SUFFIX;
+    this.file = { target, partPath, handle: await fs.promises.open(partPath, 'w'), hash: crypto.createHash('sha256') };
+  }
+
+  async closeFile() {
+    await this.file.handle.close();
+    await fs.promises.rename(this.file.partPath, this.file.target);
+    this.saved.push(this.file.target);
+    this.file = null;
+  }
+
+  // Writes everything that is next in line, file by file.
+  async drain() {
+    const { files } = this.manifest;
+    while (!this.finished && this.chunkSize) {
+      if (this.fileIndex >= files.length) {
+        if (this.transferEnded) this.complete();
+        return;
+      }
+
+      const entry = files[this.fileIndex];
+      const chunkCount = Math.ceil(entry.size / this.chunkSize);
+      await this.openFile();
+
+      if (this.chunkIndex < chunkCount) {
+        const key = chunkKey(this.fileIndex, this.chunkIndex);
+        const frame = this.pending.get(key);
+        if (!frame) return;
+        this.pending.delete(key);
+        this.consumed += 1;
+        // A chunk that does not decompress is as corrupted as one that does not verify.
+        const payload = frame.compressed ? await decompress(frame.payload, this.compression).catch(() => null) : frame.payload;
+        if (!payload || !sha256(payload).equals(frame.digest)) {
+          this.callbacks.onLog?.(`Chunk ${frame.chunkIndex} of ${entry.path} is corrupted. Requesting it again.`);
+          await this.requestResend(frame.fileIndex, frame.chunkIndex, false);
+          return;
+        }
+        await this.file.handle.write(payload, 0, payload.length, frame.chunkIndex * this.chunkSize);
+        this.file.hash.update(payload);
+        this.chunkIndex += 1;
+        this.receivedBytes += payload.length;
+        this.callbacks.onProgress?.(this.receivedBytes);
+        continue;
+      }
+
+      const fileEnd = this.fileEnds.get(this.fileIndex);
+      if (!fileEnd) return;
+      this.fileEnds.delete(this.fileIndex);
+      if (this.file.hash.digest('hex') !== fileEnd.digest) {
+        this.callbacks.onLog?.(`${entry.path} does not match the sender's SHA-256. Requesting it again.`);
+        await this.restartFile();
+        return;
+      }
+      await this.closeFile();
+      this.fileIndex += 1;
+      this.chunkIndex = 0;
+    }
+  }
+
+  async requestResend(fileIndex, chunkIndex, restart) {
+    const retries = (this.retries[fileIndex] || 0) + 1;
+    if (retries > MAX_INTEGRITY_RETRIES) {
+      await this.fail('corrupted', `${this.manifest.files[fileIndex].path} kept failing verification. Giving up.`);
+      return;
+    }
+    this.retries[fileIndex] = retries;
+    this.send({ type: 'chunk-resend', fileIndex, chunkIndex, restart });
+    this.ack(true);
+  }
+
+  // The written bytes don't add up to the sender's file, so start the file over.
+  async restartFile() {
+    await this.file.handle.truncate(0);
+    this.file.hash = crypto.createHash('sha256');
+    this.receivedBytes -= Math.min(this.chunkIndex * this.chunkSize, this.manifest.files[this.fileIndex].size);
+    this.chunkIndex = 0;
+    // Everything held back is sent again after the rewind.
+    this.consumed += this.pending.size;
+    this.pending.clear();
+    this.fileEnds.clear();
+    this.transferEnded = false;
+    await this.requestResend(this.fileIndex, 0, true);
+  }
+
+  cancel() {
+    this.send({ type: 'transfer-cancel' });
+    return this.fail('cancelled', 'Cancelled.', false);
+  }
+
+  complete() {
+    this.finished = true;
+    this.send({ type: 'transfer-complete' });
+    this.relay.close();
+    this.resolveDone({ status: 'completed', files: this.saved });
+  }
+
+  // Nothing of an unfinished file is kept; files that were already verified stay. The
+  // message being handled may still be opening or writing the file, so it goes after that.
+  fail(reason, message, notifySender = true) {
+    if (this.finished) return;
+    this.finished = true;
+    this.callbacks.onLog?.(message);
+    if (notifySender) this.send({ type: 'transfer-failed', reason });
+    this.relay.close();
+    this.queue = this.queue.then(async () => {
+      if (this.file) {
+        await this.file.handle.close().catch(() => {});
+        await fs.promises.rm(this.file.partPath, { force: true }).catch(() => {});
+        this.file = null;
+      }
+      this.resolveDone({ status: reason === 'cancelled' || reason === 'cancelled-by-peer' ? 'cancelled' : 'failed', reason, files: this.saved });
+    });
+  }
+}
+
+module.exports = { TransferReceiver };
@@ -0,0 +1,70 @@
+// cli/relay.js
+
+const crypto = require('crypto');
+
+// --- Relay Connection ---
+// Node has no WebRTC, so the CLI always moves data through the server relay (the
+// `relay` event, see backend/server.js). This is the relay end that browsers implement
+// in frontend/src/lib/relay.js, reduced to what the CLI needs: channels are named,
+// `send` resolves once the server forwarded the message, and `buffered` counts the
+// bytes it has not forwarded yet, which the sender uses for backpressure.
+class RelayConnection {
+  constructor(socket, transferId, connectionId = crypto.randomUUID()) {
+    this.socket = socket;
+    this.transferId = transferId;
+    this.connectionId = connectionId;
+    this.open = new Set(); // Labels of open channels
+    this.buffered = 0;
+    this.closed = false;
+    this.onchannel = null; // (label) => {}
+    this.onmessage = null; // (label, data) => {}
+    this.onclose = null; // (label) => {}
+    this.onerror = null; // (error) => {}
+    this.handleRelay = (message) => this.receive(message);
+    socket.on('relay', this.handleRelay);
+  }
+
+  emit(type, label, payload = null) {
+    const { transferId, connectionId } = this;
+    return new Promise((resolve) => {
+      this.socket.emit('relay', { transferId, connectionId, type, label, payload }, (result = {}) => resolve(result));
+    });
+  }
+
+  async openChannel(label) {
+    const { error } = await this.emit('open', label);
+    if (error) throw new Error(`The relay refused the channel: ${error}`);
+    this.open.add(label);
+  }
+
+  async send(label, data) {
+    if (this.closed || !this.open.has(label)) throw new Error(`Relay channel ${label} is not open`);
+    const size = typeof data === 'string' ? Buffer.byteLength(data) : data.length;
+    this.buffered += size;
+    const { error } = await this.emit('message', label, data);
+    this.buffered -= size;
+    if (error && !this.closed) this.onerror?.(new Error(`The relay refused data: ${error}`));
+  }
+
+  receive({ transferId, connectionId, type, label, payload }) {
+    if (this.closed || transferId !== this.transferId || connectionId !== this.connectionId) return;
+    if (type === 'open') {
+      this.open.add(label);
+      this.onchannel?.(label);
+    } else if (type === 'message') {
+      if (this.open.has(label)) this.onmessage?.(label, payload);
+    } else if (type === 'close') {
+      if (this.open.delete(label)) this.onclose?.(label);
+    }
+  }
+
+  close() {
+    if (this.closed) return;
+    for (const label of this.open) this.emit('close', label);
+    this.open.clear();
+    this.closed = true;
+    this.socket.off('relay', this.handleRelay);
+  }
+}
+
+module.exports = { RelayConnection };
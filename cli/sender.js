@@ -0,0 +1,246 @@
+// cli/sender.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { encodeChunk, encodeControl, decodeControl } = require('./protocol');
+const { compress, isCompressible, isWorthIt } = require('./compression');
+const { formatBytes } = require('./progress');
+
+// --- Sender Tuning ---
+const CONTROL = 'zap-control';
+const DATA = 'zap-data-0'; // The relay forwards in order anyway, so one data channel is enough
+const MAX_BUFFERED_BYTES = 1024 * 1024; // Not yet forwarded by the server
+const SEND_WINDOW_BYTES = 8 * 1024 * 1024; // Chunks the receiver has not consumed yet, at most
+const MIN_SEND_WINDOW = 32; // chunks
+
+// --- Transfer Sender ---
+// The CLI's end of frontend/src/lib/sender.js: the same control messages, frames, window
+// and integrity resends, over a RelayConnection. A receiver that lost its connection can
+// ask to resume, which hands the sender a new relay and a place to continue from
+// (`connect`). `done` resolves with { status, reason } once the transfer is over.
+class TransferSender {
+  constructor({ selection, chunkSize, onProgress, onLog }) {
+    this.selection = selection;
+    this.chunkSize = chunkSize;
+    this.compression = null;
+    this.compressible = selection.map(() => false);
+    this.rawBytes = 0;
+    this.wireBytes = 0;
+    this.totalSize = selection.reduce((sum, { size }) => sum + size, 0);
+    this.callbacks = { onProgress, onLog };
+    this.handles = new Map(); // fileIndex -> Promise<FileHandle>
+    this.relay = null;
+    this.finished = false;
+    this.waiters = [];
+    this.done = new Promise((resolve) => { this.resolveDone = resolve; });
+  }
+
+  // Bytes on the wire per byte of the files, 1 without compression.
+  get compressionRatio() {
+    return this.rawBytes > 0 ? this.wireBytes / this.rawBytes : 1;
+  }
+
+  // The format the receiver accepted with (compression.js), or null to send files as they are.
+  useCompression(format) {
+    this.compression = format;
+    this.compressible = this.selection.map(({ path }) => Boolean(format) && isCompressible(path));
+  }
+
+  get windowSize() {
+    return Math.max(MIN_SEND_WINDOW, Math.ceil(SEND_WINDOW_BYTES / this.chunkSize));
+  }
+
+  // Whether `relay` is still the one to send on. After a resume, passes over the old one stop.
+  isOpen(relay = this.relay) {
+    return !this.finished && relay === this.relay && !relay.closed && relay.open.has(CONTROL);
+  }
+
+  wake() {
+    this.waiters.splice(0).forEach(resolve => resolve());
+  }
+
+  async waitUntil(condition) {
+    while (!condition()) {
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+  }
+
+  async connect(relay, start = { fileIndex: 0, chunkIndex: 0 }, chunkSize = this.chunkSize) {
+    this.relay?.close();
+    this.relay = relay;
+    this.chunkSize = chunkSize;
+    this.rewindTo = start;
+    this.resendQueue = [];
+    this.paused = false;
+    this.sent = 0;
+    this.acked = 0;
+    this.wake(); // Lets a pass over the previous relay notice it is closed
+
+    relay.onmessage = (label, data) => {
+      if (label === CONTROL) this.handleMessage(data);
+    };
+    relay.onclose = () => this.wake();
+    relay.onerror = (error) => {
+      this.callbacks.onLog?.(`${error.message}. Waiting for the receiver to resume...`);
+      relay.close();
+      this.wake();
+    };
+
+    await relay.openChannel(CONTROL);
+    await relay.openChannel(DATA);
+    this.sendControl({ type: 'transfer-start', chunkSize: this.chunkSize, channels: 1, compression: this.compression });
+    this.run(relay);
+  }
+
+  sendControl(message) {
+    this.relay.send(CONTROL, encodeControl(message)).catch(() => {});
+  }
+
+  handleMessage(data) {
+    const message = decodeControl(data);
+    if (!message) return;
+    if (message.type === 'ack') {
+      this.acked = Math.max(this.acked, message.consumed);
+      this.wake();
+    } else if (message.type === 'chunk-resend') {
+      if (message.restart) {
+        this.callbacks.onLog?.(`The receiver could not verify file ${message.fileIndex + 1}. Sending it again.`);
+        this.rewindTo = { fileIndex: message.fileIndex, chunkIndex: 0 };
+      } else {
+        this.resendQueue.push({ fileIndex: message.fileIndex, chunkIndex: message.chunkIndex });
+      }
+      this.wake();
+      this.run(this.relay);
+    } else if (message.type === 'transfer-complete') {
+      this.finish('completed');
+    } else if (message.type === 'transfer-failed') {
+      this.finish('failed', message.reason);
+    } else if (message.type === 'transfer-pause' || message.type === 'transfer-continue') {
+      this.paused = message.type === 'transfer-pause';
+      this.callbacks.onLog?.(this.paused ? 'The receiver paused the transfer.' : 'The receiver continued the transfer.');
+      this.wake();
+    } else if (message.type === 'transfer-cancel') {
+      this.finish('cancelled', 'cancelled-by-peer');
+    }
+  }
+
+  cancel() {
+    if (this.relay && this.isOpen()) this.sendControl({ type: 'transfer-cancel' });
+    this.finish('cancelled', 'cancelled');
+  }
+
+  async readChunk(fileIndex, chunkIndex) {
+    const { source, size } = this.selection[fileIndex];
+    if (!this.handles.has(fileIndex)) this.handles.set(fileIndex, fs.promises.open(source, 'r'));
+    const handle = await this.handles.get(fileIndex);
+    const start = Math.min(chunkIndex * this.chunkSize, size);
+    const length = Math.min((chunkIndex + 1) * this.chunkSize, size) - start;
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, start);
+    if (bytesRead !== length) throw new Error(`${source} changed while it was being sent`);
+    return buffer;
+  }
+
+  // Frames are not awaited one by one; the relay's buffer and the receiver's acks set the pace.
+  async sendFrame(relay, fileIndex, chunkIndex, payload) {
+    await this.waitUntil(() => !this.isOpen(relay) || relay.buffered < MAX_BUFFERED_BYTES);
+    if (!this.isOpen(relay)) return false;
+    let compressed = null;
+    if (this.compressible[fileIndex]) {
+      compressed = await compress(payload, this.compression);
+      if (!isWorthIt(payload.length, compressed.length)) {
+        // Most likely compressed already: the rest of this file goes as it is.
+        this.compressible[fileIndex] = false;
+        compressed = null;
+      }
+    }
+    relay.send(DATA, encodeChunk(fileIndex, chunkIndex, payload, compressed)).then(() => this.wake(), () => this.wake());
+    this.sent += 1;
+    this.rawBytes += payload.length;
+    this.wireBytes += (compressed || payload).length;
+    return true;
+  }
+
+  // Resends bypass the window: the receiver is holding later chunks until they arrive.
+  async flushResends(relay) {
+    while (this.resendQueue.length > 0 && this.isOpen(relay)) {
+      const { fileIndex, chunkIndex } = this.resendQueue.shift();
+      await this.sendFrame(relay, fileIndex, chunkIndex, await this.readChunk(fileIndex, chunkIndex));
+    }
+  }
+
+  bytesBefore(fileIndex, chunkIndex) {
+    return this.selection.slice(0, fileIndex).reduce((sum, { size }) => sum + size, 0)
+      + Math.min(chunkIndex * this.chunkSize, this.selection[fileIndex]?.size || 0);
+  }
+
+  async sendFrom(relay, startIndex, startChunk) {
+    for (let index = startIndex; index < this.selection.length; index++) {
+      const { size } = this.selection[index];
+      const firstChunk = index === startIndex ? startChunk : 0;
+      const fileHash = crypto.createHash('sha256');
+      // A file resumed part-way still needs a digest over all of its bytes.
+      for (let chunk = 0; chunk < firstChunk && chunk * this.chunkSize < size; chunk++) {
+        fileHash.update(await this.readChunk(index, chunk));
+      }
+
+      const chunkCount = Math.ceil(size / this.chunkSize);
+      for (let chunkIndex = firstChunk; chunkIndex < chunkCount; chunkIndex++) {
+        if (this.rewindTo) return 'rewind';
+        await this.flushResends(relay);
+        await this.waitUntil(() => !this.isOpen(relay) || this.rewindTo || (!this.paused && this.sent - this.acked < this.windowSize));
+        if (!this.isOpen(relay)) return 'closed';
+        if (this.rewindTo) return 'rewind';
+
+        const payload = await this.readChunk(index, chunkIndex);
+        fileHash.update(payload);
+        if (!await this.sendFrame(relay, index, chunkIndex, payload)) return 'closed';
+        this.callbacks.onProgress?.(this.bytesBefore(index, chunkIndex + 1));
+      }
+      if (!this.isOpen(relay)) return 'closed';
+      this.sendControl({ type: 'file-end', index, chunkCount, digest: fileHash.digest('hex') });
+    }
+    if (!this.isOpen(relay)) return 'closed';
+    this.sendControl({ type: 'transfer-end' });
+    if (this.compression && this.rawBytes > 0) {
+      this.callbacks.onLog?.(`Compression sent ${formatBytes(this.rawBytes)} as ${formatBytes(this.wireBytes)} (${Math.round(this.compressionRatio * 100)}%).`);
+    }
+    return 'done';
+  }
+
+  // One pass per relay: a resume starts a new one, and the old one ends with 'closed'.
+  async run(relay) {
+    if (this.running) return;
+    this.running = true;
+    try {
+      while (this.isOpen(relay) && (this.rewindTo || this.resendQueue.length > 0)) {
+        if (this.rewindTo) {
+          const { fileIndex, chunkIndex } = this.rewindTo;
+          this.rewindTo = null;
+          this.resendQueue = [];
+          if (await this.sendFrom(relay, fileIndex, chunkIndex) === 'closed') return;
+        } else {
+          await this.flushResends(relay);
+        }
+      }
+    } catch (error) {
+      this.callbacks.onLog?.(`Send error: ${error.message}`);
+      if (this.isOpen(relay)) this.sendControl({ type: 'transfer-failed', reason: 'error' });
+      this.finish('failed', 'error');
+    } finally {
+      this.running = false;
+    }
+    // A resume may have come in while this pass was winding down.
+    if (relay !== this.relay && this.isOpen()) this.run(this.relay);
+  }
+
+  finish(status, reason) {
+    if (this.finished) return;
+    this.finished = true;
+    this.relay?.close();
+    this.wake();
+    for (const handle of this.handles.values()) handle.then(h => h.close(), () => {});
+    this.resolveDone({ status, reason });
+  }
+}
+
+module.exports = { TransferSender };
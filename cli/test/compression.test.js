@@ -0,0 +1,33 @@
+// cli/test/compression.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { COMPRESSION_FORMATS, chooseCompression, isCompressible, isWorthIt, compress, decompress } = require('../compression');
+
+test('the sender picks the first format it prefers that the receiver offered', () => {
+  assert.equal(chooseCompression(['gzip', 'deflate']), 'deflate');
+  assert.equal(chooseCompression(['gzip']), 'gzip');
+  assert.equal(chooseCompression(['brotli']), null);
+  assert.equal(chooseCompression(undefined), null); // A receiver that can't decompress
+});
+
+test('every format decompresses what it compressed', async () => {
+  const data = Buffer.from('zap '.repeat(1000));
+  for (const format of COMPRESSION_FORMATS) {
+    const compressed = await compress(data, format);
+    assert.ok(isWorthIt(data.length, compressed.length));
+    assert.deepEqual(await decompress(compressed, format), data);
+  }
+});
+
+test('unknown formats and broken data are refused', async () => {
+  await assert.rejects(decompress(Buffer.from('x'), 'brotli'), /Unknown compression format/);
+  await assert.rejects(decompress(Buffer.from('not deflate'), 'deflate'));
+});
+
+test('files that are compressed already are left alone', () => {
+  assert.equal(isCompressible('notes.txt'), true);
+  assert.equal(isCompressible('photo.JPG'), false);
+  assert.equal(isCompressible('archive.tar.gz'), false);
+  assert.equal(isWorthIt(100, 95), false);
+});
@@ -0,0 +1,33 @@
+// cli/test/protocol.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CHUNK_HEADER_SIZE, sha256, encodeChunk, decodeChunk, encodeControl, decodeControl } = require('../protocol');
+
+test('chunks survive encoding and decoding', () => {
+  const payload = Buffer.from('some file content');
+  const frame = encodeChunk(3, 70000, payload);
+  assert.equal(frame.length, CHUNK_HEADER_SIZE + payload.length);
+  const chunk = decodeChunk(frame);
+  assert.equal(chunk.fileIndex, 3);
+  assert.equal(chunk.chunkIndex, 70000);
+  assert.equal(chunk.compressed, false);
+  assert.deepEqual(chunk.digest, sha256(payload));
+  assert.deepEqual(chunk.payload, payload);
+});
+
+test('a compressed chunk carries the compressed bit and the digest of the raw payload', () => {
+  const payload = Buffer.from('raw payload');
+  const compressed = Buffer.from('smaller');
+  const chunk = decodeChunk(encodeChunk(0x7fffffff, 1, payload, compressed));
+  assert.equal(chunk.fileIndex, 0x7fffffff);
+  assert.equal(chunk.compressed, true);
+  assert.deepEqual(chunk.digest, sha256(payload));
+  assert.deepEqual(chunk.payload, compressed);
+});
+
+test('control messages round-trip as JSON, and garbage decodes to null', () => {
+  const message = { type: 'file-end', index: 0, chunkCount: 2, digest: 'ab' };
+  assert.deepEqual(decodeControl(encodeControl(message)), message);
+  assert.equal(decodeControl('{not json'), null);
+});
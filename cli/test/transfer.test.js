@@ -0,0 +1,143 @@
+// cli/test/transfer.test.js
+
+// A sender and a receiver over a fake relay: two sockets joined the way the server's
+// relay joins them, without a server.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RelayConnection } = require('../relay');
+const { TransferSender } = require('../sender');
+const { TransferReceiver } = require('../receiver');
+const { selectionFromPaths, buildManifest } = require('../files');
+const { decodeChunk } = require('../protocol');
+
+const CHUNK_SIZE = 16 * 1024;
+
+// What one end emits as `relay` reaches the other's listeners, and is acknowledged
+// once it was handed over, like backend/server.js does. `tamper` sees every message on
+// its way and may change it, or drop it by returning null.
+class FakeRelaySocket {
+  constructor() {
+    this.listeners = new Set();
+    this.peer = null;
+    this.tamper = message => message;
+  }
+
+  on(event, listener) {
+    if (event === 'relay') this.listeners.add(listener);
+  }
+
+  off(event, listener) {
+    this.listeners.delete(listener);
+  }
+
+  emit(event, message, reply) {
+    setImmediate(() => {
+      const forwarded = this.tamper(message);
+      if (forwarded) this.peer.listeners.forEach(listener => listener(forwarded));
+      reply({});
+    });
+  }
+}
+
+const relayPair = () => {
+  const [sending, receiving] = [new FakeRelaySocket(), new FakeRelaySocket()];
+  sending.peer = receiving;
+  receiving.peer = sending;
+  return [sending, receiving];
+};
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zap-cli-test-'));
+  fs.mkdirSync(path.join(dir, 'in', 'docs'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'in', 'random.bin'), crypto.randomBytes(5 * CHUNK_SIZE + 123));
+  fs.writeFileSync(path.join(dir, 'in', 'docs', 'notes.txt'), 'zap zap zap\n'.repeat(10000));
+  fs.writeFileSync(path.join(dir, 'in', 'docs', 'empty.txt'), '');
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Sends the test files from `in` to `out` and resolves with both outcomes and the sender.
+const transfer = async ({ compression = null, tamper } = {}) => {
+  const selection = selectionFromPaths([path.join(dir, 'in', 'random.bin'), path.join(dir, 'in', 'docs')]);
+  const manifest = buildManifest(selection);
+  const [sendingSocket, receivingSocket] = relayPair();
+  if (tamper) sendingSocket.tamper = tamper;
+
+  const receiverRelay = new RelayConnection(receivingSocket, 'transfer-1');
+  const receiver = new TransferReceiver({ relay: receiverRelay, manifest, outDir: path.join(dir, 'out') });
+  const sender = new TransferSender({ selection, chunkSize: CHUNK_SIZE });
+  sender.useCompression(compression);
+  await sender.connect(new RelayConnection(sendingSocket, 'transfer-1', receiverRelay.connectionId));
+  const [sent, received] = await Promise.all([sender.done, receiver.done]);
+  return { sent, received, sender };
+};
+
+const assertSameFiles = (files) => {
+  assert.deepEqual(files.map(file => path.relative(path.join(dir, 'out'), file)).sort(), ['docs/empty.txt', 'docs/notes.txt', 'random.bin']);
+  for (const file of files) {
+    const original = path.join(dir, 'in', path.relative(path.join(dir, 'out'), file));
+    assert.ok(fs.readFileSync(file).equals(fs.readFileSync(original)), `${file} differs`);
+  }
+};
+
+test('a folder and a file arrive intact', async () => {
+  const { sent, received, sender } = await transfer();
+  assert.deepEqual(sent, { status: 'completed', reason: undefined });
+  assert.equal(received.status, 'completed');
+  assertSameFiles(received.files);
+  assert.equal(sender.compressionRatio, 1);
+});
+
+test('compressible files go compressed, the others as they are', async () => {
+  const compressedFiles = new Set();
+  const { received, sender } = await transfer({
+    compression: 'deflate',
+    tamper: (message) => {
+      if (Buffer.isBuffer(message.payload)) {
+        const chunk = decodeChunk(message.payload);
+        if (chunk.compressed) compressedFiles.add(chunk.fileIndex);
+      }
+      return message;
+    },
+  });
+  assert.equal(received.status, 'completed');
+  assertSameFiles(received.files);
+  assert.deepEqual([...compressedFiles], [2]); // docs/notes.txt; random bytes don't shrink, empty.txt has no chunks
+  assert.ok(sender.compressionRatio < 1);
+});
+
+test('a chunk that was damaged on the way is sent again', async () => {
+  let damaged = false;
+  const { received } = await transfer({
+    tamper: (message) => {
+      if (damaged || !Buffer.isBuffer(message.payload) || decodeChunk(message.payload).chunkIndex !== 2) return message;
+      damaged = true;
+      const payload = Buffer.from(message.payload);
+      payload[payload.length - 1] ^= 0xff;
+      return { ...message, payload };
+    },
+  });
+  assert.ok(damaged);
+  assert.equal(received.status, 'completed');
+  assertSameFiles(received.files);
+});
+
+test('a receiver that cancels stops the sender and keeps no partial file', async () => {
+  const selection = selectionFromPaths([path.join(dir, 'in', 'random.bin')]);
+  const [sendingSocket, receivingSocket] = relayPair();
+  const receiverRelay = new RelayConnection(receivingSocket, 'transfer-1');
+  const receiver = new TransferReceiver({ relay: receiverRelay, manifest: buildManifest(selection), outDir: path.join(dir, 'out') });
+  const sender = new TransferSender({ selection, chunkSize: CHUNK_SIZE, onProgress: () => receiver.cancel() });
+  await sender.connect(new RelayConnection(sendingSocket, 'transfer-1', receiverRelay.connectionId));
+  const [sent, received] = await Promise.all([sender.done, receiver.done]);
+  assert.deepEqual(sent, { status: 'cancelled', reason: 'cancelled-by-peer' });
+  assert.deepEqual(received, { status: 'cancelled', reason: 'cancelled', files: [] });
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'out')), []);
+});
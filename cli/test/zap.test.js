@@ -0,0 +1,42 @@
+// cli/test/zap.test.js
+
+// What `zap` does with its arguments before it connects anywhere.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const zap = (...args) => spawnSync(process.execPath, [path.join(__dirname, '..', 'zap.js'), ...args], {
+  encoding: 'utf8',
+  timeout: 10 * 1000,
+  env: { ...process.env, ZAP_SERVER: 'http://localhost:1' }, // Nothing listens there
+});
+
+test('--help prints the usage and succeeds', () => {
+  const { status, stdout } = zap('--help');
+  assert.equal(status, 0);
+  assert.match(stdout, /^Usage:/);
+});
+
+test('no command prints the usage and fails', () => {
+  const { status, stdout } = zap();
+  assert.equal(status, 2);
+  assert.match(stdout, /^Usage:/);
+});
+
+test('unknown commands and options are usage errors', () => {
+  for (const args of [['fetch'], ['list', '--bogus']]) {
+    const { status, stderr } = zap(...args);
+    assert.equal(status, 2, args.join(' '));
+    assert.match(stderr, /Run `zap --help` for usage/);
+  }
+});
+
+test('send needs a path and a recipient', () => {
+  for (const args of [['send', 'file.txt'], ['send', '--to', 'Lion']]) {
+    const { status, stderr } = zap(...args);
+    assert.equal(status, 2, args.join(' '));
+    assert.match(stderr, /zap send needs at least one path and --to/);
+  }
+});
@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+// cli/zap.js
+
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { connect } = require('./client');
+const { RelayConnection } = require('./relay');
+const { TransferSender } = require('./sender');
+const { TransferReceiver } = require('./receiver');
+const { selectionFromPaths, buildManifest, buildPreview } = require('./files');
+const { formatBytes, log, ProgressBar } = require('./progress');
+const { COMPRESSION_FORMATS, chooseCompression } = require('./compression');
+
+const DEFAULT_SERVER = process.env.ZAP_SERVER || 'http://localhost:5000';
+const DEFAULT_WAIT = 10; // seconds to wait for `--to` devices to show up
+
+const USAGE = `Usage:
+  zap list                                   List the devices you can send to
+  zap send <path>... --to <name> [--to ...]  Send files or folders
+  zap receive [--out <dir>] [--auto-accept] [--once]
+                                             Wait for transfers and save them
+
+Options:
+  -s, --server <url>   Zap server (default: $ZAP_SERVER or ${DEFAULT_SERVER})
+  -n, --name <name>    Name other devices see; remembered for next time
+      --room <name>    Join a named room (with --code if it has one)
+      --code <code>    Access code of the named room
+      --pair <code>    Join the room of another device's 6-digit pairing code
+  -t, --to <name>      (send) Device to send to, by name; repeat for several
+  -w, --wait <s>       (send) How long to wait for the devices to appear (default ${DEFAULT_WAIT})
+  -o, --out <dir>      (receive) Where to save files (default: current directory)
+  -y, --auto-accept    (receive) Accept every transfer without asking
+      --once           (receive) Exit after the first transfer
+      --json           (list) Print the devices as JSON
+  -h, --help           Show this help
+`;
+
+const OPTIONS = {
+  server: { type: 'string', short: 's', default: DEFAULT_SERVER },
+  name: { type: 'string', short: 'n' },
+  room: { type: 'string' },
+  code: { type: 'string' },
+  pair: { type: 'string' },
+  to: { type: 'string', short: 't', multiple: true, default: [] },
+  wait: { type: 'string', short: 'w', default: String(DEFAULT_WAIT) },
+  out: { type: 'string', short: 'o', default: '.' },
+  'auto-accept': { type: 'boolean', short: 'y', default: false },
+  once: { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const fail = (message) => {
+  const error = new Error(message);
+  error.usage = true;
+  throw error;
+};
+
+// Both ends report how a transfer ended, so the server can close its session.
+const reportState = (socket, transferId, { status, reason }) => {
+  if (status === 'completed') socket.emit('transfer-state', { transferId, state: 'done' });
+  else if (status === 'failed') socket.emit('transfer-state', { transferId, state: 'failed', reason });
+};
+
+const OUTCOME_TEXT = {
+  completed: 'done',
+  rejected: 'rejected',
+  cancelled: 'cancelled',
+};
+
+const requireRelay = (client) => {
+  if (!client.config.features?.relay) {
+    client.close();
+    fail('This server does not relay transfers, and the command-line client has no other way to send data.');
+  }
+};
+
+// --- zap list ---
+const list = async (client, options) => {
+  const peers = client.peers();
+  if (options.json) {
+    console.log(JSON.stringify(peers.map(({ deviceId, nickname, reconnecting }) => ({ deviceId, name: nickname.name, emoji: nickname.emoji, reconnecting })), null, 2));
+  } else if (peers.length === 0) {
+    log('No other devices are here.');
+  } else {
+    peers.forEach(({ nickname, reconnecting }) => console.log(`${nickname.emoji} ${nickname.name}${reconnecting ? ' (reconnecting)' : ''}`));
+  }
+  return 0;
+};
+
+// Resolves each `--to` name to one device, waiting up to `wait` seconds for them to appear.
+const findRecipients = (client, names, wait) => new Promise((resolve, reject) => {
+  const match = () => names.map((name) => {
+    const found = client.peers().filter(user => user.nickname.name.toLowerCase() === name.toLowerCase());
+    if (found.length > 1) throw new Error(`${found.length} devices are called "${name}". Rename one of them.`);
+    return found[0];
+  });
+  const check = () => {
+    let recipients;
+    try {
+      recipients = match();
+    } catch (error) {
+      done();
+      reject(error);
+      return;
+    }
+    if (recipients.every(Boolean)) {
+      done();
+      resolve(recipients);
+    }
+  };
+  const timer = setTimeout(() => {
+    done();
+    const missing = names.filter((name, i) => !match()[i]);
+    reject(new Error(`No device called ${missing.map(name => `"${name}"`).join(', ')} showed up. Try \`zap list\`.`));
+  }, wait * 1000);
+  const done = () => {
+    clearTimeout(timer);
+    client.socket.off('update-user-list', check);
+  };
+  client.socket.on('update-user-list', check);
+  check();
+});
+
+// --- zap send ---
+const send = async (client, options, paths) => {
+  requireRelay(client);
+  const selection = selectionFromPaths(paths);
+  if (selection.length === 0) fail('There are no files to send.');
+  const { socket, config } = client;
+  const manifest = buildManifest(selection);
+  const preview = buildPreview(selection, manifest, config.maxPreviewSize);
+  if (preview) manifest.preview = preview;
+  const recipients = await findRecipients(client, options.to, Number(options.wait) || DEFAULT_WAIT);
+
+  const transfers = new Map(); // transferId -> { sender, peerName, bar }
+  const withTransfer = handler => (data) => {
+    const transfer = transfers.get(data.transferId);
+    if (transfer) handler(transfer, data);
+  };
+  socket.on('file-accept', withTransfer(({ sender, peerName }, { transferId, relayId, compression }) => {
+    if (!relayId) {
+      // A browser from before relay-only transfers, which would wait for a WebRTC offer.
+      socket.emit('transfer-cancel', { transferId });
+      sender.finish('failed', 'no-connection');
+      return;
+    }
+    log(`${peerName} accepted.`);
+    sender.useCompression(chooseCompression(compression));
+    sender.connect(new RelayConnection(socket, transferId, relayId)).catch(error => log(`${peerName}: ${error.message}`));
+  }));
+  socket.on('file-reject', withTransfer(({ sender }) => sender.finish('rejected')));
+  socket.on('transfer-resume', withTransfer(({ sender, peerName }, { transferId, fileIndex, chunkIndex, chunkSize, relayId }) => {
+    if (!relayId || sender.finished) {
+      socket.emit('transfer-resume-reject', { transferId });
+      return;
+    }
+    log(`${peerName} is back. Resuming at file ${fileIndex + 1}, chunk ${chunkIndex}.`);
+    sender.connect(new RelayConnection(socket, transferId, relayId), { fileIndex, chunkIndex }, chunkSize || sender.chunkSize)
+      .catch(error => log(`${peerName}: ${error.message}`));
+  }));
+  socket.on('transfer-peer-left', withTransfer(({ peerName }) => log(`${peerName} lost its connection. Waiting for it to resume...`)));
+  socket.on('transfer-cancel', withTransfer(({ sender }) => sender.finish('cancelled', 'cancelled-by-peer')));
+  socket.on('transfer-closed', withTransfer(({ sender }, { reason }) => sender.finish('failed', reason)));
+
+  await Promise.all(recipients.map(peer => new Promise((resolve) => {
+    const peerName = peer.nickname.name;
+    socket.emit('file-request', { to: peer.id, manifest, transport: 'relay' }, (result = {}) => {
+      if (result.error) {
+        log(`${peerName}: ${result.error}`);
+      } else {
+        // Added right in the ack: the answer may come in the same batch of packets.
+        const bar = new ProgressBar(`${manifest.label} → ${peerName}`, manifest.totalSize);
+        const sender = new TransferSender({
+          selection,
+          chunkSize: config.chunkSize,
+          onProgress: bytes => bar.update(bytes),
+          onLog: message => log(`${peerName}: ${message}`),
+        });
+        transfers.set(result.transferId, { sender, peerName, bar });
+        log(`Waiting for ${peerName} to accept ${manifest.label} (${formatBytes(manifest.totalSize)})...`);
+      }
+      resolve();
+    });
+  })));
+  if (transfers.size === 0) return 1;
+
+  // Only now is there something to cancel: until here, Ctrl+C stops zap as usual.
+  const onDisconnect = () => transfers.forEach(({ sender }) => sender.finish('failed', 'disconnected'));
+  const onInterrupt = () => {
+    transfers.forEach(({ sender }, transferId) => {
+      if (sender.finished) return;
+      socket.emit('transfer-cancel', { transferId });
+      sender.cancel();
+    });
+  };
+  socket.on('disconnect', onDisconnect);
+  process.once('SIGINT', onInterrupt);
+  try {
+    const outcomes = await Promise.all([...transfers].map(async ([transferId, { sender, bar }]) => {
+      const outcome = await sender.done;
+      reportState(socket, transferId, outcome);
+      bar.done(OUTCOME_TEXT[outcome.status] || `failed${outcome.reason ? ` (${outcome.reason})` : ''}`, outcome.status === 'completed');
+      return outcome.status;
+    }));
+    return outcomes.every(status => status === 'completed') ? 0 : 1;
+  } finally {
+    socket.off('disconnect', onDisconnect);
+    process.off('SIGINT', onInterrupt);
+  }
+};
+
+// Asks on the terminal, one question at a time.
+let questions = Promise.resolve();
+const ask = (question) => {
+  const answer = questions.then(() => new Promise((resolve) => {
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+    prompt.question(question, (reply) => {
+      prompt.close();
+      resolve(/^y(es)?$/i.test(reply.trim()));
+    });
+  }));
+  questions = answer;
+  return answer;
+};
+
+// A text preview from the sender, without anything the terminal would act on.
+const printPreview = ({ preview, files }) => {
+  if (preview?.kind !== 'text' || typeof preview.data !== 'string') return;
+  log(`First lines of ${files[preview.fileIndex]?.path || 'a file'}:`);
+  preview.data.replace(/[\x00-\x08\x0b-\x1f\x7f-\x9f]/g, '').split('\n').forEach(line => log(`  | ${line}`));
+};
+
+// --- zap receive ---
+// Received files are printed to stdout, one path per line, as they are saved.
+const receive = async (client, options) => {
+  requireRelay(client);
+  const { socket } = client;
+  const outDir = path.resolve(options.out);
+  const transfers = new Map(); // transferId -> receiver
+  let finishedOnce;
+  const once = new Promise((resolve) => { finishedOnce = resolve; });
+
+  const accept = (transferId, manifest, senderName) => {
+    const relay = new RelayConnection(socket, transferId);
+    const bar = new ProgressBar(`${manifest.label} ← ${senderName}`, manifest.totalSize);
+    const receiver = new TransferReceiver({
+      relay,
+      manifest,
+      outDir,
+      onProgress: bytes => bar.update(bytes),
+      onLog: message => log(`${senderName}: ${message}`),
+    });
+    transfers.set(transferId, receiver);
+    // The relay is listening, so the sender can open its channels right away.
+    socket.emit('file-accept', { transferId, relayId: relay.connectionId, compression: COMPRESSION_FORMATS });
+    receiver.done.then((outcome) => {
+      transfers.delete(transferId);
+      reportState(socket, transferId, outcome);
+      bar.done(OUTCOME_TEXT[outcome.status] || `failed${outcome.reason ? ` (${outcome.reason})` : ''}`, outcome.status === 'completed');
+      outcome.files.forEach(file => console.log(file));
+      finishedOnce(outcome.status === 'completed' ? 0 : 1);
+    });
+  };
+
+  socket.on('file-request', async ({ transferId, senderNickname, manifest }) => {
+    if (transfers.has(transferId)) return;
+    const senderName = senderNickname?.name || 'Someone';
+    log(`${senderName} wants to send ${manifest.label} (${manifest.files.length} file(s), ${formatBytes(manifest.totalSize)}).`);
+    printPreview(manifest);
+    let accepted = options['auto-accept'];
+    if (!accepted && process.stdin.isTTY) accepted = await ask('Accept? [y/N] ');
+    if (accepted) {
+      accept(transferId, manifest, senderName);
+    } else {
+      if (!process.stdin.isTTY) log('Rejected: run with --auto-accept to accept transfers without a terminal.');
+      socket.emit('file-reject', { transferId });
+    }
+  });
+  const withReceiver = handler => (data) => {
+    const receiver = transfers.get(data.transferId);
+    if (receiver) handler(receiver, data);
+  };
+  // Without WebRTC there is no checkpoint to resume from, so a sender that drops out ends the transfer.
+  socket.on('transfer-peer-left', withReceiver((receiver, { transferId }) => {
+    socket.emit('transfer-cancel', { transferId });
+    receiver.fail('peer-disconnected', 'The sender lost its connection.', false);
+  }));
+  socket.on('transfer-cancel', withReceiver(receiver => receiver.fail('cancelled-by-peer', 'The sender cancelled the transfer.', false)));
+  socket.on('transfer-closed', withReceiver((receiver, { reason }) => receiver.fail(reason, 'The server closed the transfer.', false)));
+  socket.on('message', ({ senderNickname, text, image }) => {
+    log(`💬 ${senderNickname.name}: ${text || ''}${image ? `${text ? ' ' : ''}[image, not shown]` : ''}`);
+  });
+
+  let stopped;
+  const stop = new Promise((resolve) => { stopped = resolve; });
+  const onDisconnect = (reason) => {
+    if (reason === 'io client disconnect') return;
+    log('Lost the connection to the server.');
+    transfers.forEach(receiver => receiver.fail('disconnected', 'The transfer was interrupted.', false));
+    stopped(1);
+  };
+  // Cancels what is running, if anything, and stops.
+  const onInterrupt = () => {
+    transfers.forEach((receiver, transferId) => {
+      socket.emit('transfer-cancel', { transferId });
+      receiver.cancel();
+    });
+    stopped(130);
+  };
+  socket.on('disconnect', onDisconnect);
+  process.once('SIGINT', onInterrupt);
+
+  log(`Waiting for transfers as "${client.name}". Files are saved to ${outDir}. Press Ctrl+C to stop.`);
+  try {
+    return await (options.once ? Promise.race([once, stop]) : stop);
+  } finally {
+    socket.off('disconnect', onDisconnect);
+    process.off('SIGINT', onInterrupt);
+  }
+};
+
+const COMMANDS = { list, send, receive };
+
+const main = async () => {
+  const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+  if (options.help || !command) {
+    process.stdout.write(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) fail(`Unknown command: ${command}`);
+  if (command === 'send' && (args.length === 0 || options.to.length === 0)) fail('zap send needs at least one path and --to.');
+
+  const client = await connect({ server: options.server.replace(/\/+$/, ''), name: options.name, room: options.room, code: options.code, pair: options.pair });
+  try {
+    return await COMMANDS[command](client, options, args);
+  } finally {
+    // Let the last control messages and transfer states reach the server first.
+    setTimeout(() => client.close(), 200);
+  }
+};
+
+main().then(
+  (code) => { process.exitCode = code; },
+  (error) => {
+    log(`zap: ${error.message}`);
+    const usage = error.usage || error.code?.startsWith('ERR_PARSE_ARGS');
+    if (usage) log('Run `zap --help` for usage.');
+    process.exitCode = usage ? 2 : 1;
+    setTimeout(() => process.exit(), 200);
+  },
+);
@@ -0,0 +1,58 @@
+// frontend/public/zap-sw.js
+
+// --- Zap Download Service Worker ---
+// Turns a stream of received chunks into a regular browser download, so large files
+// go to disk as they arrive instead of being collected in memory first.
+// The page registers a download with a MessagePort; the worker answers with a URL
+// and pulls chunks through the port as the browser writes them out.
+
+const STREAM_HIGH_WATER_MARK = 16; // Chunks buffered in the worker at most
+
+const downloads = new Map(); // url -> { stream, filename, size, mimeType }
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+  const { data } = event;
+  if (!data || data.type !== 'zap-download') return;
+  const port = event.ports[0];
+
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data: message }) => {
+        if (message.type === 'chunk') {
+          controller.enqueue(new Uint8Array(message.chunk));
+        } else if (message.type === 'end') {
+          controller.close();
+        } else if (message.type === 'abort') {
+          controller.error(new Error('Transfer aborted'));
+        }
+      };
+    },
+    pull() {
+      port.postMessage({ type: 'pull' });
+    },
+    cancel() {
+      port.postMessage({ type: 'cancel' });
+    },
+  }, new CountQueuingStrategy({ highWaterMark: STREAM_HIGH_WATER_MARK }));
+
+  const url = new URL(`zap-download/${data.id}`, self.registration.scope).href;
+  downloads.set(url, { stream, filename: data.filename, size: data.size, mimeType: data.mimeType });
+  port.postMessage({ type: 'ready', url });
+});
+
+self.addEventListener('fetch', (event) => {
+  const download = downloads.get(event.request.url);
+  if (!download) return;
+  downloads.delete(event.request.url);
+
+  event.respondWith(new Response(download.stream, {
+    headers: {
+      'Content-Type': download.mimeType || 'application/octet-stream',
+      'Content-Length': String(download.size),
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.filename)}`,
+    },
+  }));
+});
@@ -4,7 +4,32 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import io from 'socket.io-client';
 // eslint-disable-next-line no-unused-vars
 import { motion, AnimatePresence } from 'framer-motion';
-import { User, File, Send, X, Settings, ChevronRight, HardDrive, AlertCircle, CheckCircle, ArrowUp, ArrowDown, Wifi, Loader } from 'lucide-react';
+import { User, File, Files, Folder, Send, Settings, ChevronRight, HardDrive, Wifi, ShieldCheck, ShieldAlert, Type, Check } from 'lucide-react';
+import { filesFromFileList, filesFromDataTransfer, buildManifest } from './lib/files';
+import { createTransferId } from './lib/protocol';
+import { Sha256 } from './lib/hash';
+import { saveCheckpoint, getPendingCheckpoints, deleteCheckpoint, checkpointProgress } from './lib/checkpoints';
+import { createSink, restoreSink, registerDownloadWorker } from './lib/sinks';
+import { TransferSender } from './lib/sender';
+import { TransferReceiver } from './lib/receiver';
+import { RelayConnection } from './lib/relay';
+import { supportedCompression, chooseCompression } from './lib/compression';
+import { createPreview } from './lib/previews';
+import { SERVER_URL, getConfig, loadConfig, checkSelection } from './lib/config';
+import { FileSource } from './lib/sources';
+import { historyEntryFor, saveHistoryEntry, getHistory, clearHistory } from './lib/history';
+import { loadDevice, saveNickname } from './lib/device';
+import { getDeviceIdentity, sdpFingerprint, getVerifiedDevices, saveVerifiedDevice, deleteVerifiedDevice, trustState } from './lib/identity';
+import { FINISHED_STATUSES, isRunningSend } from './lib/transfers';
+import { formatBytes } from './lib/format';
+import { MAX_MESSAGE_TEXT_LENGTH, MAX_MESSAGE_IMAGE_SIZE, readClipboard, copyMessage } from './lib/messages';
+import TransferPanel from './components/TransferPanel';
+import RoomPicker from './components/RoomPicker';
+import PairDevice from './components/PairDevice';
+import VerifyDevice from './components/VerifyDevice';
+import TextComposer from './components/TextComposer';
+import MessagePanel from './components/MessagePanel';
+import HistoryPanel from './components/HistoryPanel';
 
 // --- Animal Nicknames Data ---
 const animals = [
@@ -32,277 +57,721 @@ const getRandomAnimal = () => {
 };
 
 // --- Constants ---
-const SERVER_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:5000';
-const CHUNK_SIZE = 64 * 1024; // 64KB
-
-// --- Helper Functions ---
-const formatBytes = (bytes, decimals = 2) => {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const dm = decimals < 0 ? 0 : decimals;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
-};
+const ICE_DISCONNECT_GRACE = 5000; // Wait this long for a "disconnected" ICE state to recover
+const DIRECT_CONNECT_TIMEOUT = 15000; // Fall back to the server relay if no direct connection is up by then
+const RESUME_RETRY_INTERVAL = 10000; // How often an interrupted receiver asks the sender to resume
+const RESUME_TIMEOUT = 2 * 60 * 1000; // How long a sender keeps an interrupted transfer around
+const MAX_RUNNING_SENDS = 3; // Outgoing transfers in flight at once, a send to several devices counting once; more wait in the queue
 
 // --- Main App Component ---
 export default function App() {
   // --- State Management ---
   const [socket, setSocket] = useState(null);
+  const [config, setConfig] = useState(getConfig); // Runtime settings from the server, see lib/config
   const [nickname, setNickname] = useState(() => getRandomAnimal());
   const [isEditingNickname, setIsEditingNickname] = useState(false);
   const [users, setUsers] = useState([]);
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [selectedUser, setSelectedUser] = useState(null);
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [selectedUsers, setSelectedUsers] = useState([]);
   const [logs, setLogs] = useState([]);
   const [showDebug, setShowDebug] = useState(false);
-  
-  // Transfer-related state
-  const [transferState, setTransferState] = useState({
-    status: 'idle',
-    progress: 0,
-    from: null,
-    to: null,
-    file: null,
-    senderNickname: { name: '', emoji: '' },
-  });
+  const [room, setRoom] = useState(null); // { id, kind: 'network' | 'named' | 'paired', name, protected }
+  const [ownFingerprint, setOwnFingerprint] = useState(null); // This device's key, see lib/identity
+  const [verifiedDevices, setVerifiedDevices] = useState({}); // device ID -> { key, nickname, fingerprint, verifiedAt }
+  const [pairing, setPairing] = useState(null); // { code, token, expiresAt } while this device shows a pairing code
+  const [shareMode, setShareMode] = useState('files'); // 'files' | 'text'
+  const [draftText, setDraftText] = useState('');
+  const [draftImage, setDraftImage] = useState(null); // { blob, url } of a pasted image
+  // Text and images of this session, newest first:
+  // { id, direction: 'send' | 'receive', peer, peerDevice, peerNickname, text, image: { blob, url }, sentAt }
+  const [messages, setMessages] = useState([]);
+  const [history, setHistory] = useState([]); // Finished transfers, newest first (see lib/history)
+
+  // Every transfer of this session, keyed by transfer ID:
+  // { transferId, groupId, direction: 'send' | 'receive', status, peer, peerDevice, peerNickname, manifest,
+  //   progress, currentFile, fileProgress, verification, needsPermission, createdAt }
+  // Sends of one selection to several devices share a `groupId`.
+  const [transfers, setTransfers] = useState({});
 
   // --- Refs ---
-  const peerConnection = useRef(null);
-  const fileReader = useRef(null);
-  const receivedData = useRef([]);
-  const receivedSize = useRef(0);
-  // *** FIX: Use a ref to hold the file for event handlers, preventing stale state. ***
-  const fileToSend = useRef(null);
+  // What a running transfer needs besides its UI state, keyed by transfer ID:
+  // { role: 'sender' | 'receiver', peer, pc, sender, receiver, selection, source, disconnectTimer, resumeTimeout }
+  // A sender's TransferSender belongs to one connection; a receiver's TransferReceiver
+  // keeps the checkpoint and sink across reconnects (see lib/sender, lib/receiver).
+  const sessions = useRef(new Map());
+  const socketRef = useRef(null); // For reporting to the server from callbacks that outlive a render
+  const identityRef = useRef(null); // { certificate, fingerprint } once loaded, for new peer connections
+  const transferTimes = useRef({ started: new Map(), recorded: new Set() }); // For the history: when data started flowing, and what is saved
+  const joinedRoom = useRef(null); // { name, code } of the named room, or { token } of the pairing, to rejoin after a reconnect
+  const firstNickname = useRef(nickname); // The random nickname a new device is created with
 
   // --- Utility Functions ---
   const addLog = useCallback((message, type = 'info') => {
     console.log(`[${type.toUpperCase()}] ${message}`);
     setLogs(prev => [{ message, type, time: new Date().toLocaleTimeString() }, ...prev]);
   }, []);
-  
+
+  const updateTransfer = useCallback((transferId, patch) => {
+    setTransfers(prev => prev[transferId] ? { ...prev, [transferId]: { ...prev[transferId], ...patch } } : prev);
+  }, []);
+
+  // Tears down everything a transfer holds and moves it to the finished list.
+  // The server's session for it ends when either side reports the outcome.
+  const finishTransfer = useCallback((transferId, patch) => {
+    const session = sessions.current.get(transferId);
+    if (session && (patch.status === 'completed' || patch.status === 'failed')) {
+      socketRef.current?.emit('transfer-state', { transferId, state: patch.status === 'completed' ? 'done' : 'failed', reason: patch.reason });
+    }
+    if (session) {
+      sessions.current.delete(transferId);
+      clearTimeout(session.disconnectTimer);
+      clearTimeout(session.connectTimer);
+      clearTimeout(session.resumeTimeout);
+      session.sender?.close();
+      session.source?.release();
+      session.receiver?.dispose();
+      session.pc?.close();
+    }
+    updateTransfer(transferId, patch);
+  }, [updateTransfer]);
+
+  // --- Runtime Configuration ---
+  // Loaded once at startup, and again before the TURN credentials in it expire.
+  useEffect(() => {
+    loadConfig()
+      .then(setConfig)
+      .catch(error => addLog(`Could not load the server's settings, using defaults: ${error.message}`, 'error'));
+  }, [addLog]);
+
+  // Without messages there is only the file mode.
+  useEffect(() => {
+    if (!config.features.messages) setShareMode('files');
+  }, [config]);
+
+  useEffect(() => {
+    if (!config.credentialsExpireAt) return;
+    const delay = Math.max(60 * 1000, (config.credentialsExpireAt - Date.now()) / 2);
+    const timer = setTimeout(() => {
+      loadConfig().then(setConfig).catch(error => addLog(`Could not refresh the server's settings: ${error.message}`, 'error'));
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [config, addLog]);
+
   // --- Socket.io Connection ---
   useEffect(() => {
+    // Keeps reconnecting without a limit: within the server's DEVICE_RECONNECT_GRACE the
+    // device gets its room and transfers back, and after it the device simply joins again.
     const newSocket = io(SERVER_URL, {
-        reconnectionAttempts: 5,
         reconnectionDelay: 1000,
     });
     setSocket(newSocket);
+    socketRef.current = newSocket;
 
     return () => {
       newSocket.disconnect();
     };
   }, []);
 
+  // --- Device ---
+  // The nickname this browser used last time, instead of the random one it starts with.
+  useEffect(() => {
+    loadDevice(firstNickname.current).then(device => setNickname(device.nickname));
+  }, []);
+
+  // --- Verified Devices ---
+  useEffect(() => {
+    getVerifiedDevices()
+      .then(devices => setVerifiedDevices(Object.fromEntries(devices.map(d => [d.key, d]))))
+      .catch(error => addLog(`Could not load verified devices: ${error.message}`, 'error'));
+  }, [addLog]);
+
+  // --- Receiving ---
+  // The receiver outlives single peer connections; each new one is attached to it.
+  const createReceiver = useCallback((transferId, checkpoint, sink) => new TransferReceiver({
+    checkpoint,
+    sink,
+    onStart: (current) => updateTransfer(transferId, { status: 'transferring', ...checkpointProgress(current) }),
+    onProgress: (current) => updateTransfer(transferId, checkpointProgress(current)),
+    onComplete: () => {
+      addLog(`All files of ${checkpoint.manifest.label} received and verified!`, 'success');
+      finishTransfer(transferId, { status: 'completed', verification: 'verified', progress: 100, fileProgress: 100 });
+    },
+    onFailed: (reason) => finishTransfer(transferId, { status: 'failed', reason, verification: reason === 'corrupted' ? 'corrupted' : null }),
+    onPause: (paused, byPeer) => updateTransfer(transferId, { status: paused ? 'paused' : 'transferring', pausedBy: byPeer ? 'peer' : 'me' }),
+    onCancelled: () => finishTransfer(transferId, { status: 'cancelled', reason: 'cancelled-by-peer' }),
+    onLog: addLog,
+  }), [addLog, updateTransfer, finishTransfer]);
+
+  // --- Restore Interrupted Transfers ---
+  // A receiver that reloaded mid-transfer picks its checkpoints back up and waits for the senders.
+  useEffect(() => {
+    registerDownloadWorker();
+
+    const restore = async () => {
+      for (const checkpoint of await getPendingCheckpoints()) {
+        const { transferId, manifest } = checkpoint;
+        const sink = restoreSink(checkpoint);
+        if (!sink) {
+          await deleteCheckpoint(transferId);
+          addLog(`The download of ${manifest.label} was interrupted by the reload and cannot be resumed.`, 'error');
+          continue;
+        }
+        // Saved file handles need the user's permission again before we can write to them.
+        const needsPermission = !(await sink.hasPermission());
+        if (sessions.current.has(transferId)) continue;
+        sessions.current.set(transferId, { role: 'receiver', peer: checkpoint.from, receiver: createReceiver(transferId, checkpoint, sink) });
+        setTransfers(prev => ({
+          ...prev,
+          [transferId]: {
+            transferId,
+            direction: 'receive',
+            status: 'interrupted',
+            peer: checkpoint.from,
+            peerDevice: checkpoint.fromDevice,
+            peerNickname: checkpoint.senderNickname,
+            manifest,
+            verification: null,
+            needsPermission,
+            createdAt: checkpoint.updatedAt || Date.now(),
+            ...checkpointProgress(checkpoint),
+          },
+        }));
+        addLog(`Found an unfinished transfer of ${manifest.label}. Waiting for the sender...`, 'info');
+      }
+    };
+
+    restore().catch(error => addLog(`Could not load saved transfers: ${error.message}`, 'error'));
+  }, [addLog, createReceiver]);
+
   // --- WebRTC Peer Connection Management ---
-  const createPeerConnection = useCallback((targetSocketId) => {
+  // `fallback` is set when no direct connection could be made at all. The receiver then
+  // asks for the transfer to resume through the server relay, and sticks with it.
+  const handleConnectionLost = useCallback((transferId, { fallback = false } = {}) => {
+    const session = sessions.current.get(transferId);
+    if (!session) return;
+    clearTimeout(session.disconnectTimer);
+    clearTimeout(session.connectTimer);
+    session.sender?.close();
+    session.sender = null;
+    if (session.pc) {
+      session.pc.close();
+      session.pc = null;
+    }
+    if (fallback && !getConfig().features.relay) {
+      addLog('No direct connection is possible, and this server does not relay transfers.', 'error');
+      finishTransfer(transferId, { status: 'failed', reason: 'no-connection' });
+      return;
+    }
+    if (fallback && !session.relay) {
+      session.relay = true;
+      addLog('No direct connection is possible. Switching to the relay through the server...', 'error');
+    } else {
+      addLog('Connection lost. Waiting to resume the transfer...', 'error');
+    }
+    updateTransfer(transferId, { status: 'interrupted' });
+    // The receiver keeps its checkpoint until it is discarded; the sender can't hold files forever.
+    if (session.role === 'sender') {
+      clearTimeout(session.resumeTimeout);
+      session.resumeTimeout = setTimeout(() => {
+        addLog('The receiver did not come back. Giving up on the transfer.', 'error');
+        finishTransfer(transferId, { status: 'failed', reason: 'peer-disconnected' });
+      }, RESUME_TIMEOUT);
+    }
+  }, [addLog, updateTransfer, finishTransfer]);
+
+  const createPeerConnection = useCallback((transferId) => {
+    const session = sessions.current.get(transferId);
+    if (!session) return null;
     try {
+      // The device certificate makes the DTLS fingerprint the one published in `user-joined`.
+      const certificate = identityRef.current?.certificate;
       const pc = new RTCPeerConnection({
-        iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+        iceServers: getConfig().iceServers,
+        ...(certificate && { certificates: [certificate] }),
       });
 
       pc.onicecandidate = (event) => {
         if (event.candidate && socket) {
-          socket.emit('webrtc-ice-candidate', { to: targetSocketId, candidate: event.candidate });
+          socket.emit('webrtc-ice-candidate', { transferId, candidate: event.candidate });
         }
       };
 
       pc.oniceconnectionstatechange = () => {
         addLog(`ICE connection state: ${pc.iceConnectionState}`);
-        if(pc.iceConnectionState === 'failed' || pc.iceConnectionState === 'disconnected' || pc.iceConnectionState === 'closed') {
-            addLog('WebRTC connection failed.', 'error');
-            resetTransferState();
+        // Ignore connections that were already replaced by a resumed one.
+        if (pc !== session.pc) return;
+        const state = pc.iceConnectionState;
+        if (state === 'connected' || state === 'completed') {
+          clearTimeout(session.disconnectTimer);
+          clearTimeout(session.connectTimer);
+        } else if (state === 'disconnected') {
+          // "disconnected" often recovers by itself, so give ICE a moment before giving up on it.
+          clearTimeout(session.disconnectTimer);
+          session.disconnectTimer = setTimeout(() => handleConnectionLost(transferId), ICE_DISCONNECT_GRACE);
+        } else if (state === 'failed') {
+          handleConnectionLost(transferId, { fallback: true });
         }
       };
 
-      peerConnection.current = pc;
+      // Guest networks with client isolation and strict NATs tend to stall in "checking" instead of failing.
+      clearTimeout(session.connectTimer);
+      session.connectTimer = setTimeout(() => {
+        if (pc === session.pc) handleConnectionLost(transferId, { fallback: true });
+      }, DIRECT_CONNECT_TIMEOUT);
+      session.pc = pc;
       return pc;
     } catch (error) {
       addLog(`Failed to create PeerConnection: ${error.message}`, 'error');
-      setTransferState(prev => ({ ...prev, status: 'error', file: null }));
+      finishTransfer(transferId, { status: 'failed' });
       return null;
     }
-  }, [socket, addLog]);
+  }, [socket, addLog, handleConnectionLost, finishTransfer]);
 
-  // --- File Transfer Logic ---
-  const sendFile = useCallback((file, targetUser) => {
-    if (!socket || !file || !targetUser) return;
-    setTransferState({ status: 'requesting', progress: 0, to: targetUser.id, from: socket.id, file, senderNickname: nickname });
-    socket.emit('file-request', {
-      to: targetUser.id,
-      from: socket.id,
-      file: { name: file.name, size: file.size, type: file.type }
+  // --- History ---
+  useEffect(() => {
+    getHistory()
+      .then(setHistory)
+      .catch(error => addLog(`Could not load the transfer history: ${error.message}`, 'error'));
+  }, [addLog]);
+
+  // Notes when each transfer starts moving data and saves it to the history once it is finished.
+  useEffect(() => {
+    const { started, recorded } = transferTimes.current;
+    Object.values(transfers).forEach(transfer => {
+      if (transfer.status === 'transferring' && !started.has(transfer.transferId)) started.set(transfer.transferId, Date.now());
+      if (!FINISHED_STATUSES.includes(transfer.status) || recorded.has(transfer.transferId)) return;
+      recorded.add(transfer.transferId);
+      const entry = historyEntryFor(transfer, started.get(transfer.transferId));
+      started.delete(transfer.transferId);
+      setHistory(prev => [entry, ...prev]);
+      saveHistoryEntry(entry).catch(error => addLog(`Could not save the transfer to the history: ${error.message}`, 'error'));
     });
-    addLog(`Sent file request for ${file.name} to ${targetUser.nickname.name}`, 'info');
-  }, [socket, nickname]);
-
-  const handleFileChunk = useCallback((pc, file) => {
-    if (!file) return;
-    const dataChannel = pc.createDataChannel('file-transfer');
-    dataChannel.binaryType = 'arraybuffer';
-
-    dataChannel.onopen = () => {
-      addLog('Data channel opened. Starting file transfer.', 'success');
-      setTransferState(prev => ({...prev, status: 'sending'}));
-      fileReader.current = new FileReader();
-      let offset = 0;
-
-      fileReader.current.onload = (e) => {
-        if (!e.target.result) return;
-        try {
-          dataChannel.send(e.target.result);
-          offset += e.target.result.byteLength;
-          const progress = Math.round((offset / file.size) * 100);
-          setTransferState(prev => ({ ...prev, progress }));
-
-          if (offset < file.size) {
-            readSlice(offset);
-          } else {
-            addLog('File sent successfully!', 'success');
-            setTransferState(prev => ({ ...prev, status: 'completed' }));
-            setTimeout(() => resetTransferState(), 3000);
-          }
-        } catch(error) {
-          addLog(`Send error: ${error}`, 'error');
-          setTransferState({ status: 'error', file: null });
+  }, [transfers, addLog]);
+
+  // --- File Selection ---
+  // Files this server would refuse (see lib/config) are left out right away.
+  const handleFileSelect = useCallback((selection) => {
+    const { accepted, refused } = checkSelection(selection);
+    refused.forEach(({ path, reason }) => addLog(`Left out ${path}: ${reason} on this server.`, 'error'));
+    if (accepted.length === 0) return;
+    setSelectedFiles(accepted);
+    const totalSize = accepted.reduce((sum, { file }) => sum + file.size, 0);
+    addLog(`Selected ${accepted.length} file(s) (${formatBytes(totalSize)})`);
+  }, [addLog]);
+
+  // --- Clipboard ---
+  // Pasting anywhere outside a text field opens the text mode with what was pasted.
+  // Images too large for a message, or all of them when the server turned messages
+  // off, are picked as files instead.
+  useEffect(() => {
+    const onPaste = (e) => {
+      const { text, images } = readClipboard(e.clipboardData);
+      const inTextField = e.target.closest?.('input, textarea, [contenteditable="true"]');
+      if (images.length > 0) {
+        e.preventDefault();
+        const [image] = images;
+        if (image.size <= MAX_MESSAGE_IMAGE_SIZE && getConfig().features.messages) {
+          setShareMode('text');
+          setDraftImage(prev => {
+            if (prev) URL.revokeObjectURL(prev.url);
+            return { blob: image, url: URL.createObjectURL(image) };
+          });
+        } else {
+          setShareMode('files');
+          handleFileSelect(images.map(file => ({ file, path: file.name || 'pasted-image.png' })));
         }
-      };
-      
-      const readSlice = (o) => {
-        const slice = file.slice(o, o + CHUNK_SIZE);
-        fileReader.current.readAsArrayBuffer(slice);
-      };
-      readSlice(0);
+      } else if (text && !inTextField && getConfig().features.messages) {
+        e.preventDefault();
+        setShareMode('text');
+        setDraftText(prev => (prev + text).slice(0, MAX_MESSAGE_TEXT_LENGTH));
+      }
     };
+    window.addEventListener('paste', onPaste);
+    return () => window.removeEventListener('paste', onPaste);
+  }, [handleFileSelect]);
 
-    dataChannel.onclose = () => { addLog('Data channel closed.', 'info'); };
-    dataChannel.onerror = (error) => {
-      addLog(`Data channel error: ${error}`, 'error');
-      setTransferState({ status: 'error', file: null });
-    };
+  // --- File Transfer Logic ---
+  // Sends are queued first under a local ID; the queue below requests them once a slot
+  // is free, and from then on they go by the ID of the server's transfer session.
+  const sendFiles = useCallback(async (selection, targetUsers) => {
+    if (!socket || selection.length === 0 || targetUsers.length === 0) return;
+    // The preview goes with the request, so it is made before anything is queued.
+    const preview = await createPreview(selection, getConfig().maxPreviewSize);
+    const manifest = { ...buildManifest(selection), ...(preview && { preview }) };
+    // Every recipient gets a transfer of its own; they all read from the same source.
+    const groupId = targetUsers.length > 1 ? createTransferId() : null;
+    const source = new FileSource(selection, targetUsers.length);
+    const queued = targetUsers.map(targetUser => {
+      const transferId = createTransferId();
+      sessions.current.set(transferId, { role: 'sender', peer: targetUser.id, selection, source });
+      return { transferId, groupId, direction: 'send', status: 'queued', peer: targetUser.id, peerDevice: targetUser.deviceId, peerNickname: targetUser.nickname, manifest, progress: 0, currentFile: 0, fileProgress: 0, verification: null, createdAt: Date.now() };
+    });
+    setTransfers(prev => ({ ...prev, ...Object.fromEntries(queued.map(t => [t.transferId, t])) }));
+    addLog(`Queued ${manifest.label} (${manifest.files.length} file(s)) for ${targetUsers.map(u => u.nickname.name).join(', ')}`, 'info');
+  }, [socket, addLog]);
 
-  }, [addLog]);
+  // Starts sending a transfer's files over its current connection. `start` and `chunkSize`
+  // let a resumed transfer skip everything the receiver already stored, counted in its chunk size.
+  const startSending = useCallback((transferId, start, chunkSize) => {
+    const session = sessions.current.get(transferId);
+    if (!session?.pc || !session.selection?.length) return;
+    const { pc } = session;
+    session.sender?.close();
+    session.sender = new TransferSender({
+      pc,
+      selection: session.selection,
+      source: session.source,
+      start,
+      chunkSize,
+      compression: session.compression,
+      onOpen: () => {
+        addLog(start ? 'Data channels opened. Resuming file transfer.' : 'Data channels opened. Starting file transfer.', 'success');
+        updateTransfer(transferId, { status: 'transferring' });
+      },
+      onProgress: (progress) => updateTransfer(transferId, { status: 'transferring', ...progress }),
+      onAllSent: () => {
+        addLog('All files sent. Waiting for the receiver to verify them...', 'info');
+        updateTransfer(transferId, { status: 'verifying', progress: 100, fileProgress: 100 });
+      },
+      onComplete: () => {
+        addLog('Receiver verified all files.', 'success');
+        finishTransfer(transferId, { status: 'completed', verification: 'verified', progress: 100, fileProgress: 100 });
+      },
+      onFailed: (reason) => {
+        addLog(`The transfer failed: ${reason}`, 'error');
+        finishTransfer(transferId, { status: 'failed', reason, verification: reason === 'corrupted' ? 'corrupted' : null });
+      },
+      onPause: (paused, byPeer) => updateTransfer(transferId, { status: paused ? 'paused' : 'transferring', pausedBy: byPeer ? 'peer' : 'me' }),
+      onCancelled: () => finishTransfer(transferId, { status: 'cancelled', reason: 'cancelled-by-peer' }),
+      onChannelError: (error) => {
+        addLog(`Data channel error: ${error}`, 'error');
+        if (pc === session.pc) handleConnectionLost(transferId);
+      },
+      onLog: addLog,
+    });
+  }, [addLog, updateTransfer, finishTransfer, handleConnectionLost]);
 
-  const resetTransferState = () => {
-    setTransferState({ status: 'idle', progress: 0, from: null, to: null, file: null, senderNickname: { name: '', emoji: '' } });
-    setSelectedFile(null);
-    fileToSend.current = null;
-    setSelectedUser(null);
-    receivedData.current = [];
-    receivedSize.current = 0;
-    if (peerConnection.current) {
-        peerConnection.current.close();
-        peerConnection.current = null;
-    }
-  };
+  // --- Send Queue ---
+  // Requests queued sends, oldest first, while fewer than MAX_RUNNING_SENDS are running.
+  // All recipients of a group are requested together, so they can share their reads.
+  useEffect(() => {
+    if (!socket) return;
+    const sends = Object.values(transfers).filter(t => t.direction === 'send');
+    const unitOf = (transfer) => transfer.groupId || transfer.transferId;
+    const running = new Set(sends.filter(isRunningSend).map(unitOf));
+    const queued = sends.filter(t => t.status === 'queued').sort((a, b) => a.createdAt - b.createdAt);
+    const starting = [...new Set(queued.map(unitOf))].filter(unit => !running.has(unit)).slice(0, Math.max(0, MAX_RUNNING_SENDS - running.size));
+    const next = queued.filter(t => running.has(unitOf(t)) || starting.includes(unitOf(t)));
+    if (next.length === 0) return;
+
+    next.forEach(({ transferId: localId, peer, peerDevice, peerNickname, manifest }) => {
+      // The receiver may have reconnected, under a new socket ID, since the send was queued.
+      const to = users.find(u => u.deviceId === peerDevice)?.id || peer;
+      socket.emit('file-request', { to, manifest }, ({ transferId, error } = {}) => {
+        if (!transferId) {
+          addLog(`Could not request the transfer of ${manifest.label}: ${error || 'no response'}`, 'error');
+          finishTransfer(localId, { status: 'failed' });
+          return;
+        }
+        const session = sessions.current.get(localId);
+        if (!session) return;
+        sessions.current.delete(localId);
+        sessions.current.set(transferId, session);
+        setTransfers(prev => {
+          const { [localId]: transfer, ...rest } = prev;
+          return transfer ? { ...rest, [transferId]: { ...transfer, transferId } } : prev;
+        });
+      });
+      addLog(`Sent file request for ${manifest.label} to ${peerNickname.name}`, 'info');
+    });
+    setTransfers(prev => {
+      const updated = { ...prev };
+      next.forEach(({ transferId }) => { updated[transferId] = { ...updated[transferId], status: 'requesting' }; });
+      return updated;
+    });
+  }, [socket, users, transfers, addLog, finishTransfer]);
+
+  // --- Resume Requests ---
+  // While a received transfer is interrupted, keep asking its sender to pick it up again.
+  const resumableIds = Object.values(transfers)
+    .filter(t => t.direction === 'receive' && t.status === 'interrupted' && !t.needsPermission)
+    .map(t => t.transferId)
+    .join(',');
+
+  useEffect(() => {
+    if (!socket || !resumableIds) return;
+
+    const requestResume = () => {
+      if (!socket.connected) return;
+      resumableIds.split(',').forEach(transferId => {
+        const checkpoint = sessions.current.get(transferId)?.receiver?.checkpoint;
+        if (!checkpoint) return;
+        // The sender may have reconnected with a new socket ID, so look it up by device.
+        const sender = checkpoint.fromDevice
+          ? users.find(u => u.deviceId === checkpoint.fromDevice)
+          : users.find(u => u.id === checkpoint.from);
+        if (!sender) return;
+        // Over the relay there is no offer to wait for, so the receiving end is set up right away.
+        let relayId;
+        const session = sessions.current.get(transferId);
+        if (session.relay) {
+          session.pc?.close();
+          session.pc = new RelayConnection(socket, transferId);
+          session.receiver.attach(session.pc);
+          session.receiver.setPeer(sender.id);
+          session.peer = sender.id;
+          relayId = session.pc.connectionId;
+          updateTransfer(transferId, { peer: sender.id, transport: 'relay' });
+        }
+        socket.emit('transfer-resume', {
+          transferId,
+          fileIndex: checkpoint.fileIndex,
+          chunkIndex: checkpoint.chunkIndex,
+          chunkSize: checkpoint.chunkSize,
+          relayId,
+        });
+        addLog(`Asked ${sender.nickname.name} to resume ${checkpoint.manifest.label}${relayId ? ' through the relay' : ''}.`, 'info');
+      });
+    };
+
+    requestResume();
+    const timer = setInterval(requestResume, RESUME_RETRY_INTERVAL);
+    return () => clearInterval(timer);
+  }, [socket, users, resumableIds, addLog, updateTransfer]);
 
   // --- Socket Event Handlers ---
+  // Everything after the initial request carries the transfer ID, which picks the session.
   useEffect(() => {
     if (!socket) return;
 
-    const onConnect = () => {
+    const onConnect = async () => {
       addLog(`Connected to server with ID: ${socket.id}`, 'success');
-      socket.emit('user-joined', nickname);
+      const [identity, device] = await Promise.all([getDeviceIdentity(), loadDevice(nickname)]);
+      identityRef.current = identity;
+      setOwnFingerprint(identity.fingerprint);
+      // The server recognises the device by its secret and hands it back its place (room,
+      // pending requests, transfers) if it was only gone for a moment.
+      socket.emit('user-joined', { ...device.nickname, fingerprint: identity.fingerprint, device: device.secret });
+      if (joinedRoom.current?.token) socket.emit('pair-join', { token: joinedRoom.current.token });
+      else if (joinedRoom.current) socket.emit('room-join', joinedRoom.current);
+      else {
+        // Opened from a pairing QR code
+        const token = new URLSearchParams(window.location.hash.slice(1)).get('pair');
+        if (!token) return;
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        socket.emit('pair-join', { token }, (result = {}) => {
+          if (result.error) addLog(`Pairing failed: ${result.error}`, 'error');
+          else joinedRoom.current = { token: result.token };
+        });
+      }
     };
 
     const onDisconnect = () => {
       addLog('Disconnected from server', 'error');
     };
 
+    const onDeviceReplaced = () => {
+      addLog('This device connected again from another tab or window, so this one was disconnected.', 'error');
+    };
+
+    // The server refused one of our events, e.g. because its payload was malformed.
+    const onServerError = ({ event, error }) => {
+      addLog(`The server rejected ${event}: ${error}`, 'error');
+    };
+
     const onUpdateUserList = (userList) => {
       setUsers(userList);
+      // Users from another room can't be sent to any more. A device that reconnected
+      // stays selected under its new socket ID.
+      setSelectedUsers(prev => prev.map(p => userList.find(u => u.deviceId === p.deviceId)).filter(Boolean));
       addLog('User list updated.');
     };
 
-    const onFileRequest = ({ from, senderNickname, file }) => {
-      if (senderNickname && senderNickname.name) {
-          setTransferState({ status: 'receiving', progress: 0, from, to: socket.id, file, senderNickname });
-          addLog(`Incoming file request from ${senderNickname.name} for ${file.name}`, 'info');
+    const onRoomUpdate = (newRoom) => {
+      setRoom(newRoom);
+      const where = { named: `room "${newRoom.name}"`, paired: 'a pairing' }[newRoom.kind] || 'the room of your network';
+      addLog(`You are in ${where}.`, 'info');
+    };
+
+    const onPairComplete = ({ token, peer }) => {
+      joinedRoom.current = { token };
+      setPairing(null);
+      addLog(`Paired with ${peer.nickname.name}.`, 'success');
+    };
+
+    const onPairExpired = () => {
+      setPairing(null);
+      addLog('Your pairing code expired.', 'info');
+    };
+
+    // Stops a transfer whose connection doesn't use the key its peer published. Peers
+    // that published no key (browsers without WebRTC certificates) can't be checked.
+    const checkPeerKey = (transferId, peerId, description) => {
+      const expected = users.find(u => u.id === peerId)?.fingerprint;
+      if (!expected || sdpFingerprint(description.sdp) === expected) return true;
+      addLog('The connection does not use the key the other device published. Someone may be intercepting it, so the transfer was stopped.', 'error');
+      socket.emit('transfer-cancel', { transferId });
+      finishTransfer(transferId, { status: 'failed', reason: 'identity-mismatch' });
+      return false;
+    };
+
+    // `transport` is 'relay' when the sender can't use WebRTC at all (the command-line client).
+    const onFileRequest = ({ from, senderDevice, senderNickname, transferId, manifest, transport }) => {
+      if (senderNickname && senderNickname.name && transferId && manifest && Array.isArray(manifest.files)) {
+          setTransfers(prev => prev[transferId] ? prev : {
+            ...prev,
+            [transferId]: { transferId, direction: 'receive', status: 'incoming', peer: from, peerDevice: senderDevice, peerNickname: senderNickname, manifest, progress: 0, currentFile: 0, fileProgress: 0, verification: null, transport: transport === 'relay' ? 'relay' : undefined, createdAt: Date.now() },
+          });
+          addLog(`Incoming file request from ${senderNickname.name} for ${manifest.label}`, 'info');
       } else {
           addLog(`Invalid file request received from ${from}`, 'error');
       }
     };
 
-    const onFileAccept = async ({ from }) => {
-      const fromUser = users.find(u => u.id === from);
-      if (!fromUser) return;
-      
-      // *** FIX: Use the ref to get the current file, preventing stale state. ***
-      if (!fileToSend.current) {
-        addLog('Error: No file selected to send.', 'error');
-        return;
+    const onMessage = ({ id, from, senderDevice, senderNickname, text, image, sentAt }) => {
+      let received = null;
+      if (image) {
+        const blob = new Blob([image.data], { type: image.type });
+        received = { blob, url: URL.createObjectURL(blob) };
       }
+      setMessages(prev => [{ id, direction: 'receive', peer: from, peerDevice: senderDevice, peerNickname: senderNickname, text, image: received, sentAt }, ...prev]);
+      addLog(`${senderNickname.name} sent you ${image ? 'an image' : 'a message'}.`, 'info');
+    };
+
+    // A `relayId` means the receiver already listens on a relay connection (it has no WebRTC).
+    // `compression` lists the formats it can decompress; the choice holds for any resume.
+    const onFileAccept = async ({ from, transferId, relayId, compression }) => {
+      const fromUser = users.find(u => u.id === from);
+      const session = sessions.current.get(transferId);
+      if (!fromUser || session?.role !== 'sender' || session.pc) return;
 
+      session.compression = chooseCompression(compression);
       addLog(`${fromUser.nickname.name} accepted the file.`, 'success');
-      setTransferState(prev => ({ ...prev, status: 'accepted', to: from }));
-      const pc = createPeerConnection(from);
+      updateTransfer(transferId, { status: 'connecting', peer: from, transport: relayId ? 'relay' : 'direct' });
+      if (relayId) {
+        session.relay = true;
+        session.pc = new RelayConnection(socket, transferId, relayId);
+        startSending(transferId);
+        return;
+      }
+      const pc = createPeerConnection(transferId);
       if (pc) {
-        handleFileChunk(pc, fileToSend.current);
+        startSending(transferId);
         const offer = await pc.createOffer();
         await pc.setLocalDescription(offer);
-        socket.emit('webrtc-offer', { to: from, offer });
+        socket.emit('webrtc-offer', { transferId, offer });
       }
     };
-    
-    const onFileReject = ({ from }) => {
+
+    const onFileReject = ({ from, transferId }) => {
       const fromUser = users.find(u => u.id === from);
-      if (!fromUser) return;
+      if (!fromUser || sessions.current.get(transferId)?.role !== 'sender') return;
       addLog(`${fromUser.nickname.name} rejected the file.`, 'error');
-      resetTransferState();
+      finishTransfer(transferId, { status: 'rejected' });
+    };
+
+    // Sender: the receiver wants to continue from its checkpoint over a fresh connection.
+    const onTransferResume = async ({ from, transferId, fileIndex, chunkIndex, chunkSize, relayId }) => {
+      const session = sessions.current.get(transferId);
+      if (session?.role !== 'sender') {
+        socket.emit('transfer-resume-reject', { transferId });
+        return;
+      }
+      addLog(`Resuming transfer at file ${fileIndex + 1}, chunk ${chunkIndex}.`, 'info');
+      clearTimeout(session.disconnectTimer);
+      clearTimeout(session.resumeTimeout);
+      session.sender?.close();
+      session.sender = null;
+      if (session.pc) {
+        session.pc.close();
+        session.pc = null;
+      }
+      session.peer = from;
+      updateTransfer(transferId, { status: 'connecting', peer: from, transport: relayId ? 'relay' : 'direct' });
+      if (relayId) {
+        session.pc = new RelayConnection(socket, transferId, relayId);
+        startSending(transferId, { fileIndex, chunkIndex }, chunkSize);
+        return;
+      }
+      const pc = createPeerConnection(transferId);
+      if (pc) {
+        startSending(transferId, { fileIndex, chunkIndex }, chunkSize);
+        const offer = await pc.createOffer();
+        await pc.setLocalDescription(offer);
+        socket.emit('webrtc-offer', { transferId, offer });
+      }
+    };
+
+    // Receiver: the sender no longer has the files, so the checkpoint is useless.
+    const onTransferResumeReject = async ({ transferId }) => {
+      if (sessions.current.get(transferId)?.role !== 'receiver') return;
+      addLog('The sender can no longer resume this transfer.', 'error');
+      await deleteCheckpoint(transferId).catch(() => {});
+      finishTransfer(transferId, { status: 'failed' });
+    };
+
+    // The other side cancelled. This usually also arrives on the data channel, when there is one.
+    const onTransferCancel = async ({ transferId }) => {
+      if (sessions.current.get(transferId)?.role === 'receiver') {
+        await deleteCheckpoint(transferId).catch(() => {});
+      }
+      addLog('The other side cancelled the transfer.', 'error');
+      finishTransfer(transferId, { status: 'cancelled', reason: 'cancelled-by-peer' });
+    };
+
+    // The server closed the session: the request expired or the other side is gone for good.
+    const onTransferClosed = ({ transferId, reason }) => {
+      if (sessions.current.get(transferId)?.role === 'receiver') {
+        deleteCheckpoint(transferId).catch(() => {});
+      }
+      const messages = {
+        expired: 'A transfer request expired before it was answered.',
+        'relay-limit': 'A relayed transfer went over the server\'s size limit.',
+      };
+      addLog(messages[reason] || 'The other device disconnected from a transfer.', 'error');
+      finishTransfer(transferId, { status: 'failed', reason });
+    };
+
+    // The other side lost its server connection mid-transfer; it may still come back.
+    const onTransferPeerLeft = ({ transferId }) => {
+      if (sessions.current.get(transferId)?.pc) handleConnectionLost(transferId);
     };
 
-    const onWebRTCOffer = async ({ from, offer }) => {
+    const onWebRTCOffer = async ({ from, transferId, offer }) => {
       const fromUser = users.find(u => u.id === from);
-      if (!fromUser) return;
+      const session = sessions.current.get(transferId);
+      if (!fromUser || !session?.receiver) return;
       addLog(`Received WebRTC offer from ${fromUser.nickname.name}`, 'info');
-      const pc = createPeerConnection(from);
+      if (!checkPeerKey(transferId, from, offer)) return;
+      // Remember the sender's current socket in case it changed since the checkpoint was written.
+      session.receiver.setPeer(from);
+      session.peer = from;
+      updateTransfer(transferId, { status: 'connecting', peer: from, transport: 'direct' });
+      if (session.pc) session.pc.close();
+      const pc = createPeerConnection(transferId);
       if (pc) {
-        pc.ondatachannel = (event) => {
-          const receiveChannel = event.channel;
-          receiveChannel.binaryType = 'arraybuffer';
-          receiveChannel.onmessage = (e) => {
-            if (receivedSize.current === 0) {
-              setTransferState(prev => ({...prev, status: 'sending'})); // Show progress on receiver
-            }
-            receivedData.current.push(e.data);
-            receivedSize.current += e.data.byteLength;
-            const progress = Math.round((receivedSize.current / transferState.file.size) * 100);
-            setTransferState(prev => ({...prev, progress}));
-
-            if (receivedSize.current === transferState.file.size) {
-              const blob = new Blob(receivedData.current, { type: transferState.file.type });
-              const url = URL.createObjectURL(blob);
-              const a = document.createElement('a');
-              a.href = url;
-              a.download = transferState.file.name;
-              document.body.appendChild(a);
-              a.click();
-              window.URL.revokeObjectURL(url);
-              a.remove();
-              addLog('File received successfully!', 'success');
-              setTransferState(prev => ({ ...prev, status: 'completed' }));
-              setTimeout(() => resetTransferState(), 3000);
-            }
-          };
-        };
+        session.receiver.attach(pc);
         await pc.setRemoteDescription(new RTCSessionDescription(offer));
         const answer = await pc.createAnswer();
         await pc.setLocalDescription(answer);
-        socket.emit('webrtc-answer', { to: from, answer });
+        socket.emit('webrtc-answer', { transferId, answer });
       }
     };
-    
-    const onWebRTCAnswer = async ({ answer }) => {
+
+    const onWebRTCAnswer = async ({ from, transferId, answer }) => {
       addLog('Received WebRTC answer.', 'info');
-      if (peerConnection.current && peerConnection.current.signalingState !== 'closed') {
-        await peerConnection.current.setRemoteDescription(new RTCSessionDescription(answer));
+      if (!checkPeerKey(transferId, from, answer)) return;
+      const pc = sessions.current.get(transferId)?.pc;
+      if (pc && pc.signalingState !== 'closed') {
+        await pc.setRemoteDescription(new RTCSessionDescription(answer));
       }
     };
 
-    const onWebRTCIceCandidate = async ({ candidate }) => {
-      if (peerConnection.current && peerConnection.current.signalingState !== 'closed') {
+    const onWebRTCIceCandidate = async ({ transferId, candidate }) => {
+      const pc = sessions.current.get(transferId)?.pc;
+      if (pc && pc.signalingState !== 'closed') {
         try {
-          await peerConnection.current.addIceCandidate(new RTCIceCandidate(candidate));
+          await pc.addIceCandidate(new RTCIceCandidate(candidate));
         } catch (e) {
           addLog(`Error adding received ICE candidate: ${e}`, 'error');
         }
@@ -312,10 +781,21 @@ export default function App() {
     // Register listeners
     socket.on('connect', onConnect);
     socket.on('disconnect', onDisconnect);
+    socket.on('device-replaced', onDeviceReplaced);
+    socket.on('server-error', onServerError);
     socket.on('update-user-list', onUpdateUserList);
+    socket.on('room-update', onRoomUpdate);
+    socket.on('pair-complete', onPairComplete);
+    socket.on('pair-expired', onPairExpired);
+    socket.on('message', onMessage);
     socket.on('file-request', onFileRequest);
     socket.on('file-accept', onFileAccept);
     socket.on('file-reject', onFileReject);
+    socket.on('transfer-resume', onTransferResume);
+    socket.on('transfer-resume-reject', onTransferResumeReject);
+    socket.on('transfer-closed', onTransferClosed);
+    socket.on('transfer-peer-left', onTransferPeerLeft);
+    socket.on('transfer-cancel', onTransferCancel);
     socket.on('webrtc-offer', onWebRTCOffer);
     socket.on('webrtc-answer', onWebRTCAnswer);
     socket.on('webrtc-ice-candidate', onWebRTCIceCandidate);
@@ -324,56 +804,263 @@ export default function App() {
     return () => {
       socket.off('connect', onConnect);
       socket.off('disconnect', onDisconnect);
+      socket.off('device-replaced', onDeviceReplaced);
+      socket.off('server-error', onServerError);
       socket.off('update-user-list', onUpdateUserList);
+      socket.off('room-update', onRoomUpdate);
+      socket.off('pair-complete', onPairComplete);
+      socket.off('pair-expired', onPairExpired);
+      socket.off('message', onMessage);
       socket.off('file-request', onFileRequest);
       socket.off('file-accept', onFileAccept);
       socket.off('file-reject', onFileReject);
+      socket.off('transfer-resume', onTransferResume);
+      socket.off('transfer-resume-reject', onTransferResumeReject);
+      socket.off('transfer-closed', onTransferClosed);
+      socket.off('transfer-peer-left', onTransferPeerLeft);
+      socket.off('transfer-cancel', onTransferCancel);
       socket.off('webrtc-offer', onWebRTCOffer);
       socket.off('webrtc-answer', onWebRTCAnswer);
       socket.off('webrtc-ice-candidate', onWebRTCIceCandidate);
     };
-  }, [socket, nickname, addLog, users, createPeerConnection, handleFileChunk, transferState.file]);
+  }, [socket, nickname, addLog, users, createPeerConnection, startSending, updateTransfer, finishTransfer, handleConnectionLost]);
 
   // --- UI Event Handlers ---
   const handleNicknameChange = (e) => {
     if (e.key === 'Enter' && socket) {
       socket.emit('update-nickname', nickname);
+      saveNickname(nickname);
       setIsEditingNickname(false);
     }
   };
 
-  const handleFileSelect = (files) => {
-    if (files && files[0]) {
-      const file = files[0];
-      setSelectedFile(file);
-      // *** FIX: Update the ref whenever a new file is selected. ***
-      fileToSend.current = file; 
-      addLog(`Selected file: ${file.name} (${formatBytes(file.size)})`);
+  const clearSelectedFiles = () => {
+    setSelectedFiles([]);
+  };
+
+  const clearDraftImage = () => {
+    if (draftImage) URL.revokeObjectURL(draftImage.url);
+    setDraftImage(null);
+  };
+
+  // Messages skip the transfer queue; they are shown to the receiver as soon as the server passes them on.
+  const sendMessage = async (targetUsers) => {
+    const image = draftImage;
+    const text = image ? undefined : draftText;
+    // The sent messages keep the image's URL, so it is not revoked here.
+    if (image) setDraftImage(null);
+    else setDraftText('');
+    const payload = image ? { type: image.blob.type, data: await image.blob.arrayBuffer() } : undefined;
+    targetUsers.forEach(targetUser => {
+      socket.emit('message', { to: targetUser.id, text, image: payload }, ({ id, error } = {}) => {
+        if (!id) {
+          addLog(`Could not send the message to ${targetUser.nickname.name}: ${error || 'no response'}`, 'error');
+          return;
+        }
+        setMessages(prev => [{ id, direction: 'send', peer: targetUser.id, peerDevice: targetUser.deviceId, peerNickname: targetUser.nickname, text, image, sentAt: Date.now() }, ...prev]);
+      });
+    });
+  };
+
+  const canSend = selectedUsers.length > 0 && (shareMode === 'text' ? Boolean(draftImage || draftText.trim()) : selectedFiles.length > 0);
+
+  const handleSend = () => {
+    if (!socket || !canSend) return;
+    if (shareMode === 'text') {
+      sendMessage(selectedUsers);
+      return;
     }
+    sendFiles(selectedFiles, selectedUsers);
+    // The queued transfer keeps its own copy, so the next batch can be picked right away.
+    clearSelectedFiles();
+  };
+
+  const handleCopyMessage = async (message) => {
+    try {
+      await copyMessage(message);
+      return true;
+    } catch (error) {
+      addLog(`Could not copy to the clipboard: ${error.message}`, 'error');
+      return false;
+    }
+  };
+
+  const handleClearMessages = () => {
+    messages.forEach(message => message.image && URL.revokeObjectURL(message.image.url));
+    setMessages([]);
+  };
+
+  // Resolves with { room } or { error } once the server answered.
+  const handleJoinRoom = (name, code) => new Promise((resolve) => {
+    if (!socket) {
+      resolve({ error: 'Not connected to the server.' });
+      return;
+    }
+    socket.emit('room-join', { name, code }, (result = {}) => {
+      if (!result.error) joinedRoom.current = { name, code };
+      resolve(result);
+    });
+  });
+
+  const handleStartPairing = () => new Promise((resolve) => {
+    if (!socket) {
+      resolve({ error: 'Not connected to the server.' });
+      return;
+    }
+    socket.emit('pair-create', (result = {}) => {
+      if (!result.error) setPairing(result);
+      resolve(result);
+    });
+  });
+
+  const handleCancelPairing = () => {
+    setPairing(null);
+    socket?.emit('pair-cancel');
+  };
+
+  const handleJoinPairing = (code) => new Promise((resolve) => {
+    if (!socket) {
+      resolve({ error: 'Not connected to the server.' });
+      return;
+    }
+    socket.emit('pair-join', { code }, (result = {}) => {
+      if (!result.error) {
+        joinedRoom.current = { token: result.token };
+        setPairing(null);
+      }
+      resolve(result);
+    });
+  });
+
+  const trustFor = (user) => trustState(verifiedDevices[user.deviceId], user.fingerprint);
+
+  const handleVerifyDevice = (user) => {
+    const key = user.deviceId;
+    setVerifiedDevices(prev => ({ ...prev, [key]: { key, nickname: user.nickname, fingerprint: user.fingerprint, verifiedAt: Date.now() } }));
+    saveVerifiedDevice(user).catch(error => addLog(`Could not save the verification: ${error.message}`, 'error'));
+    addLog(`Marked ${user.nickname.name} as verified.`, 'success');
+  };
+
+  const handleUnverifyDevice = (user) => {
+    const key = user.deviceId;
+    setVerifiedDevices(prev => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+    deleteVerifiedDevice(key).catch(error => addLog(`Could not remove the verification: ${error.message}`, 'error'));
+  };
+
+  // Clicking a device adds it to or removes it from the recipients.
+  const toggleSelectedUser = (user) => {
+    setSelectedUsers(prev => (prev.some(u => u.deviceId === user.deviceId) ? prev.filter(u => u.deviceId !== user.deviceId) : [...prev, user]));
+  };
+
+  const handleLeaveRoom = () => {
+    joinedRoom.current = null;
+    socket?.emit('room-leave');
   };
 
   const handleDragOver = (e) => e.preventDefault();
-  const handleDrop = (e) => {
+  const handleDrop = async (e) => {
     e.preventDefault();
-    handleFileSelect(e.dataTransfer.files);
+    try {
+      handleFileSelect(await filesFromDataTransfer(e.dataTransfer));
+    } catch (error) {
+      addLog(`Could not read dropped items: ${error.message}`, 'error');
+    }
   };
 
-  const handleAcceptFile = () => {
-    if(!socket || !transferState.from) return;
-    setTransferState(prev => ({ ...prev, status: 'connecting' }));
-    socket.emit('file-accept', { to: transferState.from });
+  const handleAcceptFile = async (transferId) => {
+    const transfer = transfers[transferId];
+    if (!socket || transfer?.status !== 'incoming') return;
+    const { peer: from, peerDevice: fromDevice, peerNickname: senderNickname, manifest } = transfer;
+    let sink;
+    try {
+      sink = await createSink(transferId, manifest);
+    } catch (error) {
+      // Dismissing the save dialog just leaves the request open.
+      if (error.name !== 'AbortError') addLog(`Could not prepare a place to save the files: ${error.message}`, 'error');
+      return;
+    }
+    sink.onCancel = () => {
+      addLog('The download was cancelled in the browser.', 'error');
+      handleCancelTransfer(transferId);
+    };
+    addLog(`Saving incoming files via ${sink.kind}.`, 'info');
+
+    const checkpoint = { transferId, from, fromDevice, senderNickname, manifest, sink: sink.toCheckpoint(), chunkSize: null, compression: null, fileIndex: 0, chunkIndex: 0, receivedBytes: 0, committedBytes: 0, hashState: new Sha256().exportState(), retries: {} };
+    const session = { role: 'receiver', peer: from, receiver: createReceiver(transferId, checkpoint, sink) };
+    sessions.current.set(transferId, session);
+    if (sink.persistent) {
+      saveCheckpoint(checkpoint).catch(error => addLog(`Could not save transfer checkpoint: ${error.message}`, 'error'));
+    }
+    // A relay-only sender opens its channels as soon as it hears we accepted, so listen first.
+    let relayId;
+    if (transfer.transport === 'relay') {
+      session.relay = true;
+      session.pc = new RelayConnection(socket, transferId);
+      session.receiver.attach(session.pc);
+      relayId = session.pc.connectionId;
+    }
+    updateTransfer(transferId, { status: 'connecting' });
+    socket.emit('file-accept', { transferId, relayId, compression: supportedCompression() });
     addLog('Accepted file transfer. Waiting for sender...', 'success');
   };
 
-  const handleRejectFile = () => {
-    if(!socket || !transferState.from) return;
-    socket.emit('file-reject', { to: transferState.from });
+  const handleGrantPermission = async (transferId) => {
+    const receiver = sessions.current.get(transferId)?.receiver;
+    if (!receiver) return;
+    if (await receiver.sink.requestPermission()) {
+      updateTransfer(transferId, { needsPermission: false });
+    } else {
+      addLog('Zap needs access to the chosen location to resume the transfer.', 'error');
+    }
+  };
+
+  // Stops a transfer for good, in any state. The other side hears about it on the data
+  // channel if one is open, and through the server either way. Received data is thrown away.
+  const handleCancelTransfer = async (transferId) => {
+    const transfer = transfers[transferId];
+    const session = sessions.current.get(transferId);
+    if (transfer && transfer.status !== 'queued') socket?.emit('transfer-cancel', { transferId });
+    session?.sender?.cancel();
+    if (session?.receiver) await session.receiver.cancel();
+    finishTransfer(transferId, { status: 'cancelled', reason: 'cancelled' });
+    addLog(`Cancelled the transfer of ${transfer?.manifest.label || 'the files'}.`, 'error');
+  };
+
+  const handlePauseTransfer = (transferId, paused) => {
+    const session = sessions.current.get(transferId);
+    (session?.sender || session?.receiver)?.setPaused(paused);
+  };
+
+  const handleRejectFile = (transferId) => {
+    const transfer = transfers[transferId];
+    if (!socket || !transfer) return;
+    socket.emit('file-reject', { transferId });
     addLog('Rejected file transfer.', 'error');
-    resetTransferState();
+    updateTransfer(transferId, { status: 'rejected' });
+  };
+
+  const handleClearHistory = () => {
+    setHistory([]);
+    clearHistory().catch(error => addLog(`Could not clear the history: ${error.message}`, 'error'));
+  };
+
+  const handleClearFinished = () => {
+    setTransfers(prev => Object.fromEntries(Object.entries(prev).filter(([, t]) => !FINISHED_STATUSES.includes(t.status))));
   };
 
+  // Prefer the peer's current nickname; fall back to the one it had when the transfer started.
+  const peerFor = (transfer) => users.find(u => u.deviceId === transfer.peerDevice)?.nickname || transfer.peerNickname;
+
   // --- Render ---
   const otherUsers = users.filter(user => user.id !== socket?.id);
+  const isSelected = (user) => selectedUsers.some(u => u.deviceId === user.deviceId);
+  // Verification is about one device, so it only shows while exactly one is selected.
+  const selectedPeer = selectedUsers.length === 1 ? otherUsers.find(isSelected) : null;
+  const selectedManifest = selectedFiles.length > 0 ? buildManifest(selectedFiles) : null;
 
   return (
     <div className="bg-slate-900 text-slate-300 min-h-screen font-sans flex flex-col items-center justify-center p-4 relative overflow-hidden">
@@ -407,6 +1094,7 @@ export default function App() {
                   onKeyDown={handleNicknameChange}
                   onBlur={() => {
                     if (socket) socket.emit('update-nickname', nickname);
+                    saveNickname(nickname);
                     setIsEditingNickname(false);
                   }}
                   className="bg-transparent focus:outline-none w-24 text-slate-200"
@@ -426,78 +1114,157 @@ export default function App() {
         <div className="grid md:grid-cols-[1fr,1.5fr]">
           {/* Left Panel: Users */}
           <div className="p-4 sm:p-5 border-b md:border-b-0 md:border-r border-slate-700/50 bg-slate-800/20">
-            <h2 className="text-lg font-semibold mb-4 text-slate-200 flex items-center gap-2"><Wifi size={20}/> Devices on Network</h2>
+            <h2 className="text-lg font-semibold mb-2 text-slate-200 flex items-center gap-2"><Wifi size={20}/> {{ named: 'Devices in Room', paired: 'Paired Device' }[room?.kind] || 'Devices on Network'}</h2>
+            <RoomPicker room={room} canJoin={config.features.rooms} onJoin={handleJoinRoom} onLeave={handleLeaveRoom} />
+            {room && room.kind !== 'paired' && config.features.pairing && (
+              <PairDevice pairing={pairing} onStart={handleStartPairing} onCancel={handleCancelPairing} onJoin={handleJoinPairing} />
+            )}
             <div className="space-y-2 h-72 overflow-y-auto pr-2">
               <AnimatePresence>
               {otherUsers.length > 0 ? (
                 otherUsers.map(user => (
                   <motion.div
-                    key={user.id}
+                    key={user.deviceId}
                     layout
                     initial={{ opacity: 0, x: -20 }}
                     animate={{ opacity: 1, x: 0 }}
                     exit={{ opacity: 0, x: -20 }}
-                    onClick={() => setSelectedUser(user)}
-                    className={`flex items-center justify-between p-3 rounded-lg cursor-pointer transition-all duration-200 group ${selectedUser?.id === user.id ? 'bg-blue-500/20 ring-2 ring-blue-500' : 'bg-slate-700/40 hover:bg-slate-700/80'}`}
+                    onClick={() => toggleSelectedUser(user)}
+                    className={`flex items-center justify-between p-3 rounded-lg cursor-pointer transition-all duration-200 group ${isSelected(user) ? 'bg-blue-500/20 ring-2 ring-blue-500' : 'bg-slate-700/40 hover:bg-slate-700/80'}`}
                   >
                     <div className="flex items-center gap-3">
                       <div className="relative">
                         <span className="text-2xl">{user.nickname.emoji}</span>
-                        <div className="absolute -bottom-0.5 -right-0.5 w-2.5 h-2.5 bg-green-400 rounded-full border-2 border-slate-800"></div>
+                        <div className={`absolute -bottom-0.5 -right-0.5 w-2.5 h-2.5 rounded-full border-2 border-slate-800 ${user.reconnecting ? 'bg-amber-400' : 'bg-green-400'}`}></div>
                       </div>
                       <span className="font-medium text-slate-300">{user.nickname.name}</span>
+                      {user.reconnecting && <span className="text-xs text-amber-400">reconnecting…</span>}
+                      {trustFor(user) === 'verified' && <ShieldCheck size={16} className="text-green-400" aria-label="Verified" />}
+                      {trustFor(user) === 'changed' && <ShieldAlert size={16} className="text-amber-400" aria-label="Key changed" />}
                     </div>
-                    <ChevronRight className="w-5 h-5 text-slate-500 group-hover:translate-x-1 transition-transform" />
+                    {isSelected(user) ? (
+                      <Check className="w-5 h-5 text-blue-400" />
+                    ) : (
+                      <ChevronRight className="w-5 h-5 text-slate-500 group-hover:translate-x-1 transition-transform" />
+                    )}
                   </motion.div>
                 ))
               ) : (
                 <motion.div initial={{opacity: 0}} animate={{opacity: 1}} className="text-center text-slate-500 pt-16 flex flex-col items-center">
                   <Wifi size={32} className="mb-2"/>
                   <p className="font-medium">Searching for devices...</p>
-                  <p className="text-xs">Open Zap on another device on the same Wi-Fi.</p>
+                  <p className="text-xs">
+                    {room?.kind === 'named' && `Join "${room.name}" on another device to see it here.`}
+                    {room?.kind === 'paired' && 'The other device left. Unpair and pair again to reconnect.'}
+                    {(!room || room.kind === 'network') && 'Open Zap on another device on the same Wi-Fi.'}
+                  </p>
                 </motion.div>
               )}
               </AnimatePresence>
             </div>
+            {selectedPeer && (
+              <VerifyDevice
+                user={selectedPeer}
+                ownFingerprint={ownFingerprint}
+                trust={trustFor(selectedPeer)}
+                onVerify={handleVerifyDevice}
+                onUnverify={handleUnverifyDevice}
+              />
+            )}
           </div>
 
           {/* Right Panel: File Upload */}
           <div className="p-4 sm:p-5 flex flex-col">
-            <h2 className="text-lg font-semibold mb-4 text-slate-200">Share a File</h2>
-            <div
-              onDrop={handleDrop}
-              onDragOver={handleDragOver}
-              className="flex-grow border-2 border-dashed border-slate-600 rounded-lg text-center cursor-pointer hover:border-blue-500 hover:bg-slate-800/50 transition-all flex flex-col justify-center items-center"
-            >
-              <input type="file" onChange={(e) => handleFileSelect(e.target.files)} className="hidden" id="file-input" />
-              {selectedFile ? (
-                <div className="p-4">
-                  <File className="w-16 h-16 mx-auto text-blue-400 mb-3" />
-                  <p className="font-semibold text-slate-200 break-all">{selectedFile.name}</p>
-                  <p className="text-sm text-slate-400">{formatBytes(selectedFile.size)}</p>
-                  <button onClick={(e) => { e.stopPropagation(); setSelectedFile(null); fileToSend.current = null; }} className="mt-3 text-xs text-red-400 hover:underline">
-                    Clear file
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-slate-200">{shareMode === 'text' ? 'Send Text' : 'Share Files'}</h2>
+              {config.features.messages && (
+                <div className="flex bg-slate-700/50 rounded-lg p-0.5 text-xs">
+                  <button onClick={() => setShareMode('files')} className={`px-2.5 py-1 rounded-md flex items-center gap-1 ${shareMode === 'files' ? 'bg-slate-600 text-slate-100' : 'text-slate-400 hover:text-slate-200'}`}>
+                    <Files size={12} /> Files
+                  </button>
+                  <button onClick={() => setShareMode('text')} className={`px-2.5 py-1 rounded-md flex items-center gap-1 ${shareMode === 'text' ? 'bg-slate-600 text-slate-100' : 'text-slate-400 hover:text-slate-200'}`}>
+                    <Type size={12} /> Text
                   </button>
                 </div>
-              ) : (
-                <label htmlFor="file-input" className="p-4 cursor-pointer">
-                  <HardDrive className="w-12 h-12 mx-auto text-slate-500 mb-4" />
-                  <p className="text-slate-400 font-semibold">Drag & drop a file here</p>
-                  <p className="text-slate-500 text-sm">or click to select</p>
-                </label>
               )}
             </div>
+            {shareMode === 'text' ? (
+              <TextComposer text={draftText} image={draftImage} onTextChange={setDraftText} onClearImage={clearDraftImage} onSend={handleSend} />
+            ) : (
+              <div
+                onDrop={handleDrop}
+                onDragOver={handleDragOver}
+                className="flex-grow border-2 border-dashed border-slate-600 rounded-lg text-center cursor-pointer hover:border-blue-500 hover:bg-slate-800/50 transition-all flex flex-col justify-center items-center"
+              >
+                <input type="file" multiple onChange={(e) => { handleFileSelect(filesFromFileList(e.target.files)); e.target.value = ''; }} className="hidden" id="file-input" />
+                <input type="file" webkitdirectory="" onChange={(e) => { handleFileSelect(filesFromFileList(e.target.files)); e.target.value = ''; }} className="hidden" id="folder-input" />
+                {selectedManifest ? (
+                  <div className="p-4 w-full">
+                    {selectedManifest.files.length > 1 ? (
+                      <Files className="w-16 h-16 mx-auto text-blue-400 mb-3" />
+                    ) : (
+                      <File className="w-16 h-16 mx-auto text-blue-400 mb-3" />
+                    )}
+                    <p className="font-semibold text-slate-200 break-all">{selectedManifest.label}</p>
+                    <p className="text-sm text-slate-400">
+                      {selectedManifest.files.length > 1 && `${selectedManifest.files.length} files · `}{formatBytes(selectedManifest.totalSize)}
+                    </p>
+                    {selectedManifest.files.length > 1 && (
+                      <ul className="mt-3 max-h-24 overflow-y-auto text-xs text-slate-400 text-left space-y-0.5">
+                        {selectedManifest.files.map(f => (
+                          <li key={f.path} className="flex justify-between gap-2">
+                            <span className="truncate">{f.path}</span>
+                            <span className="shrink-0 text-slate-500">{formatBytes(f.size)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    <button onClick={(e) => { e.stopPropagation(); clearSelectedFiles(); }} className="mt-3 text-xs text-red-400 hover:underline">
+                      Clear selection
+                    </button>
+                  </div>
+                ) : (
+                  <div className="p-4">
+                    <HardDrive className="w-12 h-12 mx-auto text-slate-500 mb-4" />
+                    <p className="text-slate-400 font-semibold">Drag & drop files or folders here</p>
+                    <p className="text-slate-500 text-sm">
+                      or <label htmlFor="file-input" className="text-blue-400 hover:underline cursor-pointer">select files</label>
+                      {' / '}
+                      <label htmlFor="folder-input" className="text-blue-400 hover:underline cursor-pointer inline-flex items-center gap-1"><Folder size={12} />a folder</label>
+                    </p>
+                  </div>
+                )}
+              </div>
+            )}
             <button
-              onClick={() => sendFile(selectedFile, selectedUser)}
-              disabled={!selectedFile || !selectedUser || transferState.status !== 'idle'}
+              onClick={handleSend}
+              disabled={!canSend}
               className="w-full mt-4 bg-gradient-to-r from-blue-600 to-purple-600 text-white font-bold py-3 rounded-lg flex items-center justify-center gap-2 hover:from-blue-500 hover:to-purple-500 transition-all disabled:from-slate-600 disabled:to-slate-700 disabled:cursor-not-allowed disabled:opacity-60 shadow-lg hover:shadow-blue-500/30"
             >
               <Send className="w-5 h-5" />
-              Send to {selectedUser?.nickname?.name || '...'}
+              Send to {selectedUsers.length > 1 ? `${selectedUsers.length} devices` : selectedUsers[0]?.nickname?.name || '...'}
             </button>
           </div>
         </div>
 
+        {/* Transfers */}
+        <TransferPanel
+          transfers={transfers}
+          peerFor={peerFor}
+          onAccept={handleAcceptFile}
+          onReject={handleRejectFile}
+          onCancel={handleCancelTransfer}
+          onPause={handlePauseTransfer}
+          onGrantPermission={handleGrantPermission}
+          onClearFinished={handleClearFinished}
+        />
+
+        {/* History */}
+        <HistoryPanel entries={history} onClear={handleClearHistory} />
+
+        {/* Messages */}
+        <MessagePanel messages={messages} peerFor={peerFor} onCopy={handleCopyMessage} onClear={handleClearMessages} />
+
         {/* Debug Console */}
         <AnimatePresence>
           {showDebug && (
@@ -523,145 +1290,6 @@ export default function App() {
         </AnimatePresence>
       </main>
 
-      {/* Modals and Overlays */}
-      <AnimatePresence>
-        {transferState.status === 'receiving' && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4"
-          >
-            <motion.div
-              initial={{ scale: 0.9, opacity: 0 }}
-              animate={{ scale: 1, opacity: 1 }}
-              exit={{ scale: 0.9, opacity: 0 }}
-              className="bg-slate-800 rounded-2xl p-8 shadow-2xl w-full max-w-md text-center border border-slate-700"
-            >
-              <File className="w-16 h-16 mx-auto text-blue-400 mb-4" />
-              <h2 className="text-2xl font-bold mb-2 text-slate-100">Incoming File</h2>
-              <p className="text-slate-300 mb-4">
-                <span className="font-bold text-white">{transferState.senderNickname?.name}</span> wants to send you a file.
-              </p>
-              <div className="bg-slate-900/50 rounded-lg p-4 mb-6 text-left space-y-1 text-sm">
-                <p><strong>File:</strong> {transferState.file.name}</p>
-                <p><strong>Size:</strong> {formatBytes(transferState.file.size)}</p>
-                <p><strong>Type:</strong> {transferState.file.type}</p>
-              </div>
-              <div className="flex gap-4">
-                <button onClick={handleRejectFile} className="flex-1 bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 rounded-lg transition-colors flex items-center justify-center gap-2">
-                  <X /> Reject
-                </button>
-                <button onClick={handleAcceptFile} className="flex-1 bg-green-600 hover:bg-green-500 text-white font-bold py-3 rounded-lg transition-colors flex items-center justify-center gap-2">
-                  <CheckCircle /> Accept
-                </button>
-              </div>
-            </motion.div>
-          </motion.div>
-        )}
-      </AnimatePresence>
-
-      <AnimatePresence>
-        {transferState.status === 'connecting' && (
-             <motion.div
-             initial={{ opacity: 0 }}
-             animate={{ opacity: 1 }}
-             exit={{ opacity: 0 }}
-             className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4"
-           >
-             <motion.div
-               initial={{ scale: 0.9, opacity: 0 }}
-               animate={{ scale: 1, opacity: 1 }}
-               exit={{ scale: 0.9, opacity: 0 }}
-               className="bg-slate-800 rounded-2xl p-8 shadow-2xl w-full max-w-md text-center border border-slate-700"
-             >
-               <Loader className="w-16 h-16 mx-auto text-blue-400 mb-4 animate-spin" />
-               <h2 className="text-2xl font-bold mb-2 text-slate-100">Connecting...</h2>
-               <p className="text-slate-300 mb-4">
-                Establishing a secure connection with {transferState.senderNickname?.name || users.find(u => u.id === transferState.to)?.nickname?.name}.
-               </p>
-             </motion.div>
-           </motion.div>
-        )}
-      </AnimatePresence>
-
-      <AnimatePresence>
-        {(transferState.status === 'sending' || transferState.status === 'requesting' || transferState.status === 'accepted') && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4"
-          >
-            <motion.div
-              initial={{ scale: 0.9, opacity: 0 }}
-              animate={{ scale: 1, opacity: 1 }}
-              exit={{ scale: 0.9, opacity: 0 }}
-              className="bg-slate-800 rounded-2xl p-8 shadow-2xl w-full max-w-md text-center border border-slate-700"
-            >
-              <ArrowUp className="w-16 h-16 mx-auto text-blue-400 mb-4 animate-pulse" />
-              <h2 className="text-2xl font-bold mb-2 text-slate-100">
-                {transferState.status === 'sending' ? 'Sending File...' : 'Requesting Transfer...'}
-              </h2>
-              <p className="text-slate-300 mb-4">
-                {transferState.status === 'requesting' && `Waiting for ${users.find(u => u.id === transferState.to)?.nickname?.name} to accept...`}
-                {transferState.status === 'accepted' && `Connection established. Preparing to send...`}
-                {transferState.status === 'sending' && `Sending ${transferState.file?.name}`}
-              </p>
-              <div className="w-full bg-slate-700 rounded-full h-2.5">
-                <motion.div
-                  className="bg-gradient-to-r from-blue-500 to-purple-500 h-2.5 rounded-full"
-                  initial={{ width: 0 }}
-                  animate={{ width: `${transferState.progress}%` }}
-                  transition={{ duration: 0.2, ease: 'linear' }}
-                />
-              </div>
-              <p className="text-sm mt-2 text-slate-400">{transferState.progress}%</p>
-            </motion.div>
-          </motion.div>
-        )}
-      </AnimatePresence>
-      
-      <AnimatePresence>
-        {transferState.status === 'completed' && (
-           <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4"
-          >
-            <motion.div
-              initial={{ scale: 0.9, opacity: 0 }}
-              animate={{ scale: 1, opacity: 1 }}
-              exit={{ scale: 0.9, opacity: 0 }}
-              className="bg-slate-800 rounded-2xl p-8 shadow-2xl w-full max-w-md text-center border border-slate-700"
-            >
-              <CheckCircle className="w-16 h-16 mx-auto text-green-400 mb-4" />
-              <h2 className="text-2xl font-bold mb-2 text-slate-100">Transfer Complete!</h2>
-            </motion.div>
-          </motion.div>
-        )}
-        {transferState.status === 'rejected' || transferState.status === 'error' && (
-           <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4"
-          >
-            <motion.div
-              initial={{ scale: 0.9, opacity: 0 }}
-              animate={{ scale: 1, opacity: 1 }}
-              exit={{ scale: 0.9, opacity: 0 }}
-              className="bg-slate-800 rounded-2xl p-8 shadow-2xl w-full max-w-md text-center border border-slate-700"
-            >
-              <AlertCircle className="w-16 h-16 mx-auto text-red-400 mb-4" />
-              <h2 className="text-2xl font-bold mb-2 text-slate-100">Transfer Failed</h2>
-              <p className="text-slate-400">{transferState.status === 'rejected' ? 'The user rejected the file.' : 'An error occurred.'}</p>
-            </motion.div>
-          </motion.div>
-        )}
-      </AnimatePresence>
-
     </div>
   );
 }
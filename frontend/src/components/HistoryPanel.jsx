@@ -0,0 +1,130 @@
+// frontend/src/components/HistoryPanel.jsx
+
+import React, { useState } from 'react';
+// eslint-disable-next-line no-unused-vars
+import { motion, AnimatePresence } from 'framer-motion';
+import { History, ArrowUp, ArrowDown, ShieldCheck, ShieldAlert, ChevronDown, Trash2, Download } from 'lucide-react';
+import { formatBytes } from '../lib/format';
+import { historyToCsv, historyToJson } from '../lib/history';
+
+const OUTCOME_STYLE = {
+  completed: 'text-green-400',
+  rejected: 'text-amber-400',
+  cancelled: 'text-slate-400',
+  failed: 'text-red-400',
+};
+
+const formatDuration = (ms) => {
+  if (ms === null) return '–';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+};
+
+const download = (fileName, type, text) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const matches = (entry, { direction, outcome, query }) => {
+  if (direction !== 'all' && entry.direction !== direction) return false;
+  if (outcome !== 'all' && entry.outcome !== outcome) return false;
+  const needle = query.trim().toLowerCase();
+  return !needle || [entry.fileName, entry.peerName].some(value => value?.toLowerCase().includes(needle));
+};
+
+const HistoryRow = ({ entry }) => (
+  <li className="flex items-start gap-3 bg-slate-700/30 rounded-lg p-2.5 text-xs">
+    {entry.direction === 'send' ? <ArrowUp size={16} className="shrink-0 text-blue-400" /> : <ArrowDown size={16} className="shrink-0 text-purple-400" />}
+    <div className="flex-grow min-w-0">
+      <div className="flex justify-between gap-2">
+        <span className="font-medium text-slate-200 truncate text-sm">{entry.fileName}</span>
+        <span className={`shrink-0 capitalize ${OUTCOME_STYLE[entry.outcome] || 'text-slate-400'}`}>{entry.outcome}</span>
+      </div>
+      <div className="flex flex-wrap gap-x-3 text-slate-400 mt-0.5">
+        <span>{entry.direction === 'send' ? 'To' : 'From'} {entry.peerEmoji} {entry.peerName || 'unknown'}</span>
+        <span>{formatBytes(entry.size)}{entry.fileCount > 1 && ` · ${entry.fileCount} files`}</span>
+        <span>{new Date(entry.finishedAt).toLocaleString()}</span>
+        <span>{formatDuration(entry.duration)}</span>
+        {entry.averageSpeed !== null && <span>{formatBytes(entry.averageSpeed)}/s</span>}
+        {entry.verification === 'verified' && <span className="text-green-400 flex items-center gap-0.5"><ShieldCheck size={12} /> SHA-256</span>}
+        {entry.verification === 'corrupted' && <span className="text-red-400 flex items-center gap-0.5"><ShieldAlert size={12} /> Corrupted</span>}
+      </div>
+    </div>
+  </li>
+);
+
+// --- History Panel ---
+// Every finished transfer this device took part in, also from earlier visits. Exports
+// cover what the filters currently show.
+export default function HistoryPanel({ entries, onClear }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [filters, setFilters] = useState({ direction: 'all', outcome: 'all', query: '' });
+  const shown = entries.filter(entry => matches(entry, filters));
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+  return (
+    <div className="p-4 sm:p-5 border-t border-slate-700/50">
+      <button onClick={() => setIsOpen(!isOpen)} className="w-full flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-slate-200 flex items-center gap-2"><History size={20} /> History <span className="text-sm font-normal text-slate-500">({entries.length})</span></h2>
+        <ChevronDown className={`w-5 h-5 text-slate-400 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            className="overflow-hidden"
+          >
+            <div className="flex flex-wrap gap-2 mt-3 text-xs">
+              <select value={filters.direction} onChange={setFilter('direction')} className="bg-slate-700/60 rounded-md px-2 py-1 text-slate-200 focus:outline-none">
+                <option value="all">Sent and received</option>
+                <option value="send">Sent</option>
+                <option value="receive">Received</option>
+              </select>
+              <select value={filters.outcome} onChange={setFilter('outcome')} className="bg-slate-700/60 rounded-md px-2 py-1 text-slate-200 focus:outline-none">
+                <option value="all">Any outcome</option>
+                <option value="completed">Completed</option>
+                <option value="rejected">Rejected</option>
+                <option value="failed">Failed</option>
+                <option value="cancelled">Cancelled</option>
+              </select>
+              <input
+                type="search"
+                value={filters.query}
+                onChange={setFilter('query')}
+                placeholder="File or device"
+                className="flex-grow min-w-24 bg-slate-700/60 rounded-md px-2 py-1 text-slate-200 focus:outline-none"
+              />
+            </div>
+            <div className="flex gap-3 mt-2 text-xs">
+              <button onClick={() => download(`zap-history-${stamp}.json`, 'application/json', historyToJson(shown))} disabled={shown.length === 0} className="text-blue-400 hover:underline disabled:opacity-50 flex items-center gap-1">
+                <Download size={12} /> JSON
+              </button>
+              <button onClick={() => download(`zap-history-${stamp}.csv`, 'text/csv', historyToCsv(shown))} disabled={shown.length === 0} className="text-blue-400 hover:underline disabled:opacity-50 flex items-center gap-1">
+                <Download size={12} /> CSV
+              </button>
+              <button onClick={onClear} disabled={entries.length === 0} className="ml-auto text-red-400 hover:underline disabled:opacity-50 flex items-center gap-1">
+                <Trash2 size={12} /> Clear history
+              </button>
+            </div>
+            {shown.length === 0 ? (
+              <p className="text-center text-sm text-slate-500 py-6">{entries.length === 0 ? 'Finished transfers show up here.' : 'No transfers match these filters.'}</p>
+            ) : (
+              <ul className="space-y-1.5 mt-3 max-h-72 overflow-y-auto pr-2">
+                {shown.map(entry => <HistoryRow key={entry.transferId} entry={entry} />)}
+              </ul>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+// frontend/src/components/MessagePanel.jsx
+
+import React, { useState } from 'react';
+// eslint-disable-next-line no-unused-vars
+import { motion, AnimatePresence } from 'framer-motion';
+import { MessageSquare, Copy, Check, Download, ArrowUp, ArrowDown } from 'lucide-react';
+import { linkify } from '../lib/messages';
+
+const MessageText = ({ text }) => (
+  <p className="whitespace-pre-wrap break-words font-mono text-sm text-slate-200">
+    {linkify(text).map((part, i) => (part.href ? (
+      <a key={i} href={part.href} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">{part.text}</a>
+    ) : (
+      <React.Fragment key={i}>{part.text}</React.Fragment>
+    )))}
+  </p>
+);
+
+const MessageRow = ({ message, peerName, onCopy }) => {
+  const [copied, setCopied] = useState(false);
+  const sent = message.direction === 'send';
+
+  const handleCopy = async () => {
+    if (await onCopy(message)) {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    }
+  };
+
+  return (
+    <motion.li
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, height: 0 }}
+      className="bg-slate-700/40 rounded-lg p-3"
+    >
+      <div className="flex items-center justify-between gap-2 mb-1 text-xs text-slate-400">
+        <span className="flex items-center gap-1">
+          {sent ? <ArrowUp size={12} className="text-blue-400" /> : <ArrowDown size={12} className="text-green-400" />}
+          {sent ? `To ${peerName}` : `From ${peerName}`} · {new Date(message.sentAt).toLocaleTimeString()}
+        </span>
+        <span className="flex items-center gap-2">
+          {message.image && (
+            <a href={message.image.url} download={`zap-image.${message.image.blob.type.split('/')[1] || 'png'}`} className="hover:text-slate-200" title="Download">
+              <Download size={14} />
+            </a>
+          )}
+          <button onClick={handleCopy} className="hover:text-slate-200" title="Copy">
+            {copied ? <Check size={14} className="text-green-400" /> : <Copy size={14} />}
+          </button>
+        </span>
+      </div>
+      {message.text && <MessageText text={message.text} />}
+      {message.image && <img src={message.image.url} alt={`From ${peerName}`} className="max-h-48 rounded-md" />}
+    </motion.li>
+  );
+};
+
+// --- Message Panel ---
+// Text and images sent or received this session, newest first. Nothing needs to be
+// accepted: received messages just appear, with a button to copy them.
+export default function MessagePanel({ messages, peerFor, onCopy, onClear }) {
+  if (messages.length === 0) return null;
+
+  return (
+    <div className="p-4 sm:p-5 border-t border-slate-700/50">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-slate-200 flex items-center gap-2"><MessageSquare size={20} /> Messages</h2>
+        <button onClick={onClear} className="text-xs text-slate-400 hover:text-slate-200">Clear</button>
+      </div>
+      <ul className="space-y-2 max-h-80 overflow-y-auto pr-2">
+        <AnimatePresence initial={false}>
+          {messages.map(message => (
+            <MessageRow key={message.id} message={message} peerName={peerFor(message).name} onCopy={onCopy} />
+          ))}
+        </AnimatePresence>
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+// frontend/src/components/PairDevice.jsx
+
+import React, { useState, useEffect, useMemo } from 'react';
+// eslint-disable-next-line no-unused-vars
+import { motion, AnimatePresence } from 'framer-motion';
+import { Link2, X } from 'lucide-react';
+import qrcode from 'qrcode-generator';
+
+// The QR code opens the app with the pairing token in the hash, which app.jsx picks up on load.
+const pairingLink = (token) => `${window.location.origin}${window.location.pathname}#pair=${token}`;
+
+const qrDataUrl = (text) => {
+  const qr = qrcode(0, 'M');
+  qr.addData(text);
+  qr.make();
+  return qr.createDataURL(4, 2);
+};
+
+const useSecondsLeft = (expiresAt) => {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!expiresAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+  return expiresAt ? Math.max(0, Math.ceil((expiresAt - now) / 1000)) : 0;
+};
+
+// --- Pair Device ---
+// Pairs this device with one other device, wherever it is: one side shows a 6-digit
+// code and a QR code, the other types the code or scans the QR code.
+export default function PairDevice({ pairing, onStart, onCancel, onJoin }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [isJoining, setIsJoining] = useState(false);
+  const secondsLeft = useSecondsLeft(pairing?.expiresAt);
+  const qrSrc = useMemo(() => (pairing ? qrDataUrl(pairingLink(pairing.token)) : null), [pairing]);
+
+  const handleToggle = () => {
+    if (isOpen && pairing) onCancel();
+    setIsOpen(!isOpen);
+    setError(null);
+  };
+
+  const handleStart = async () => {
+    const result = await onStart();
+    setError(result.error || null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsJoining(true);
+    const result = await onJoin(code);
+    setIsJoining(false);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    setError(null);
+    setCode('');
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="mb-4">
+      <button onClick={handleToggle} className="text-xs text-blue-400 hover:underline flex items-center gap-1">
+        {isOpen ? <><X size={12} /> Close</> : <><Link2 size={12} /> Pair a device</>}
+      </button>
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            className="overflow-hidden"
+          >
+            <div className="pt-3 space-y-3">
+              {pairing ? (
+                <div className="text-center bg-slate-700/40 rounded-lg p-3">
+                  <p className="text-xs text-slate-400">Enter this code on the other device, or scan the QR code</p>
+                  <p className="text-3xl font-mono font-bold tracking-[0.3em] text-slate-100 my-2">{pairing.code}</p>
+                  <img src={qrSrc} alt="Pairing QR code" className="mx-auto rounded bg-white" />
+                  <p className="text-xs text-slate-500 mt-2">
+                    {secondsLeft > 0 ? `Expires in ${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}` : 'Expired'}
+                  </p>
+                </div>
+              ) : (
+                <button
+                  onClick={handleStart}
+                  className="w-full bg-slate-700 hover:bg-slate-600 text-white text-sm font-bold py-2 rounded-lg transition-colors"
+                >
+                  Show a pairing code
+                </button>
+              )}
+              <form onSubmit={handleSubmit} className="flex gap-2">
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                  placeholder="Code from the other device"
+                  className="min-w-0 flex-grow bg-slate-700/50 rounded-lg px-3 py-2 text-sm text-slate-200 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="submit"
+                  disabled={code.length !== 6 || isJoining}
+                  className="shrink-0 bg-blue-600 hover:bg-blue-500 text-white text-sm font-bold px-3 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Pair
+                </button>
+              </form>
+              {error && <p className="text-xs text-red-400">{error}</p>}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+// frontend/src/components/RoomPicker.jsx
+
+import React, { useState } from 'react';
+// eslint-disable-next-line no-unused-vars
+import { motion, AnimatePresence } from 'framer-motion';
+import { Users, Lock, LogOut, Wifi, Link2 } from 'lucide-react';
+
+// --- Room Picker ---
+// Shows the room the user is in and lets them join or create a named room. A code set
+// by whoever creates a room is required from everyone joining it afterwards. Servers
+// can turn named rooms off (`canJoin`), leaving only the network room and pairings.
+export default function RoomPicker({ room, canJoin = true, onJoin, onLeave }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [isJoining, setIsJoining] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsJoining(true);
+    const result = await onJoin(name, code);
+    setIsJoining(false);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    setError(null);
+    setName('');
+    setCode('');
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between gap-2 text-sm">
+        <span className="flex items-center gap-1.5 text-slate-400 min-w-0">
+          {room?.kind === 'named' && <Users size={14} />}
+          {room?.kind === 'paired' && <Link2 size={14} />}
+          {(!room || room.kind === 'network') && <Wifi size={14} />}
+          <span className="truncate">{room ? room.name : 'Connecting...'}</span>
+          {room?.protected && <Lock size={12} className="shrink-0" />}
+        </span>
+        {room && room.kind !== 'network' ? (
+          <button onClick={onLeave} className="shrink-0 text-xs text-slate-400 hover:text-slate-200 flex items-center gap-1">
+            <LogOut size={12} /> {room.kind === 'paired' ? 'Unpair' : 'Leave room'}
+          </button>
+        ) : canJoin && (
+          <button onClick={() => setIsOpen(!isOpen)} disabled={!room} className="shrink-0 text-xs text-blue-400 hover:underline disabled:opacity-50">
+            {isOpen ? 'Close' : 'Join a room'}
+          </button>
+        )}
+      </div>
+      <AnimatePresence>
+        {isOpen && canJoin && room?.kind === 'network' && (
+          <motion.form
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            onSubmit={handleSubmit}
+            className="overflow-hidden"
+          >
+            <div className="pt-3 space-y-2">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Room name"
+                maxLength={32}
+                className="w-full bg-slate-700/50 rounded-lg px-3 py-2 text-sm text-slate-200 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                autoFocus
+              />
+              <input
+                type="password"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="Code (optional)"
+                maxLength={64}
+                className="w-full bg-slate-700/50 rounded-lg px-3 py-2 text-sm text-slate-200 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {error && <p className="text-xs text-red-400">{error}</p>}
+              <button
+                type="submit"
+                disabled={!name.trim() || isJoining}
+                className="w-full bg-blue-600 hover:bg-blue-500 text-white text-sm font-bold py-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Join or create
+              </button>
+            </div>
+          </motion.form>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+// frontend/src/components/TextComposer.jsx
+
+import React from 'react';
+import { X } from 'lucide-react';
+import { MAX_MESSAGE_TEXT_LENGTH } from '../lib/messages';
+import { formatBytes } from '../lib/format';
+
+// --- Text Composer ---
+// The "Send text" mode of the share panel: a snippet, link or code to type or paste,
+// or a pasted image. Sent with the same button as files.
+export default function TextComposer({ text, image, onTextChange, onClearImage, onSend }) {
+  if (image) {
+    return (
+      <div className="flex-grow border-2 border-slate-600 rounded-lg p-4 flex flex-col items-center justify-center">
+        <img src={image.url} alt="Pasted" className="max-h-40 rounded-md" />
+        <p className="text-sm text-slate-400 mt-2">{image.blob.type} · {formatBytes(image.blob.size)}</p>
+        <button onClick={onClearImage} className="mt-2 text-xs text-red-400 hover:underline flex items-center gap-1">
+          <X size={12} /> Remove image
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-grow flex flex-col">
+      <textarea
+        value={text}
+        onChange={(e) => onTextChange(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) onSend();
+        }}
+        maxLength={MAX_MESSAGE_TEXT_LENGTH}
+        placeholder="Type or paste text, a link or an image..."
+        className="flex-grow min-h-40 w-full bg-slate-900/40 border-2 border-slate-600 focus:border-blue-500 rounded-lg p-3 text-sm font-mono text-slate-200 focus:outline-none resize-none"
+      />
+      <p className="text-xs text-slate-500 mt-1 text-right">Ctrl+Enter to send</p>
+    </div>
+  );
+}
@@ -0,0 +1,318 @@
+// frontend/src/components/TransferPanel.jsx
+
+import React from 'react';
+// eslint-disable-next-line no-unused-vars
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, HardDrive, AlertCircle, CheckCircle, ArrowUp, ArrowDown, WifiOff, Loader, ShieldCheck, ShieldAlert, Clock, Inbox, Pause, Play, Ban, Server, Zap, Users, Shrink } from 'lucide-react';
+import { formatBytes } from '../lib/format';
+import { ACTIVE_STATUSES, FINISHED_STATUSES } from '../lib/transfers';
+import { isShowablePreview } from '../lib/previews';
+
+const FAILURE_TEXT = {
+  corrupted: 'A file kept failing its integrity check, so it was not saved.',
+  expired: 'The request expired before it was answered.',
+  'peer-disconnected': 'The other device disconnected.',
+  'identity-mismatch': 'The connection did not use the key the other device published, so it was stopped.',
+  'relay-limit': 'The transfer went over the size limit for relayed transfers.',
+  'no-connection': 'No direct connection was possible, and this server does not relay transfers.',
+};
+
+const statusText = (transfer, peerName) => {
+  const sending = transfer.direction === 'send';
+  switch (transfer.status) {
+    case 'queued': return `Queued for ${peerName}`;
+    case 'incoming': return `${peerName} wants to send you ${transfer.manifest.files.length > 1 ? `${transfer.manifest.files.length} files` : 'a file'}`;
+    case 'requesting': return `Waiting for ${peerName} to accept...`;
+    case 'connecting': return `Connecting to ${peerName}...`;
+    case 'transferring': return sending ? `Sending to ${peerName}` : `Receiving from ${peerName}`;
+    case 'paused': return transfer.pausedBy === 'peer' ? `Paused by ${peerName}` : 'Paused';
+    case 'verifying': return `Waiting for ${peerName} to check the SHA-256...`;
+    case 'interrupted':
+      if (transfer.needsPermission) return 'Allow Zap to write to the location you picked again to continue.';
+      return sending ? `Connection lost. Waiting for ${peerName} to reconnect...` : `Connection lost. Waiting for ${peerName} to come back...`;
+    case 'completed': return sending ? `Sent to ${peerName}` : `Received from ${peerName}`;
+    case 'rejected': return sending ? `${peerName} rejected the transfer` : 'You rejected the transfer';
+    case 'cancelled': return transfer.reason === 'cancelled-by-peer' ? `${peerName} cancelled the transfer` : 'You cancelled the transfer';
+    case 'failed': return FAILURE_TEXT[transfer.reason] || 'The transfer failed.';
+    default: return '';
+  }
+};
+
+const StatusIcon = ({ transfer }) => {
+  const { status, direction, verification } = transfer;
+  if (status === 'completed') return <CheckCircle className="w-6 h-6 text-green-400" />;
+  if (status === 'cancelled') return <Ban className="w-6 h-6 text-slate-400" />;
+  if (status === 'paused') return <Pause className="w-6 h-6 text-amber-400" />;
+  if (status === 'failed' || status === 'rejected') {
+    return verification === 'corrupted' ? <ShieldAlert className="w-6 h-6 text-red-400" /> : <AlertCircle className="w-6 h-6 text-red-400" />;
+  }
+  if (status === 'interrupted') return <WifiOff className="w-6 h-6 text-amber-400 animate-pulse" />;
+  if (status === 'queued') return <Clock className="w-6 h-6 text-slate-500" />;
+  if (status === 'connecting' || status === 'requesting') return <Loader className="w-6 h-6 text-blue-400 animate-spin" />;
+  return direction === 'send'
+    ? <ArrowUp className="w-6 h-6 text-blue-400" />
+    : <ArrowDown className="w-6 h-6 text-purple-400" />;
+};
+
+// What the sender attached to its request (lib/previews.js), named after its file when there are several.
+const Preview = ({ manifest }) => {
+  const { preview } = manifest;
+  if (!isShowablePreview(preview, manifest)) return null;
+  const file = manifest.files[preview.fileIndex];
+  return (
+    <figure className="mt-2">
+      {preview.kind === 'image'
+        ? <img src={preview.data} alt={`Preview of ${file.name}`} className="max-h-48 max-w-full rounded-md bg-slate-900/50" />
+        : <pre className="max-h-40 overflow-hidden whitespace-pre-wrap break-words rounded-md bg-slate-900/50 p-2 text-xs text-slate-300 font-mono">{preview.data}</pre>}
+      {manifest.files.length > 1 && <figcaption className="mt-1 text-xs text-slate-500 truncate">{file.path}</figcaption>}
+    </figure>
+  );
+};
+
+const TransferItem = ({ transfer, peer, onAccept, onReject, onCancel, onPause, onGrantPermission }) => {
+  const { manifest, status } = transfer;
+  const peerName = peer?.name || 'the other device';
+  const currentFile = manifest.files[transfer.currentFile];
+  const showProgress = ['transferring', 'paused', 'verifying', 'interrupted'].includes(status);
+  const canCancel = status === 'queued' || (ACTIVE_STATUSES.includes(status) && status !== 'incoming');
+
+  return (
+    <motion.li
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: 20 }}
+      className="bg-slate-700/40 rounded-lg p-3"
+    >
+      <div className="flex items-start gap-3">
+        <div className="pt-0.5"><StatusIcon transfer={transfer} /></div>
+        <div className="flex-grow min-w-0">
+          <div className="flex justify-between gap-2">
+            <p className="font-medium text-slate-200 truncate">{manifest.label}</p>
+            <span className="shrink-0 text-xs text-slate-400 pt-0.5">
+              {manifest.files.length > 1 && `${manifest.files.length} files · `}{formatBytes(manifest.totalSize)}
+            </span>
+          </div>
+          <p className="text-xs text-slate-400">
+            {peer?.emoji && <span className="mr-1">{peer.emoji}</span>}
+            {statusText(transfer, peerName)}
+          </p>
+
+          {status === 'incoming' && <Preview manifest={manifest} />}
+
+          {status === 'incoming' && manifest.files.length > 1 && (
+            <ul className="mt-2 max-h-24 overflow-y-auto text-xs text-slate-400 space-y-0.5">
+              {manifest.files.map(f => (
+                <li key={f.path} className="flex justify-between gap-2">
+                  <span className="truncate">{f.path}</span>
+                  <span className="shrink-0">{formatBytes(f.size)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {showProgress && (
+            <div className="mt-2">
+              {manifest.files.length > 1 && currentFile && status === 'transferring' && (
+                <div className="flex justify-between text-xs text-slate-500 mb-1">
+                  <span className="truncate">{currentFile.path}</span>
+                  <span className="shrink-0 pl-2">{transfer.currentFile + 1} / {manifest.files.length}</span>
+                </div>
+              )}
+              <div className="w-full bg-slate-700 rounded-full h-1.5">
+                <motion.div
+                  className={`h-1.5 rounded-full ${status === 'interrupted' || status === 'paused' ? 'bg-amber-400' : 'bg-gradient-to-r from-blue-500 to-purple-500'}`}
+                  initial={{ width: 0 }}
+                  animate={{ width: `${transfer.progress}%` }}
+                  transition={{ duration: 0.2, ease: 'linear' }}
+                />
+              </div>
+              <div className="flex justify-between text-xs mt-1 text-slate-500">
+                <span>{transfer.progress}%</span>
+                {transfer.compressionRatio > 0 && transfer.compressionRatio < 1 && <span className="flex items-center gap-1" title="Chunks are compressed on the way. This is how much of their size goes over the network."><Shrink size={12} /> {Math.round(transfer.compressionRatio * 100)}% of the size</span>}
+                {transfer.transport === 'relay' && <span className="flex items-center gap-1" title="No direct connection was possible, so the data goes through the Zap server."><Server size={12} /> Relayed</span>}
+                {transfer.transport === 'direct' && <span className="flex items-center gap-1"><Zap size={12} /> Direct</span>}
+              </div>
+            </div>
+          )}
+
+          {status === 'completed' && transfer.verification === 'verified' && (
+            <p className="text-green-400 text-xs flex items-center gap-1 mt-1"><ShieldCheck size={14} /> Verified with SHA-256</p>
+          )}
+
+          {status === 'incoming' && (
+            <div className="flex gap-2 mt-3">
+              <button onClick={() => onReject(transfer.transferId)} className="flex-1 bg-slate-700 hover:bg-slate-600 text-white text-sm font-bold py-2 rounded-lg transition-colors flex items-center justify-center gap-1">
+                <X size={16} /> Reject
+              </button>
+              <button onClick={() => onAccept(transfer.transferId)} className="flex-1 bg-green-600 hover:bg-green-500 text-white text-sm font-bold py-2 rounded-lg transition-colors flex items-center justify-center gap-1">
+                <CheckCircle size={16} /> Accept
+              </button>
+            </div>
+          )}
+
+          {canCancel && (
+            <div className="flex gap-2 mt-3">
+              <button onClick={() => onCancel(transfer.transferId)} className="flex-1 bg-slate-700 hover:bg-slate-600 text-white text-sm font-bold py-2 rounded-lg transition-colors flex items-center justify-center gap-1">
+                <X size={16} /> Cancel
+              </button>
+              {(status === 'transferring' || status === 'paused') && (
+                <button onClick={() => onPause(transfer.transferId, status !== 'paused')} className="flex-1 bg-slate-700 hover:bg-slate-600 text-white text-sm font-bold py-2 rounded-lg transition-colors flex items-center justify-center gap-1">
+                  {status === 'paused' ? <><Play size={16} /> Resume</> : <><Pause size={16} /> Pause</>}
+                </button>
+              )}
+              {status === 'interrupted' && transfer.needsPermission && (
+                <button onClick={() => onGrantPermission(transfer.transferId)} className="flex-1 bg-green-600 hover:bg-green-500 text-white text-sm font-bold py-2 rounded-lg transition-colors flex items-center justify-center gap-1">
+                  <HardDrive size={16} /> Allow & Resume
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </motion.li>
+  );
+};
+
+// One line per recipient of a send to several devices.
+const RecipientRow = ({ transfer, peer, onCancel, onPause }) => {
+  const { status } = transfer;
+  const peerName = peer?.name || 'the other device';
+  const showProgress = ['transferring', 'paused', 'verifying', 'interrupted'].includes(status);
+  const canCancel = status === 'queued' || ACTIVE_STATUSES.includes(status);
+
+  return (
+    <li className="flex items-center gap-2 text-xs">
+      <span className="shrink-0 w-5 text-center">{peer?.emoji}</span>
+      <div className="flex-grow min-w-0">
+        <p className="text-slate-400 truncate">{statusText(transfer, peerName)}</p>
+        {showProgress && (
+          <div className="w-full bg-slate-700 rounded-full h-1 mt-1">
+            <div className={`h-1 rounded-full ${status === 'interrupted' || status === 'paused' ? 'bg-amber-400' : 'bg-blue-500'}`} style={{ width: `${transfer.progress}%` }} />
+          </div>
+        )}
+      </div>
+      {showProgress && <span className="shrink-0 text-slate-500 w-8 text-right">{transfer.progress}%</span>}
+      {(status === 'transferring' || status === 'paused') && (
+        <button onClick={() => onPause(transfer.transferId, status !== 'paused')} className="shrink-0 text-slate-400 hover:text-slate-200" title={status === 'paused' ? 'Resume' : 'Pause'}>
+          {status === 'paused' ? <Play size={14} /> : <Pause size={14} />}
+        </button>
+      )}
+      {canCancel && (
+        <button onClick={() => onCancel(transfer.transferId)} className="shrink-0 text-slate-400 hover:text-red-400" title={`Cancel for ${peerName}`}>
+          <X size={14} />
+        </button>
+      )}
+      {status === 'completed' && <CheckCircle size={14} className="shrink-0 text-green-400" />}
+      {(status === 'failed' || status === 'rejected') && <AlertCircle size={14} className="shrink-0 text-red-400" />}
+    </li>
+  );
+};
+
+// A send to several devices: one card, with each recipient's own status and progress.
+const TransferGroup = ({ transfers, peerFor, onCancel, onPause }) => {
+  const { manifest } = transfers[0];
+  const done = transfers.filter(t => t.status === 'completed').length;
+  const running = transfers.filter(t => ACTIVE_STATUSES.includes(t.status) || t.status === 'queued').length;
+
+  return (
+    <motion.li
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: 20 }}
+      className="bg-slate-700/40 rounded-lg p-3"
+    >
+      <div className="flex items-start gap-3">
+        <div className="pt-0.5"><Users className="w-6 h-6 text-blue-400" /></div>
+        <div className="flex-grow min-w-0">
+          <div className="flex justify-between gap-2">
+            <p className="font-medium text-slate-200 truncate">{manifest.label}</p>
+            <span className="shrink-0 text-xs text-slate-400 pt-0.5">
+              {manifest.files.length > 1 && `${manifest.files.length} files · `}{formatBytes(manifest.totalSize)}
+            </span>
+          </div>
+          <p className="text-xs text-slate-400">
+            Sending to {transfers.length} devices · {done} done{running > 0 && ` · ${running} in progress`}
+          </p>
+          <ul className="mt-2 space-y-1.5">
+            {transfers.map(transfer => (
+              <RecipientRow key={transfer.transferId} transfer={transfer} peer={peerFor(transfer)} onCancel={onCancel} onPause={onPause} />
+            ))}
+          </ul>
+        </div>
+      </div>
+    </motion.li>
+  );
+};
+
+// Transfers that share a `groupId` are listed as one entry: { key, transfers }.
+const groupTransfers = (list) => {
+  const entries = new Map();
+  for (const transfer of list) {
+    const key = transfer.groupId || transfer.transferId;
+    if (!entries.has(key)) entries.set(key, { key, transfers: [] });
+    entries.get(key).transfers.push(transfer);
+  }
+  return [...entries.values()];
+};
+
+// A group stays active while any recipient is, and is finished once all of them are.
+const sectionOf = ({ transfers }) => {
+  if (transfers.some(t => ACTIVE_STATUSES.includes(t.status))) return 'Active';
+  if (transfers.some(t => t.status === 'queued')) return 'Queued';
+  return 'Finished';
+};
+
+// --- Transfer Panel ---
+// Lists every transfer of this session: running ones first, then the queue, then the finished ones.
+export default function TransferPanel({ transfers, peerFor, onAccept, onReject, onCancel, onPause, onGrantPermission, onClearFinished }) {
+  const list = Object.values(transfers).sort((a, b) => b.createdAt - a.createdAt);
+  const entries = groupTransfers(list);
+  const sections = ['Active', 'Queued', 'Finished'].map(title => ({ title, items: entries.filter(entry => sectionOf(entry) === title) }));
+
+  return (
+    <div className="p-4 sm:p-5 border-t border-slate-700/50">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-lg font-semibold text-slate-200">Transfers</h2>
+        {list.some(t => FINISHED_STATUSES.includes(t.status)) && (
+          <button onClick={onClearFinished} className="text-xs text-slate-400 hover:text-slate-200 hover:underline">
+            Clear finished
+          </button>
+        )}
+      </div>
+      {list.length === 0 ? (
+        <div className="text-center text-slate-500 py-6 flex flex-col items-center">
+          <Inbox size={28} className="mb-2" />
+          <p className="text-sm">No transfers yet. Pick a device and some files to get started.</p>
+        </div>
+      ) : (
+        <div className="space-y-4 max-h-96 overflow-y-auto pr-2">
+          {sections.filter(section => section.items.length > 0).map(section => (
+            <section key={section.title}>
+              <h3 className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-2">{section.title}</h3>
+              <ul className="space-y-2">
+                <AnimatePresence>
+                  {section.items.map(({ key, transfers: members }) => (members.length > 1 ? (
+                    <TransferGroup key={key} transfers={members} peerFor={peerFor} onCancel={onCancel} onPause={onPause} />
+                  ) : (
+                    <TransferItem
+                      key={key}
+                      transfer={members[0]}
+                      peer={peerFor(members[0])}
+                      onAccept={onAccept}
+                      onReject={onReject}
+                      onCancel={onCancel}
+                      onPause={onPause}
+                      onGrantPermission={onGrantPermission}
+                    />
+                  )))}
+                </AnimatePresence>
+              </ul>
+            </section>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
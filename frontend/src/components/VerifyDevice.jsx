@@ -0,0 +1,61 @@
+// frontend/src/components/VerifyDevice.jsx
+
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldAlert, Shield } from 'lucide-react';
+import { safetyCode } from '../lib/identity';
+
+// --- Verify Device ---
+// Shows the safety code shared with the selected device. When both screens show the
+// same digits, the user marks the device as verified; if its key changes later, the
+// device loses its badge and this card warns about it.
+export default function VerifyDevice({ user, ownFingerprint, trust, onVerify, onUnverify }) {
+  const [code, setCode] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    if (!ownFingerprint || !user.fingerprint) return;
+    let cancelled = false;
+    safetyCode(ownFingerprint, user.fingerprint).then((value) => {
+      if (!cancelled) setCode(value);
+    });
+    return () => { cancelled = true; };
+  }, [ownFingerprint, user.fingerprint]);
+
+  if (!ownFingerprint || !user.fingerprint) {
+    return <p className="mt-3 text-xs text-slate-500 flex items-center gap-1"><Shield size={12} /> {user.nickname.name} can't be verified from this browser.</p>;
+  }
+
+  return (
+    <div className="mt-3 bg-slate-700/40 rounded-lg p-3 text-sm">
+      {trust === 'changed' && (
+        <p className="text-amber-400 text-xs flex items-start gap-1 mb-2">
+          <ShieldAlert size={14} className="shrink-0" /> {user.nickname.name} is using a different key than when you verified it. Compare the code again before sending anything.
+        </p>
+      )}
+      <div className="flex items-center justify-between gap-2">
+        <span className={`flex items-center gap-1.5 ${trust === 'verified' ? 'text-green-400' : 'text-slate-400'}`}>
+          {trust === 'verified' ? <ShieldCheck size={16} /> : <Shield size={16} />}
+          {trust === 'verified' ? 'Verified' : 'Not verified'}
+        </span>
+        <button onClick={() => setIsOpen(!isOpen)} className="text-xs text-blue-400 hover:underline">
+          {isOpen ? 'Hide safety code' : 'Show safety code'}
+        </button>
+      </div>
+      {isOpen && (
+        <div className="mt-3 text-center">
+          <p className="text-xs text-slate-400">Check that {user.nickname.name} sees the same code for you:</p>
+          <p className="text-2xl font-mono font-bold tracking-widest text-slate-100 my-2">{code || '···· ···· ····'}</p>
+          {trust === 'verified' ? (
+            <button onClick={() => onUnverify(user)} className="w-full bg-slate-700 hover:bg-slate-600 text-white text-sm font-bold py-2 rounded-lg transition-colors">
+              Remove verification
+            </button>
+          ) : (
+            <button onClick={() => { onVerify(user); setIsOpen(false); }} disabled={!code} className="w-full bg-green-600 hover:bg-green-500 text-white text-sm font-bold py-2 rounded-lg transition-colors disabled:opacity-50">
+              The codes match
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
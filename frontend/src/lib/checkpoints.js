@@ -0,0 +1,76 @@
+// frontend/src/lib/checkpoints.js
+
+import { openDb, requestToPromise, transactionDone } from './db';
+
+// --- Receiver Checkpoints ---
+// A checkpoint records which chunk the receiver expects next, and survives a page
+// reload. The IndexedDB sink also keeps the received chunks here until a file is complete.
+
+const CHECKPOINT_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+
+const fileRange = (transferId, fileIndex) => IDBKeyRange.bound([transferId, fileIndex, 0], [transferId, fileIndex, Infinity]);
+// Arrays sort after numbers, so [transferId, []] is above every chunk key of the transfer.
+const transferRange = (transferId) => IDBKeyRange.bound([transferId], [transferId, []]);
+
+export const saveCheckpoint = async (checkpoint) => {
+  const db = await openDb();
+  const tx = db.transaction('checkpoints', 'readwrite');
+  tx.objectStore('checkpoints').put({ ...checkpoint, updatedAt: Date.now() });
+  return transactionDone(tx);
+};
+
+export const getCheckpoint = async (transferId) => {
+  const db = await openDb();
+  return requestToPromise(db.transaction('checkpoints').objectStore('checkpoints').get(transferId));
+};
+
+// Returns unfinished transfers, newest first. Stale ones are dropped on the way.
+export const getPendingCheckpoints = async () => {
+  const db = await openDb();
+  const all = await requestToPromise(db.transaction('checkpoints').objectStore('checkpoints').getAll());
+  const now = Date.now();
+  const stale = all.filter(c => now - c.updatedAt > CHECKPOINT_MAX_AGE);
+  await Promise.all(stale.map(c => deleteCheckpoint(c.transferId)));
+  return all.filter(c => !stale.includes(c)).sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// Chunks are keyed by position, so writing one again after a resume just replaces it.
+export const putChunk = async (transferId, fileIndex, chunkIndex, payload) => {
+  const db = await openDb();
+  const tx = db.transaction('chunks', 'readwrite');
+  tx.objectStore('chunks').put(new Blob([payload]), [transferId, fileIndex, chunkIndex]);
+  return transactionDone(tx);
+};
+
+export const readFileBlob = async (transferId, fileIndex, type) => {
+  const db = await openDb();
+  const chunks = await requestToPromise(db.transaction('chunks').objectStore('chunks').getAll(fileRange(transferId, fileIndex)));
+  return new Blob(chunks, { type });
+};
+
+export const deleteFileChunks = async (transferId, fileIndex) => {
+  const db = await openDb();
+  const tx = db.transaction('chunks', 'readwrite');
+  tx.objectStore('chunks').delete(fileRange(transferId, fileIndex));
+  return transactionDone(tx);
+};
+
+export const deleteCheckpoint = async (transferId) => {
+  const db = await openDb();
+  const tx = db.transaction(['chunks', 'checkpoints'], 'readwrite');
+  tx.objectStore('chunks').delete(transferRange(transferId));
+  tx.objectStore('checkpoints').delete(transferId);
+  return transactionDone(tx);
+};
+
+// Progress fields for the UI, derived from a checkpoint.
+export const checkpointProgress = (checkpoint) => {
+  const { manifest, fileIndex, chunkIndex, chunkSize, receivedBytes } = checkpoint;
+  const file = manifest.files[fileIndex];
+  const fileBytes = file ? Math.min(chunkIndex * (chunkSize || 0), file.size) : 0;
+  return {
+    currentFile: Math.min(fileIndex, manifest.files.length - 1),
+    progress: manifest.totalSize ? Math.round((receivedBytes / manifest.totalSize) * 100) : 100,
+    fileProgress: file && file.size ? Math.round((fileBytes / file.size) * 100) : 100,
+  };
+};
@@ -0,0 +1,52 @@
+// frontend/src/lib/compression.js
+
+// --- Chunk Compression ---
+// Senders may compress chunks with CompressionStream when the receiver can take them:
+// the receiver lists the formats it can decompress in `file-accept`, and the sender
+// names the one it picked in `transfer-start`. Each chunk is compressed on its own, so
+// chunks can still be verified, resent and resumed one by one (see protocol.js).
+// Files that are compressed already (images, video, archives) are sent as they are,
+// and so is the rest of a file once one of its chunks barely shrinks.
+
+export const COMPRESSION_FORMATS = ['deflate', 'gzip']; // Most preferred first
+const MIN_SAVING = 0.1; // A chunk must shrink by this share, or its file is sent raw
+
+const COMPRESSED_TYPES = [
+  /^image\/(?!svg\+xml$|bmp$)/,
+  /^video\//,
+  /^audio\/(?!wav$|x-wav$)/,
+  /^application\/(zip|gzip|x-gzip|x-bzip2|x-xz|zstd|x-7z-compressed|x-rar-compressed|vnd\.rar|java-archive|epub\+zip|vnd\.android\.package-archive)$/,
+  /^application\/vnd\.(openxmlformats-officedocument|oasis\.opendocument)\./, // Office documents are zip files
+];
+const COMPRESSED_EXTENSIONS = /\.(zip|gz|tgz|bz2|xz|zst|7z|rar|jar|apk|epub|docx|xlsx|pptx|odt|ods|odp|jpe?g|png|gif|webp|avif|heic|mp3|m4a|aac|ogg|opus|flac|mp4|m4v|mov|mkv|webm)$/i;
+
+const canUse = (Stream, format) => {
+  try {
+    new Stream(format);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// What a receiver offers in `file-accept`.
+export const supportedCompression = () => (typeof DecompressionStream === 'undefined'
+  ? []
+  : COMPRESSION_FORMATS.filter(format => canUse(DecompressionStream, format)));
+
+// The format a sender uses for a receiver that offered `offered`, or null.
+export const chooseCompression = (offered) => {
+  if (!Array.isArray(offered) || typeof CompressionStream === 'undefined') return null;
+  return COMPRESSION_FORMATS.find(format => offered.includes(format) && canUse(CompressionStream, format)) || null;
+};
+
+export const isCompressible = ({ type, name }) => !COMPRESSED_TYPES.some(pattern => pattern.test(type || '')) && !COMPRESSED_EXTENSIONS.test(name || '');
+
+export const isWorthIt = (rawSize, compressedSize) => compressedSize <= rawSize * (1 - MIN_SAVING);
+
+const transform = (data, stream) => new Response(new Blob([data]).stream().pipeThrough(stream)).arrayBuffer();
+
+export const compress = async (data, format) => transform(data, new CompressionStream(format));
+
+// Rejects for data that is not valid in `format`, as for an unknown format.
+export const decompress = async (data, format) => transform(data, new DecompressionStream(format));
@@ -0,0 +1,55 @@
+// frontend/src/lib/config.js
+
+// --- Runtime Configuration ---
+// ICE servers, limits and feature toggles come from the server (GET /api/config, see
+// backend/config.js), so one build works on any network. Only the server's own address
+// is fixed at build time. Until the config has loaded, the defaults below apply.
+
+export const SERVER_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:5000';
+
+export const DEFAULT_CONFIG = {
+  iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
+  credentialsExpireAt: null, // When the TURN credentials in iceServers run out
+  chunkSize: 256 * 1024,
+  maxFileSize: null,
+  allowedFileTypes: [],
+  maxPreviewSize: 0, // No previews for a server that doesn't say how large they may be
+  features: { rooms: true, pairing: true, relay: true, messages: true },
+};
+
+let current = DEFAULT_CONFIG;
+
+// The config in use. Code that runs outside React (senders, relay connections) reads it here.
+export const getConfig = () => current;
+
+export const loadConfig = async () => {
+  const response = await fetch(`${SERVER_URL}/api/config`, { cache: 'no-store' });
+  if (!response.ok) throw new Error(`The server answered ${response.status}`);
+  const loaded = await response.json();
+  current = { ...DEFAULT_CONFIG, ...loaded, features: { ...DEFAULT_CONFIG.features, ...loaded.features } };
+  return current;
+};
+
+// The same check as the server's: by MIME type ("image/*", "application/pdf") or extension (".zip").
+const isAllowedType = (config, file) => {
+  if (config.allowedFileTypes.length === 0) return true;
+  const mime = (file.type || '').toLowerCase();
+  const name = file.name.toLowerCase();
+  return config.allowedFileTypes.some((allowed) => {
+    if (allowed.startsWith('.')) return name.endsWith(allowed);
+    if (allowed.endsWith('/*')) return mime.startsWith(allowed.slice(0, -1));
+    return mime === allowed;
+  });
+};
+
+// Splits a selection ([{ file, path }]) into what the server accepts and what it would refuse.
+export const checkSelection = (selection, config = current) => {
+  const accepted = [];
+  const refused = [];
+  for (const item of selection) {
+    if (config.maxFileSize && item.file.size > config.maxFileSize) refused.push({ ...item, reason: 'too large' });
+    else if (!isAllowedType(config, item.file)) refused.push({ ...item, reason: 'file type not allowed' });
+    else accepted.push(item);
+  }
+  return { accepted, refused };
+};
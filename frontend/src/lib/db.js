@@ -0,0 +1,58 @@
+// frontend/src/lib/db.js
+
+// --- IndexedDB Access ---
+// A single "zap" database holds everything the app keeps on the device.
+// Bump DB_VERSION and add to `upgrade` when a new store is needed.
+
+const DB_NAME = 'zap';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+const upgrade = (db) => {
+  // Receiver-side checkpoints for resumable transfers, keyed by transfer ID.
+  if (!db.objectStoreNames.contains('checkpoints')) {
+    db.createObjectStore('checkpoints', { keyPath: 'transferId' });
+  }
+  // Received chunks, keyed by [transferId, fileIndex, chunkIndex].
+  if (!db.objectStoreNames.contains('chunks')) {
+    db.createObjectStore('chunks');
+  }
+  // This device's WebRTC certificate, i.e. its device key, under the key 'certificate'.
+  if (!db.objectStoreNames.contains('identity')) {
+    db.createObjectStore('identity');
+  }
+  // Devices the user compared safety codes with, keyed by who they are (see lib/identity).
+  if (!db.objectStoreNames.contains('verifiedDevices')) {
+    db.createObjectStore('verifiedDevices', { keyPath: 'key' });
+  }
+  // Finished transfers, keyed by transfer ID (see lib/history).
+  if (!db.objectStoreNames.contains('history')) {
+    db.createObjectStore('history', { keyPath: 'transferId' }).createIndex('finishedAt', 'finishedAt');
+  }
+};
+
+export const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry if opening failed (e.g. private browsing).
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
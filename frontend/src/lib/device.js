@@ -0,0 +1,63 @@
+// frontend/src/lib/device.js
+
+// --- Device ---
+// A browser remembers a random secret and its nickname, so after a reload or a dropped
+// connection the server recognises it as the same device (it publishes a hash of the
+// secret as the device ID) and peers see the same name. Only one tab at a time owns
+// the saved device; further tabs get one of their own that lasts as long as the tab.
+
+const STORAGE_KEY = 'zap-device';
+
+let devicePromise = null;
+
+const randomSecret = () => Array.from(crypto.getRandomValues(new Uint8Array(32)), b => b.toString(16).padStart(2, '0')).join('');
+
+// The first tab takes a lock it holds until it closes; the others fall back to sessionStorage.
+const claimStorage = () => new Promise((resolve) => {
+  if (!navigator.locks) {
+    resolve(localStorage);
+    return;
+  }
+  navigator.locks.request(STORAGE_KEY, { ifAvailable: true }, (lock) => {
+    resolve(lock ? localStorage : sessionStorage);
+    return lock ? new Promise(() => {}) : undefined;
+  }).catch(() => resolve(localStorage));
+});
+
+const readDevice = (storage) => {
+  try {
+    const device = JSON.parse(storage.getItem(STORAGE_KEY));
+    if (/^[0-9a-f]{64}$/.test(device?.secret) && device.nickname?.name) return device;
+  } catch {
+    // Unreadable, start over
+  }
+  return null;
+};
+
+const writeDevice = (storage, device) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ secret: device.secret, nickname: device.nickname }));
+  } catch {
+    // Storage is full or blocked; the device only lasts for this page then.
+  }
+};
+
+// Resolves with { secret, nickname }, creating the device with `fallbackNickname` on
+// first use. Loaded once per page.
+export const loadDevice = (fallbackNickname) => {
+  if (!devicePromise) {
+    devicePromise = claimStorage().then((storage) => {
+      const device = readDevice(storage) || { secret: randomSecret(), nickname: fallbackNickname };
+      writeDevice(storage, device);
+      return { ...device, storage };
+    });
+  }
+  return devicePromise;
+};
+
+export const saveNickname = async (nickname) => {
+  if (!devicePromise) return;
+  const device = await devicePromise;
+  device.nickname = nickname;
+  writeDevice(device.storage, device);
+};
@@ -0,0 +1,82 @@
+// frontend/src/lib/files.js
+
+// --- File Collection Helpers ---
+// Every selected file is kept as { file, path } where `path` is the path relative
+// to whatever the user picked (a plain file name, or "folder/sub/file.txt").
+
+const readAllEntries = (reader) => new Promise((resolve, reject) => {
+  const entries = [];
+  // readEntries() only returns a batch at a time, so keep reading until it is empty.
+  const readBatch = () => {
+    reader.readEntries((batch) => {
+      if (batch.length === 0) return resolve(entries);
+      entries.push(...batch);
+      readBatch();
+    }, reject);
+  };
+  readBatch();
+});
+
+const entryToFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkEntry = async (entry, parentPath = '') => {
+  const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+  if (entry.isFile) {
+    const file = await entryToFile(entry);
+    return [{ file, path }];
+  }
+  if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader());
+    const nested = await Promise.all(children.map(child => walkEntry(child, path)));
+    return nested.flat();
+  }
+  return [];
+};
+
+// Files from an <input type="file"> (with or without webkitdirectory).
+export const filesFromFileList = (fileList) => {
+  return Array.from(fileList || []).map(file => ({
+    file,
+    path: file.webkitRelativePath || file.name,
+  }));
+};
+
+// Files from a drop event. Directory entries are walked recursively; browsers
+// without webkitGetAsEntry() fall back to the flat FileList.
+export const filesFromDataTransfer = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+    .map(item => item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  if (entries.length === 0) return filesFromFileList(dataTransfer.files);
+
+  const nested = await Promise.all(entries.map(entry => walkEntry(entry)));
+  return nested.flat();
+};
+
+// --- Manifest ---
+// The manifest is what travels in `file-request`: names, relative paths and sizes, never content.
+export const buildManifest = (selection) => {
+  const files = selection.map(({ file, path }) => ({
+    name: file.name,
+    path,
+    size: file.size,
+    type: file.type,
+  }));
+  const totalSize = files.reduce((sum, f) => sum + f.size, 0);
+  const rootFolders = new Set(files.map(f => f.path.includes('/') ? f.path.split('/')[0] : null));
+  let label;
+  if (files.length === 1) {
+    label = files[0].name;
+  } else if (rootFolders.size === 1 && !rootFolders.has(null)) {
+    label = [...rootFolders][0];
+  } else {
+    label = `${files.length} files`;
+  }
+  return { label, totalSize, files };
+};
+
+// Browsers can't create folders from a download, so nested paths are flattened.
+export const downloadNameForPath = (path) => path.split('/').join('_');
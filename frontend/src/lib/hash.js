@@ -0,0 +1,155 @@
+// frontend/src/lib/hash.js
+
+// --- SHA-256 ---
+// WebCrypto can only hash a whole buffer at once and is missing on plain-http LAN
+// origins, so whole-file digests use this incremental implementation instead. Its
+// state can be exported into a checkpoint and picked up again after a reload.
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const INITIAL_STATE = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+const toBytes = (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return new Uint8Array(data);
+};
+
+export class Sha256 {
+  constructor(state = null) {
+    this.h = new Uint32Array(state ? state.h : INITIAL_STATE);
+    this.w = new Uint32Array(64);
+    this.buffer = new Uint8Array(64);
+    this.bufferLength = 0;
+    this.bytesHashed = 0;
+    if (state) {
+      this.buffer.set(state.buffer);
+      this.bufferLength = state.buffer.length;
+      this.bytesHashed = state.bytesHashed;
+    }
+  }
+
+  update(data) {
+    const bytes = toBytes(data);
+    let pos = 0;
+    this.bytesHashed += bytes.length;
+
+    if (this.bufferLength > 0) {
+      const take = Math.min(64 - this.bufferLength, bytes.length);
+      this.buffer.set(bytes.subarray(0, take), this.bufferLength);
+      this.bufferLength += take;
+      pos = take;
+      if (this.bufferLength === 64) {
+        this.compress(this.buffer, 0);
+        this.bufferLength = 0;
+      }
+    }
+    while (pos + 64 <= bytes.length) {
+      this.compress(bytes, pos);
+      pos += 64;
+    }
+    if (pos < bytes.length) {
+      this.buffer.set(bytes.subarray(pos), 0);
+      this.bufferLength = bytes.length - pos;
+    }
+    return this;
+  }
+
+  compress(bytes, offset) {
+    const w = this.w;
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const w15 = w[i - 15];
+      const w2 = w[i - 2];
+      const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+      const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = this.h;
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + K[i] + w[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    this.h[0] += a;
+    this.h[1] += b;
+    this.h[2] += c;
+    this.h[3] += d;
+    this.h[4] += e;
+    this.h[5] += f;
+    this.h[6] += g;
+    this.h[7] += h;
+  }
+
+  // Plain arrays and numbers, so the state can be stored in IndexedDB.
+  exportState() {
+    return {
+      h: Array.from(this.h),
+      buffer: Array.from(this.buffer.subarray(0, this.bufferLength)),
+      bytesHashed: this.bytesHashed,
+    };
+  }
+
+  // Finalises a copy, so more data can still be added to this instance afterwards.
+  digest() {
+    const final = new Sha256(this.exportState());
+    const length = this.bytesHashed;
+    const padLength = (this.bufferLength < 56 ? 56 : 120) - this.bufferLength;
+    const padding = new Uint8Array(padLength + 8);
+    const view = new DataView(padding.buffer);
+    padding[0] = 0x80;
+    view.setUint32(padLength, Math.floor(length / 0x20000000));
+    view.setUint32(padLength + 4, (length * 8) >>> 0);
+    final.update(padding);
+
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    final.h.forEach((word, i) => outView.setUint32(i * 4, word));
+    return out;
+  }
+}
+
+// --- Helpers ---
+export const SHA256_LENGTH = 32;
+
+// One-shot digest of a single chunk. WebCrypto is much faster where it exists.
+export const sha256 = async (data) => {
+  if (globalThis.crypto?.subtle) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  }
+  return new Sha256().update(data).digest();
+};
+
+export const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+export const equalBytes = (a, b) => {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+};
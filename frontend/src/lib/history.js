@@ -0,0 +1,77 @@
+// frontend/src/lib/history.js
+
+import { openDb, requestToPromise, transactionDone } from './db';
+
+// --- Transfer History ---
+// One entry per finished transfer, kept in IndexedDB until the user clears it:
+// { transferId, direction, peerName, peerEmoji, peerDevice, fileName, fileCount, size,
+//   startedAt, finishedAt, duration, averageSpeed, outcome, verification, transport,
+//   compressionRatio }
+// `duration` (ms) and `averageSpeed` (bytes/s) are null for transfers that never sent data,
+// `compressionRatio` (bytes sent per byte of the files) for sends that were not compressed.
+
+// The history entry for a transfer that just reached a finished status. `startedAt`
+// is when its data started flowing, if it ever did.
+export const historyEntryFor = (transfer, startedAt, finishedAt = Date.now()) => {
+  const duration = startedAt ? Math.max(0, finishedAt - startedAt) : null;
+  return {
+    transferId: transfer.transferId,
+    direction: transfer.direction,
+    peerName: transfer.peerNickname?.name || null,
+    peerEmoji: transfer.peerNickname?.emoji || null,
+    peerDevice: transfer.peerDevice || null,
+    fileName: transfer.manifest.label,
+    fileCount: transfer.manifest.files.length,
+    size: transfer.manifest.totalSize,
+    startedAt: startedAt || null,
+    finishedAt,
+    duration,
+    averageSpeed: transfer.status === 'completed' && duration ? Math.round(transfer.manifest.totalSize / (duration / 1000)) : null,
+    outcome: transfer.status,
+    verification: transfer.verification || null,
+    transport: transfer.transport || null,
+    compressionRatio: transfer.compressionRatio ?? null,
+  };
+};
+
+export const saveHistoryEntry = async (entry) => {
+  const db = await openDb();
+  const tx = db.transaction('history', 'readwrite');
+  tx.objectStore('history').put(entry);
+  return transactionDone(tx);
+};
+
+// Newest first.
+export const getHistory = async () => {
+  const db = await openDb();
+  const entries = await requestToPromise(db.transaction('history').objectStore('history').index('finishedAt').getAll());
+  return entries.reverse();
+};
+
+export const clearHistory = async () => {
+  const db = await openDb();
+  const tx = db.transaction('history', 'readwrite');
+  tx.objectStore('history').clear();
+  return transactionDone(tx);
+};
+
+// --- Export ---
+const CSV_COLUMNS = ['transferId', 'direction', 'peerName', 'peerDevice', 'fileName', 'fileCount', 'size', 'startedAt', 'finishedAt', 'duration', 'averageSpeed', 'outcome', 'verification', 'transport', 'compressionRatio'];
+const TIME_COLUMNS = ['startedAt', 'finishedAt'];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  // Quote anything a spreadsheet could misread, and neutralise formulas.
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) || safe !== text ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+export const historyToCsv = (entries) => [
+  CSV_COLUMNS.join(','),
+  ...entries.map(entry => CSV_COLUMNS.map(column => csvValue(
+    TIME_COLUMNS.includes(column) && entry[column] ? new Date(entry[column]).toISOString() : entry[column],
+  )).join(',')),
+].join('\r\n');
+
+export const historyToJson = (entries) => JSON.stringify(entries, null, 2);
@@ -0,0 +1,102 @@
+// frontend/src/lib/identity.js
+
+import { openDb, requestToPromise, transactionDone } from './db';
+import { sha256 } from './hash';
+
+// --- Device Identity ---
+// Each browser keeps one WebRTC certificate (an ECDSA P-256 key pair) in IndexedDB and
+// uses it for every peer connection. Its SHA-256 fingerprint is what DTLS puts in the
+// offer or answer, so checking that value against the fingerprint a device published
+// in `user-joined` proves the connection ends at that device and not at whoever relays
+// the signalling. Fingerprints are kept as 64 lowercase hex digits.
+
+const CERTIFICATE_LIFETIME = 365 * 24 * 60 * 60 * 1000; // Browsers cap this; a renewed certificate is a new key
+const CERTIFICATE_RENEW_MARGIN = 24 * 60 * 60 * 1000; // Replace certificates that expire within a day
+
+let identityPromise = null;
+
+const normalizeFingerprint = (value) => value.replace(/:/g, '').toLowerCase();
+
+// Older browsers have no RTCCertificate.getFingerprints(); their offers carry it anyway.
+const fingerprintOf = async (certificate) => {
+  const fromCertificate = certificate.getFingerprints?.().find(f => f.algorithm === 'sha-256');
+  if (fromCertificate) return normalizeFingerprint(fromCertificate.value);
+  const pc = new RTCPeerConnection({ certificates: [certificate] });
+  try {
+    pc.createDataChannel('fingerprint');
+    return sdpFingerprint((await pc.createOffer()).sdp);
+  } finally {
+    pc.close();
+  }
+};
+
+const loadCertificate = async () => {
+  const db = await openDb();
+  const stored = await requestToPromise(db.transaction('identity').objectStore('identity').get('certificate'));
+  if (stored && stored.expires - Date.now() > CERTIFICATE_RENEW_MARGIN) return stored;
+
+  const certificate = await RTCPeerConnection.generateCertificate({ name: 'ECDSA', namedCurve: 'P-256', expires: CERTIFICATE_LIFETIME });
+  try {
+    const tx = db.transaction('identity', 'readwrite');
+    tx.objectStore('identity').put(certificate, 'certificate');
+    await transactionDone(tx);
+  } catch {
+    // Browsers that can't store certificates get a new key on every visit.
+  }
+  return certificate;
+};
+
+// Resolves with { certificate, fingerprint }, or with nulls where WebRTC certificates
+// are unavailable. Loaded once per page.
+export const getDeviceIdentity = () => {
+  if (!identityPromise) {
+    identityPromise = loadCertificate()
+      .then(async (certificate) => ({ certificate, fingerprint: await fingerprintOf(certificate) }))
+      .catch(() => ({ certificate: null, fingerprint: null }));
+  }
+  return identityPromise;
+};
+
+// The DTLS fingerprint an offer or answer commits to, if it uses SHA-256.
+export const sdpFingerprint = (sdp) => {
+  const match = /^a=fingerprint:sha-256 ([0-9A-Fa-f:]+)\s*$/im.exec(sdp || '');
+  return match ? normalizeFingerprint(match[1]) : null;
+};
+
+// --- Safety Codes ---
+// Both devices derive the same 12 digits from their two fingerprints. If the server
+// handed either of them a forged fingerprint, the codes on the two screens differ.
+export const safetyCode = async (fingerprintA, fingerprintB) => {
+  const [first, second] = [fingerprintA, fingerprintB].sort();
+  const digest = await sha256(new TextEncoder().encode(`${first}:${second}`));
+  const view = new DataView(digest.buffer, digest.byteOffset, digest.byteLength);
+  return [0, 4, 8].map(offset => String(view.getUint32(offset) % 10000).padStart(4, '0')).join(' ');
+};
+
+// --- Verified Devices ---
+// Keyed by device ID (see lib/device), which stays the same across visits and renames.
+export const getVerifiedDevices = async () => {
+  const db = await openDb();
+  return requestToPromise(db.transaction('verifiedDevices').objectStore('verifiedDevices').getAll());
+};
+
+export const saveVerifiedDevice = async ({ deviceId, nickname, fingerprint }) => {
+  const db = await openDb();
+  const tx = db.transaction('verifiedDevices', 'readwrite');
+  tx.objectStore('verifiedDevices').put({ key: deviceId, nickname, fingerprint, verifiedAt: Date.now() });
+  return transactionDone(tx);
+};
+
+export const deleteVerifiedDevice = async (key) => {
+  const db = await openDb();
+  const tx = db.transaction('verifiedDevices', 'readwrite');
+  tx.objectStore('verifiedDevices').delete(key);
+  return transactionDone(tx);
+};
+
+// 'verified' when the device still has the key it was verified with, 'changed' when it
+// shows up with another one, null when it was never verified.
+export const trustState = (verifiedDevice, fingerprint) => {
+  if (!verifiedDevice) return null;
+  return verifiedDevice.fingerprint === fingerprint ? 'verified' : 'changed';
+};
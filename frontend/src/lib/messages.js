@@ -0,0 +1,51 @@
+// frontend/src/lib/messages.js
+
+// --- Messages ---
+// Text snippets and small images skip the transfer flow: they go through the server
+// in one socket event and show up on the other side right away. The server refuses
+// anything larger (see the `message` schema in backend/validation.js); bigger images
+// are sent as files instead.
+export const MAX_MESSAGE_TEXT_LENGTH = 64 * 1024;
+export const MAX_MESSAGE_IMAGE_SIZE = 2 * 1024 * 1024;
+
+const LINK_PATTERN = /\bhttps?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)\]}]/gi;
+
+// Splits text into plain parts and links: [{ text, href? }].
+export const linkify = (text) => {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(LINK_PATTERN)) {
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    parts.push({ text: match[0], href: match[0] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+};
+
+// What a paste event carries: { text, images }.
+export const readClipboard = (clipboardData) => ({
+  text: clipboardData.getData('text/plain'),
+  images: Array.from(clipboardData.files || []).filter(file => file.type.startsWith('image/')),
+});
+
+const toPng = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return new Promise((resolve, reject) => canvas.toBlob(png => (png ? resolve(png) : reject(new Error('Could not convert the image'))), 'image/png'));
+};
+
+// Copies a message's text, or its image where the browser can put images on the clipboard.
+export const copyMessage = async (message) => {
+  if (message.text) {
+    await navigator.clipboard.writeText(message.text);
+    return;
+  }
+  // Clipboards only take PNG reliably.
+  const blob = message.image.blob.type === 'image/png' ? message.image.blob : await toPng(message.image.blob);
+  await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+};
@@ -0,0 +1,148 @@
+// frontend/src/lib/previews.js
+
+// --- Previews ---
+// A transfer request can carry a preview of one of its files (manifest.preview), so the
+// receiver sees what it is about to accept: a JPEG thumbnail of an image, of a frame
+// near the start of a video or of a PDF's first page, or the first lines of a text file.
+// Other files have none. The server refuses previews over its maxPreviewSize, so
+// thumbnails are made smaller until they fit, and left out when they don't.
+
+const THUMBNAIL_SIZE = 320; // px, longest side
+const THUMBNAIL_QUALITIES = [0.8, 0.6, 0.4];
+const MAX_IMAGE_BYTES = 32 * 1024 * 1024; // Decoding anything larger holds up the request too long
+const VIDEO_FRAME_TIMEOUT = 3000;
+const PDF_PAGE_TIMEOUT = 5000;
+const TEXT_LINES = 12;
+const TEXT_READ_BYTES = 4096;
+
+const TEXT_TYPES = /^(text\/|application\/(json|xml|javascript|x-sh|x-yaml|yaml|toml|sql)$)/;
+const TEXT_EXTENSIONS = /\.(txt|md|csv|tsv|log|json|xml|ya?ml|toml|ini|conf|cfg|js|jsx|ts|tsx|py|rb|go|rs|java|c|h|cpp|sh|sql|html|css)$/i;
+const RASTER_IMAGE_TYPES = /^image\/(jpeg|png|gif|webp|avif|bmp)$/;
+
+const kindOf = ({ type, name }) => {
+  if (RASTER_IMAGE_TYPES.test(type)) return 'image';
+  if (type.startsWith('video/')) return 'video';
+  if (type === 'application/pdf' || /\.pdf$/i.test(name)) return 'pdf';
+  if (TEXT_TYPES.test(type) || TEXT_EXTENSIONS.test(name)) return 'text';
+  return null;
+};
+
+const byteLength = text => new TextEncoder().encode(text).length;
+
+// `source` is anything drawImage takes, `width` and `height` its size.
+const thumbnail = (source, width, height, maxSize) => {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  for (const quality of THUMBNAIL_QUALITIES) {
+    const data = canvas.toDataURL('image/jpeg', quality);
+    if (data.startsWith('data:image/jpeg') && data.length <= maxSize) return data;
+  }
+  return null;
+};
+
+const imagePreview = async (file, maxSize) => {
+  if (file.size > MAX_IMAGE_BYTES) return null;
+  const bitmap = await createImageBitmap(file);
+  try {
+    return thumbnail(bitmap, bitmap.width, bitmap.height, maxSize);
+  } finally {
+    bitmap.close();
+  }
+};
+
+// Seeks a little into the video, past black opening frames, and draws the frame there.
+const videoPreview = (file, maxSize) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  const finish = (error, data) => {
+    clearTimeout(timer);
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+    if (error) reject(error);
+    else resolve(data);
+  };
+  const timer = setTimeout(() => finish(new Error('The video took too long to load')), VIDEO_FRAME_TIMEOUT);
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+  video.onloadedmetadata = () => {
+    video.currentTime = Math.min(1, (video.duration || 0) / 10);
+  };
+  video.onseeked = () => {
+    try {
+      finish(null, video.videoWidth ? thumbnail(video, video.videoWidth, video.videoHeight, maxSize) : null);
+    } catch (error) {
+      finish(error);
+    }
+  };
+  video.onerror = () => finish(new Error('The video could not be decoded'));
+  video.src = url;
+});
+
+// pdf.js is large, so it is only loaded once a PDF is offered. Its worker parses the
+// file; the first page is drawn at thumbnail size.
+const pdfPreview = async (file, maxSize) => {
+  if (file.size > MAX_IMAGE_BYTES) return null;
+  const [pdfjs, { default: workerSrc }] = await Promise.all([import('pdfjs-dist'), import('pdfjs-dist/build/pdf.worker.min.mjs?url')]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+  const task = pdfjs.getDocument({ data: await file.arrayBuffer(), isEvalSupported: false });
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('The PDF took too long to render')), PDF_PAGE_TIMEOUT);
+  });
+  const render = async () => {
+    const page = await (await task.promise).getPage(1);
+    const { width, height } = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: THUMBNAIL_SIZE / Math.max(width, height) });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.floor(viewport.width));
+    canvas.height = Math.max(1, Math.floor(viewport.height));
+    await page.render({ canvas, viewport }).promise;
+    return thumbnail(canvas, canvas.width, canvas.height, maxSize);
+  };
+  const rendering = render();
+  rendering.catch(() => {}); // Still going when the time ran out, and cut short by destroy()
+  try {
+    return await Promise.race([rendering, timeout]);
+  } finally {
+    clearTimeout(timer);
+    task.destroy();
+  }
+};
+
+const textPreview = async (file, maxSize) => {
+  const head = await file.slice(0, TEXT_READ_BYTES).text();
+  if (head.includes('\0')) return null; // Binary after all
+  let text = head.split(/\r?\n/).slice(0, TEXT_LINES).join('\n').trimEnd();
+  while (text && byteLength(text) > maxSize) text = text.slice(0, Math.floor(text.length / 2));
+  return text || null;
+};
+
+const PREVIEWERS = { image: imagePreview, video: videoPreview, pdf: pdfPreview, text: textPreview };
+
+// A preview of the first file in `selection` ([{ file, path }]) that can have one, as
+// { fileIndex, kind: 'image' | 'text', data }, or null. Never throws: a file that can't
+// be previewed is just sent without one.
+export const createPreview = async (selection, maxSize) => {
+  if (!maxSize) return null;
+  const fileIndex = selection.findIndex(({ file }) => kindOf(file));
+  if (fileIndex === -1) return null;
+  const { file } = selection[fileIndex];
+  const kind = kindOf(file);
+  try {
+    const data = await PREVIEWERS[kind](file, maxSize);
+    return data ? { fileIndex, kind: kind === 'text' ? 'text' : 'image', data } : null;
+  } catch {
+    return null;
+  }
+};
+
+// What the receiver shows, checked again: the preview came from the other device.
+export const isShowablePreview = (preview, manifest) => Boolean(preview)
+  && typeof preview.data === 'string'
+  && Number.isInteger(preview.fileIndex) && Boolean(manifest.files[preview.fileIndex])
+  && (preview.kind === 'text' || (preview.kind === 'image' && /^data:image\/(jpeg|png|webp);base64,/.test(preview.data)));
@@ -0,0 +1,56 @@
+// frontend/src/lib/protocol.js
+
+import { SHA256_LENGTH } from './hash';
+
+// --- Data Channel Framing ---
+// Control messages travel as JSON strings. File content travels as binary frames
+// with a small header so the receiver always knows which chunk it is holding and
+// can check it before storing it:
+//
+//   [u32 fileIndex][u32 chunkIndex][32-byte SHA-256 of the chunk][...payload]
+//
+// Chunk indices are what the receiver checkpoints, so a resumed transfer can
+// continue from the first chunk the receiver has not stored yet. When the sender
+// compresses a chunk (see compression.js), it sets the top bit of fileIndex; the
+// digest is always over the chunk as it is stored.
+
+export const CHUNK_HEADER_SIZE = 8 + SHA256_LENGTH;
+const COMPRESSED_BIT = 0x80000000;
+
+export const encodeChunk = (fileIndex, chunkIndex, payload, digest, compressed = false) => {
+  const frame = new Uint8Array(CHUNK_HEADER_SIZE + payload.byteLength);
+  const view = new DataView(frame.buffer);
+  view.setUint32(0, compressed ? (fileIndex | COMPRESSED_BIT) >>> 0 : fileIndex);
+  view.setUint32(4, chunkIndex);
+  frame.set(digest, 8);
+  frame.set(new Uint8Array(payload), CHUNK_HEADER_SIZE);
+  return frame.buffer;
+};
+
+export const decodeChunk = (buffer) => {
+  const view = new DataView(buffer);
+  return {
+    fileIndex: (view.getUint32(0) & ~COMPRESSED_BIT) >>> 0,
+    compressed: (view.getUint32(0) & COMPRESSED_BIT) !== 0,
+    chunkIndex: view.getUint32(4),
+    digest: new Uint8Array(buffer, 8, SHA256_LENGTH),
+    payload: buffer.slice(CHUNK_HEADER_SIZE),
+  };
+};
+
+export const encodeControl = (message) => JSON.stringify(message);
+
+export const decodeControl = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+};
+
+// --- Transfer IDs ---
+export const createTransferId = () => {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
@@ -0,0 +1,251 @@
+// frontend/src/lib/receiver.js
+
+import { decodeChunk, encodeControl, decodeControl } from './protocol';
+import { Sha256, sha256, toHex, equalBytes } from './hash';
+import { saveCheckpoint, deleteCheckpoint } from './checkpoints';
+import { decompress } from './compression';
+
+// --- Receiver Tuning ---
+const ACK_EVERY = 8; // Tell the sender after this many consumed chunks
+const MAX_INTEGRITY_RETRIES = 3; // Resend requests per file before a transfer is marked corrupted
+
+const chunkKey = (fileIndex, chunkIndex) => `${fileIndex}:${chunkIndex}`;
+
+// --- Transfer Receiver ---
+// Owns the receiver's checkpoint and sink for one transfer, across as many peer
+// connections as it takes (see `attach`). Chunks from the parallel data channels are
+// held until they are next in line, verified against their SHA-256 and written to the
+// sink in order; files are checked against the sender's whole-file digest before they
+// are kept. Compressed chunks are decompressed before they are checked. Every message
+// is handled through one queue, so writes never interleave.
+export class TransferReceiver {
+  constructor({ checkpoint, sink, onStart, onProgress, onComplete, onFailed, onPause, onCancelled, onLog }) {
+    this.checkpoint = checkpoint;
+    this.sink = sink;
+    this.callbacks = { onStart, onProgress, onComplete, onFailed, onPause, onCancelled, onLog };
+    this.queue = Promise.resolve();
+    this.session = null;
+    this.paused = false;
+    this.finished = false;
+  }
+
+  // Only sinks that survive a reload have checkpoints worth saving.
+  async persist(checkpoint) {
+    if (this.sink.persistent) await saveCheckpoint(checkpoint);
+  }
+
+  update(checkpoint) {
+    this.checkpoint = checkpoint;
+    this.callbacks.onProgress?.(checkpoint);
+  }
+
+  setPeer(from) {
+    this.checkpoint = { ...this.checkpoint, from };
+  }
+
+  // Takes over the data channels of a new peer connection. Out-of-order chunks and
+  // file trailers belong to the connection they arrived on.
+  attach(pc) {
+    const session = { pending: new Map(), fileEnds: new Map(), transferEnded: false, consumed: 0, acked: 0, control: null };
+    this.session = session;
+    this.paused = false; // A new connection starts a fresh sender
+    pc.ondatachannel = ({ channel }) => {
+      channel.binaryType = 'arraybuffer';
+      if (channel.label === 'zap-control') session.control = channel;
+      channel.onmessage = (e) => {
+        this.queue = this.queue
+          .then(() => this.handle(session, e.data))
+          .catch(error => this.fail('error', `Failed to store received data: ${error.message}`));
+      };
+    };
+  }
+
+  send(session, message) {
+    if (session.control?.readyState === 'open') session.control.send(encodeControl(message));
+  }
+
+  ack(session, force = false) {
+    if (force || session.consumed - session.acked >= ACK_EVERY) {
+      this.send(session, { type: 'ack', consumed: session.consumed });
+      session.acked = session.consumed;
+    }
+  }
+
+  isBehind({ fileIndex, chunkIndex }) {
+    const { checkpoint } = this;
+    return fileIndex < checkpoint.fileIndex || (fileIndex === checkpoint.fileIndex && chunkIndex < checkpoint.chunkIndex);
+  }
+
+  async handle(session, data) {
+    if (session !== this.session || this.finished) return;
+
+    // Control messages arrive as JSON strings, file content as binary chunk frames.
+    if (typeof data === 'string') {
+      const message = decodeControl(data);
+      if (!message) return;
+      if (message.type === 'transfer-start') {
+        // A resumed transfer keeps the chunk size its checkpoint was counted in, and
+        // the same sender keeps its compression.
+        if (!this.checkpoint.chunkSize) {
+          this.checkpoint = { ...this.checkpoint, chunkSize: message.chunkSize, compression: message.compression || null };
+          await this.persist(this.checkpoint);
+        }
+        this.callbacks.onStart?.(this.checkpoint);
+      } else if (message.type === 'file-end') {
+        session.fileEnds.set(message.index, message);
+      } else if (message.type === 'transfer-end') {
+        session.transferEnded = true;
+      } else if (message.type === 'transfer-failed') {
+        await this.fail(message.reason, `The sender stopped the transfer (${message.reason}).`, false);
+        return;
+      } else if (message.type === 'transfer-pause' || message.type === 'transfer-continue') {
+        this.setPaused(message.type === 'transfer-pause', true);
+      } else if (message.type === 'transfer-cancel') {
+        await this.abort();
+        this.callbacks.onCancelled?.();
+        return;
+      }
+    } else {
+      const frame = decodeChunk(data);
+      if (this.isBehind(frame)) {
+        session.consumed += 1; // Already written before a resume or a resend
+      } else {
+        session.pending.set(chunkKey(frame.fileIndex, frame.chunkIndex), frame);
+      }
+    }
+
+    await this.drain(session);
+    this.ack(session);
+  }
+
+  // Writes everything that is next in line, file by file.
+  async drain(session) {
+    while (!this.finished) {
+      const checkpoint = this.checkpoint;
+      const { manifest, chunkSize } = checkpoint;
+      if (!chunkSize) return;
+      if (checkpoint.fileIndex >= manifest.files.length) {
+        if (session.transferEnded) await this.complete(session);
+        return;
+      }
+
+      const entry = manifest.files[checkpoint.fileIndex];
+      const chunkCount = Math.ceil(entry.size / chunkSize);
+      await this.sink.openFile(checkpoint.fileIndex, Math.min(checkpoint.chunkIndex * chunkSize, entry.size));
+
+      if (checkpoint.chunkIndex < chunkCount) {
+        const key = chunkKey(checkpoint.fileIndex, checkpoint.chunkIndex);
+        const frame = session.pending.get(key);
+        if (!frame) return;
+        session.pending.delete(key);
+        session.consumed += 1;
+        const payload = frame.compressed ? await decompress(frame.payload, checkpoint.compression).catch(() => null) : frame.payload;
+        if (!payload || !equalBytes(await sha256(payload), frame.digest)) {
+          this.callbacks.onLog?.(`Chunk ${frame.chunkIndex} of ${entry.path} is corrupted. Requesting it again.`, 'error');
+          await this.requestResend(session, frame.fileIndex, frame.chunkIndex, false);
+          return;
+        }
+        await this.writeChunk({ ...frame, payload });
+        continue;
+      }
+
+      const fileEnd = session.fileEnds.get(checkpoint.fileIndex);
+      if (!fileEnd) return;
+      session.fileEnds.delete(checkpoint.fileIndex);
+      if (toHex(new Sha256(checkpoint.hashState).digest()) !== fileEnd.digest) {
+        this.callbacks.onLog?.(`${entry.path} does not match the sender's SHA-256. Requesting it again.`, 'error');
+        await this.requestResend(session, checkpoint.fileIndex, 0, true);
+        return;
+      }
+      await this.sink.closeFile();
+      const next = { ...checkpoint, fileIndex: checkpoint.fileIndex + 1, chunkIndex: 0, committedBytes: checkpoint.receivedBytes, hashState: new Sha256().exportState() };
+      await this.persist(next);
+      this.update(next);
+      this.callbacks.onLog?.(`Received and verified ${entry.path}`, 'success');
+    }
+  }
+
+  async writeChunk({ fileIndex, chunkIndex, payload }) {
+    const checkpoint = this.checkpoint;
+    await this.sink.write(chunkIndex, chunkIndex * checkpoint.chunkSize, payload);
+    const hashState = new Sha256(checkpoint.hashState).update(payload).exportState();
+    let next = { ...checkpoint, fileIndex, chunkIndex: chunkIndex + 1, receivedBytes: checkpoint.receivedBytes + payload.byteLength, hashState };
+    if (next.receivedBytes - (checkpoint.committedBytes || 0) >= this.sink.commitInterval) {
+      await this.sink.commit();
+      next = { ...next, committedBytes: next.receivedBytes };
+      await this.persist(next);
+    }
+    this.update(next);
+  }
+
+  async requestResend(session, fileIndex, chunkIndex, restartFile) {
+    const checkpoint = this.checkpoint;
+    const retries = (checkpoint.retries?.[fileIndex] || 0) + 1;
+    if (retries > MAX_INTEGRITY_RETRIES) {
+      await this.fail('corrupted', `${checkpoint.manifest.files[fileIndex].path} kept failing verification. Giving up.`);
+      return;
+    }
+    let next = { ...checkpoint, retries: { ...checkpoint.retries, [fileIndex]: retries } };
+    if (restartFile) {
+      // The written bytes don't add up to the sender's file, so throw them away and start the file over.
+      const storedBytes = Math.min(checkpoint.chunkIndex * checkpoint.chunkSize, checkpoint.manifest.files[fileIndex].size);
+      await this.sink.discardFile();
+      const receivedBytes = checkpoint.receivedBytes - storedBytes;
+      next = { ...next, chunkIndex: 0, receivedBytes, committedBytes: receivedBytes, hashState: new Sha256().exportState() };
+      // Everything held back is sent again after the rewind.
+      session.consumed += session.pending.size;
+      session.pending.clear();
+      session.fileEnds.clear();
+      session.transferEnded = false;
+    }
+    await this.persist(next);
+    this.update(next);
+    this.send(session, { type: 'chunk-resend', fileIndex, chunkIndex, restart: restartFile });
+    this.ack(session, true);
+  }
+
+  // The sender does the actual pausing; the receiver only asks for it.
+  setPaused(paused, byPeer = false) {
+    if (this.paused === paused) return;
+    this.paused = paused;
+    if (!byPeer && this.session) this.send(this.session, { type: paused ? 'transfer-pause' : 'transfer-continue' });
+    this.callbacks.onPause?.(paused, byPeer);
+  }
+
+  async cancel() {
+    if (this.session) this.send(this.session, { type: 'transfer-cancel' });
+    await this.abort();
+  }
+
+  // Ends the transfer for good: nothing received so far is kept.
+  async abort() {
+    if (this.finished) return;
+    await this.dispose();
+    await deleteCheckpoint(this.checkpoint.transferId).catch(() => {});
+  }
+
+  async complete(session) {
+    this.finished = true;
+    await deleteCheckpoint(this.checkpoint.transferId);
+    this.send(session, { type: 'transfer-complete' });
+    this.callbacks.onComplete?.();
+  }
+
+  async fail(reason, message, notifySender = true) {
+    if (this.finished) return;
+    this.finished = true;
+    this.callbacks.onLog?.(message, 'error');
+    if (notifySender && this.session) this.send(this.session, { type: 'transfer-failed', reason });
+    await this.sink.dispose().catch(() => {});
+    await deleteCheckpoint(this.checkpoint.transferId).catch(() => {});
+    this.callbacks.onFailed?.(reason);
+  }
+
+  // Drops the transfer without telling anyone, e.g. when the user discards it.
+  async dispose() {
+    this.finished = true;
+    this.session?.pending.clear(); // Chunks held back for ordering
+    this.session = null;
+    await this.sink.dispose().catch(() => {});
+  }
+}
@@ -0,0 +1,119 @@
+// frontend/src/lib/relay.js
+
+import { CHUNK_HEADER_SIZE, createTransferId } from './protocol';
+import { getConfig } from './config';
+
+// The server refuses larger relay messages (RELAY_MAX_MESSAGE_BYTES in server.js),
+// so relayed transfers negotiate the same chunk sizes as direct ones at most.
+export const relayMaxMessageSize = () => getConfig().chunkSize + CHUNK_HEADER_SIZE;
+
+const encoder = new TextEncoder();
+const byteLength = (data) => (typeof data === 'string' ? encoder.encode(data).byteLength : data.byteLength);
+
+// --- Relay Channel ---
+// Stands in for an RTCDataChannel. `bufferedAmount` counts bytes the server has not
+// forwarded yet, so the sender's usual backpressure also follows the server's pace.
+class RelayChannel {
+  constructor(connection, label, readyState) {
+    this.connection = connection;
+    this.label = label;
+    this.readyState = readyState;
+    this.binaryType = 'arraybuffer';
+    this.bufferedAmount = 0;
+    this.bufferedAmountLowThreshold = 0;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.onbufferedamountlow = null;
+  }
+
+  send(data) {
+    if (this.readyState !== 'open') throw new Error(`Relay channel ${this.label} is not open`);
+    const size = byteLength(data);
+    this.bufferedAmount += size;
+    this.connection.emit('message', this.label, data, ({ error }) => {
+      const wasAbove = this.bufferedAmount > this.bufferedAmountLowThreshold;
+      this.bufferedAmount -= size;
+      if (this.readyState !== 'open') return;
+      if (error) {
+        this.onerror?.(new Error(`Relay refused data: ${error}`));
+      } else if (wasAbove && this.bufferedAmount <= this.bufferedAmountLowThreshold) {
+        this.onbufferedamountlow?.();
+      }
+    });
+  }
+
+  handleOpen() {
+    if (this.readyState !== 'connecting') return;
+    this.readyState = 'open';
+    this.onopen?.();
+  }
+
+  handleClose() {
+    if (this.readyState === 'closed') return;
+    this.readyState = 'closed';
+    this.onclose?.();
+  }
+
+  close() {
+    if (this.readyState === 'closed') return;
+    this.connection.emit('close', this.label);
+    this.handleClose();
+  }
+}
+
+// --- Relay Connection ---
+// Carries a transfer's data channels through the Zap server over socket.io, for when
+// no direct WebRTC connection can be made. It has the parts of RTCPeerConnection that
+// TransferSender and TransferReceiver use, so both run over it unchanged. The sender
+// opens channels; the receiver learns about them through `ondatachannel`. Both ends
+// share a `connectionId`, so messages of an earlier relay of the same transfer are ignored.
+export class RelayConnection {
+  constructor(socket, transferId, connectionId = createTransferId()) {
+    this.socket = socket;
+    this.transferId = transferId;
+    this.connectionId = connectionId;
+    this.channels = new Map();
+    this.closed = false;
+    this.ondatachannel = null;
+    this.sctp = { maxMessageSize: relayMaxMessageSize() };
+    this.handleRelay = (message) => this.receive(message);
+    socket.on('relay', this.handleRelay);
+  }
+
+  emit(type, label, payload, callback = () => {}) {
+    const { transferId, connectionId } = this;
+    this.socket.emit('relay', { transferId, connectionId, type, label, payload }, (result = {}) => callback(result));
+  }
+
+  createDataChannel(label) {
+    const channel = new RelayChannel(this, label, 'connecting');
+    this.channels.set(label, channel);
+    this.emit('open', label, null, ({ error }) => {
+      if (error) channel.onerror?.(new Error(`Relay refused channel: ${error}`));
+      else channel.handleOpen();
+    });
+    return channel;
+  }
+
+  receive({ transferId, connectionId, type, label, payload }) {
+    if (this.closed || transferId !== this.transferId || connectionId !== this.connectionId) return;
+    if (type === 'open') {
+      const channel = new RelayChannel(this, label, 'open');
+      this.channels.set(label, channel);
+      this.ondatachannel?.({ channel });
+    } else if (type === 'message') {
+      this.channels.get(label)?.onmessage?.({ data: payload });
+    } else if (type === 'close') {
+      this.channels.get(label)?.handleClose();
+    }
+  }
+
+  close() {
+    if (this.closed) return;
+    this.channels.forEach(channel => channel.close());
+    this.closed = true;
+    this.socket.off('relay', this.handleRelay);
+  }
+}
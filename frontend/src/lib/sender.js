@@ -0,0 +1,280 @@
+// frontend/src/lib/sender.js
+
+import { encodeChunk, encodeControl, decodeControl, CHUNK_HEADER_SIZE } from './protocol';
+import { Sha256, sha256, toHex } from './hash';
+import { FileSource } from './sources';
+import { getConfig } from './config';
+import { compress, isCompressible, isWorthIt } from './compression';
+import { formatBytes } from './format';
+
+// --- Sender Tuning ---
+const DEFAULT_CHANNEL_COUNT = 3; // Ordered data channels per transfer, next to the control channel
+const MIN_CHUNK_SIZE = 16 * 1024; // 16KB, safe for every browser
+const MAX_BUFFERED_AMOUNT = 1024 * 1024; // Stop queueing on a channel above 1MB...
+const BUFFERED_AMOUNT_LOW = 256 * 1024; // ...and continue once it drained below 256KB
+const SEND_WINDOW_BYTES = 8 * 1024 * 1024; // Chunks the receiver has not consumed yet, at most
+const MIN_SEND_WINDOW = 32; // chunks
+
+// The largest chunk (plus frame header) the SCTP transport accepts in one message, up
+// to the server's chunk size (256KB unless configured otherwise). `sctp` is only known
+// once the remote description is set, i.e. when channels open.
+export const negotiateChunkSize = (pc) => {
+  const maxMessageSize = pc.sctp?.maxMessageSize;
+  const limit = Number.isFinite(maxMessageSize) && maxMessageSize > 0 ? maxMessageSize : 64 * 1024;
+  const size = Math.min(getConfig().chunkSize, limit - CHUNK_HEADER_SIZE);
+  // Round down to whole kilobytes to keep offsets readable in logs.
+  return Math.max(MIN_CHUNK_SIZE, Math.floor(size / 1024) * 1024);
+};
+
+// --- Transfer Sender ---
+// Sends a selection of files over one peer connection: a `zap-control` channel for
+// JSON messages and several `zap-data-N` channels for chunk frames. Chunks are spread
+// over whichever data channel has room, and the receiver puts them back in order.
+//
+// Two limits keep memory flat on both ends: each channel's `bufferedAmount` (waiting
+// for `bufferedamountlow` when it is too full) and a window of chunks the receiver
+// has acknowledged as consumed. Either side can pause the transfer or cancel it
+// with a control message. Chunks are read through `source`, which a send to several
+// devices shares between its senders (see lib/sources). With a `compression` format the
+// receiver agreed to, chunks that shrink enough go compressed (see lib/compression).
+export class TransferSender {
+  constructor({ pc, selection, source = new FileSource(selection), start = { fileIndex: 0, chunkIndex: 0 }, chunkSize = null, compression = null, channelCount = DEFAULT_CHANNEL_COUNT, onOpen, onProgress, onAllSent, onComplete, onFailed, onPause, onCancelled, onLog, onChannelError }) {
+    this.pc = pc;
+    this.selection = selection;
+    this.source = source;
+    this.chunkSize = chunkSize;
+    this.compression = compression;
+    this.compressible = selection.map(({ file }) => Boolean(compression) && isCompressible(file));
+    this.rawBytes = 0; // Chunk data sent on this connection...
+    this.wireBytes = 0; // ...and what it took on the wire
+    this.totalSize = selection.reduce((sum, { file }) => sum + file.size, 0);
+    this.callbacks = { onOpen, onProgress, onAllSent, onComplete, onFailed, onPause, onCancelled, onLog, onChannelError };
+
+    this.rewindTo = start; // Where the sequential pass (re)starts
+    this.resendQueue = []; // Single chunks the receiver could not verify
+    this.running = false;
+    this.paused = false;
+    this.closed = false;
+    this.sent = 0; // Frames sent on this connection
+    this.acked = 0; // Frames the receiver consumed
+    this.waiters = [];
+
+    const wake = () => this.wake();
+    this.control = pc.createDataChannel('zap-control', { ordered: true });
+    this.control.onopen = () => this.handleOpen();
+    this.control.onmessage = (e) => this.handleMessage(e.data);
+    this.control.onclose = wake;
+    this.control.onerror = (error) => this.callbacks.onChannelError?.(error);
+
+    this.channels = Array.from({ length: channelCount }, (_, i) => {
+      const channel = pc.createDataChannel(`zap-data-${i}`, { ordered: true });
+      channel.binaryType = 'arraybuffer';
+      channel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW;
+      channel.onbufferedamountlow = wake;
+      channel.onopen = wake;
+      channel.onclose = wake;
+      return channel;
+    });
+  }
+
+  get windowSize() {
+    return Math.max(MIN_SEND_WINDOW, Math.ceil(SEND_WINDOW_BYTES / this.chunkSize));
+  }
+
+  // Wire bytes per chunk byte so far, or null without compression.
+  get compressionRatio() {
+    return this.compression && this.rawBytes ? this.wireBytes / this.rawBytes : null;
+  }
+
+  get isOpen() {
+    return !this.closed && this.control.readyState === 'open';
+  }
+
+  wake() {
+    this.waiters.splice(0).forEach(resolve => resolve());
+  }
+
+  // Resolves once `condition` holds, re-checking whenever a channel or the receiver reports progress.
+  async waitUntil(condition) {
+    while (!condition()) {
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+  }
+
+  bytesBefore(fileIndex, chunkIndex) {
+    return this.selection.slice(0, fileIndex).reduce((sum, { file }) => sum + file.size, 0)
+      + Math.min(chunkIndex * this.chunkSize, this.selection[fileIndex]?.file.size || 0);
+  }
+
+  handleOpen() {
+    this.chunkSize = this.chunkSize || negotiateChunkSize(this.pc);
+    this.control.send(encodeControl({ type: 'transfer-start', chunkSize: this.chunkSize, channels: this.channels.length, compression: this.compression }));
+    this.callbacks.onLog?.(`Sending in ${this.chunkSize / 1024}KB chunks over ${this.channels.length} data channels${this.compression ? `, ${this.compression}-compressed where it helps` : ''}.`, 'info');
+    this.callbacks.onOpen?.(this.chunkSize);
+    this.run();
+  }
+
+  // The receiver answers with acks, resend requests and, at the end, its verification result.
+  handleMessage(data) {
+    const message = decodeControl(data);
+    if (!message) return;
+    if (message.type === 'ack') {
+      this.acked = Math.max(this.acked, message.consumed);
+      this.wake();
+    } else if (message.type === 'chunk-resend') {
+      if (message.restart) {
+        this.callbacks.onLog?.(`Receiver could not verify file ${message.fileIndex + 1}. Sending it again.`, 'error');
+        this.rewindTo = { fileIndex: message.fileIndex, chunkIndex: 0 };
+      } else {
+        this.callbacks.onLog?.(`Receiver asked for chunk ${message.chunkIndex} of file ${message.fileIndex + 1} again.`, 'error');
+        this.resendQueue.push({ fileIndex: message.fileIndex, chunkIndex: message.chunkIndex });
+      }
+      this.wake();
+      this.run();
+    } else if (message.type === 'transfer-complete') {
+      this.callbacks.onComplete?.();
+    } else if (message.type === 'transfer-failed') {
+      this.callbacks.onFailed?.(message.reason);
+    } else if (message.type === 'transfer-pause' || message.type === 'transfer-continue') {
+      this.setPaused(message.type === 'transfer-pause', true);
+    } else if (message.type === 'transfer-cancel') {
+      this.close();
+      this.callbacks.onCancelled?.();
+    }
+  }
+
+  // Holds the send loop until the transfer is continued. `byPeer` is set when the
+  // receiver asked for it, so the change isn't echoed back.
+  setPaused(paused, byPeer = false) {
+    if (this.paused === paused) return;
+    this.paused = paused;
+    if (!byPeer && this.isOpen) this.control.send(encodeControl({ type: paused ? 'transfer-pause' : 'transfer-continue' }));
+    this.wake();
+    this.callbacks.onPause?.(paused, byPeer);
+  }
+
+  cancel() {
+    if (this.isOpen) this.control.send(encodeControl({ type: 'transfer-cancel' }));
+    this.close();
+  }
+
+  // Resolves with an open data channel that has room for another chunk.
+  async nextChannel() {
+    let channel = null;
+    await this.waitUntil(() => {
+      if (!this.isOpen) return true;
+      channel = this.channels
+        .filter(c => c.readyState === 'open' && c.bufferedAmount < MAX_BUFFERED_AMOUNT)
+        .sort((a, b) => a.bufferedAmount - b.bufferedAmount)[0] || null;
+      return channel !== null;
+    });
+    return this.isOpen ? channel : null;
+  }
+
+  async readChunk(fileIndex, chunkIndex) {
+    const { size } = this.selection[fileIndex].file;
+    return this.source.read(fileIndex, Math.min(chunkIndex * this.chunkSize, size), Math.min((chunkIndex + 1) * this.chunkSize, size));
+  }
+
+  async sendFrame(fileIndex, chunkIndex, payload) {
+    const channel = await this.nextChannel();
+    if (!channel) return false;
+    const digest = await sha256(payload);
+    let data = payload;
+    if (this.compressible[fileIndex]) {
+      const compressed = await compress(payload, this.compression);
+      if (isWorthIt(payload.byteLength, compressed.byteLength)) data = compressed;
+      else this.compressible[fileIndex] = false; // Probably compressed already
+    }
+    channel.send(encodeChunk(fileIndex, chunkIndex, data, digest, data !== payload));
+    this.sent += 1;
+    this.rawBytes += payload.byteLength;
+    this.wireBytes += data.byteLength;
+    return true;
+  }
+
+  // Resends bypass the window: the receiver is holding later chunks until they arrive.
+  async flushResends() {
+    while (this.resendQueue.length > 0 && this.isOpen) {
+      const { fileIndex, chunkIndex } = this.resendQueue.shift();
+      await this.sendFrame(fileIndex, chunkIndex, await this.readChunk(fileIndex, chunkIndex));
+    }
+  }
+
+  // Sequential pass from `startIndex`/`startChunk` to the end. Returns early when the
+  // receiver wants a file again ('rewind') or the connection goes away ('closed').
+  async sendFrom(startIndex, startChunk) {
+    for (let index = startIndex; index < this.selection.length; index++) {
+      const { file } = this.selection[index];
+      const firstChunk = index === startIndex ? startChunk : 0;
+      const fileHash = new Sha256();
+      // A file resumed part-way still needs a digest over all of its bytes.
+      for (let chunk = 0; chunk < firstChunk && chunk * this.chunkSize < file.size; chunk++) {
+        fileHash.update(await this.readChunk(index, chunk));
+      }
+
+      const chunkCount = Math.ceil(file.size / this.chunkSize);
+      for (let chunkIndex = firstChunk; chunkIndex < chunkCount; chunkIndex++) {
+        if (this.rewindTo) return 'rewind';
+        await this.flushResends();
+        await this.waitUntil(() => !this.isOpen || this.rewindTo || (!this.paused && this.sent - this.acked < this.windowSize));
+        if (!this.isOpen) return 'closed';
+        if (this.rewindTo) return 'rewind';
+
+        const payload = await this.readChunk(index, chunkIndex);
+        fileHash.update(payload);
+        if (!await this.sendFrame(index, chunkIndex, payload)) return 'closed';
+
+        const offset = Math.min((chunkIndex + 1) * this.chunkSize, file.size);
+        this.callbacks.onProgress?.({
+          currentFile: index,
+          progress: this.totalSize ? Math.round((this.bytesBefore(index, chunkIndex + 1) / this.totalSize) * 100) : 100,
+          fileProgress: Math.round((offset / file.size) * 100),
+          compressionRatio: this.compressionRatio,
+        });
+      }
+      if (!this.isOpen) return 'closed';
+      this.control.send(encodeControl({ type: 'file-end', index, chunkCount, digest: toHex(fileHash.digest()) }));
+    }
+    if (!this.isOpen) return 'closed';
+    this.control.send(encodeControl({ type: 'transfer-end' }));
+    return 'done';
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      let allSent = false;
+      while (this.isOpen && (this.rewindTo || this.resendQueue.length > 0)) {
+        if (this.rewindTo) {
+          const { fileIndex, chunkIndex } = this.rewindTo;
+          this.rewindTo = null;
+          this.resendQueue = [];
+          const result = await this.sendFrom(fileIndex, chunkIndex);
+          if (result === 'closed') return;
+          if (result === 'done') allSent = true;
+        } else {
+          await this.flushResends();
+        }
+      }
+      if (allSent && this.compressionRatio !== null) {
+        this.callbacks.onLog?.(`Compression sent ${formatBytes(this.rawBytes)} as ${formatBytes(this.wireBytes)} (${Math.round(this.compressionRatio * 100)}%).`, 'info');
+      }
+      if (allSent) this.callbacks.onAllSent?.();
+    } catch (error) {
+      this.callbacks.onLog?.(`Send error: ${error}`, 'error');
+      if (this.isOpen) this.control.send(encodeControl({ type: 'transfer-failed', reason: 'error' }));
+      this.callbacks.onFailed?.('error');
+    } finally {
+      this.running = false;
+    }
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.wake();
+    [this.control, ...this.channels].forEach(channel => channel.close());
+  }
+}
@@ -0,0 +1,301 @@
+// frontend/src/lib/sinks.js
+
+import { putChunk, readFileBlob, deleteFileChunks } from './checkpoints';
+import { downloadNameForPath } from './files';
+import { createTransferId } from './protocol';
+
+// --- Receive Sinks ---
+// A sink is where received chunks go. All sinks take one file of a batch at a time:
+//
+//   openFile(fileIndex, resumeAt)     start (or continue) a file; resumeAt is a byte offset
+//   write(chunkIndex, position, data) store one verified chunk at a byte offset of the file
+//   commit()                          make everything written so far survive a reload
+//   closeFile()                       the file is complete and verified
+//   discardFile()                     the file failed verification; throw its bytes away
+//   dispose()                         the transfer ended early
+//
+// `persistent` says whether the receiver's checkpoint is worth saving at all, and
+// `commitInterval` how many bytes may be written between two commits.
+
+const FS_COMMIT_INTERVAL = 16 * 1024 * 1024; // 16MB
+const DOWNLOAD_IFRAME_LIFETIME = 60 * 1000; // Keep the download iframe around until the browser picked it up
+
+// --- File System Access API ---
+// Writes straight into a file (or a folder, for batches) the user picked. Writes go
+// to a swap file until the writable is closed, so commits close and reopen it.
+class FileSystemSink {
+  constructor(manifest, { fileHandle = null, directoryHandle = null }) {
+    this.kind = 'filesystem';
+    this.persistent = true;
+    this.commitInterval = FS_COMMIT_INTERVAL;
+    this.manifest = manifest;
+    this.fileHandle = fileHandle;
+    this.directoryHandle = directoryHandle;
+    this.handle = null;
+    this.writable = null;
+    this.fileIndex = null;
+  }
+
+  static async pick(manifest) {
+    if (manifest.files.length === 1) {
+      const fileHandle = await window.showSaveFilePicker({ suggestedName: manifest.files[0].name });
+      return new FileSystemSink(manifest, { fileHandle });
+    }
+    const directoryHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+    return new FileSystemSink(manifest, { directoryHandle });
+  }
+
+  get rootHandle() {
+    return this.fileHandle || this.directoryHandle;
+  }
+
+  async hasPermission() {
+    return (await this.rootHandle.queryPermission({ mode: 'readwrite' })) === 'granted';
+  }
+
+  // Must be called from a user gesture.
+  async requestPermission() {
+    return (await this.rootHandle.requestPermission({ mode: 'readwrite' })) === 'granted';
+  }
+
+  // Batches keep their folder structure below the picked directory.
+  async handleFor(entry) {
+    if (this.fileHandle) return this.fileHandle;
+    const parts = entry.path.split('/');
+    let directory = this.directoryHandle;
+    for (const part of parts.slice(0, -1)) {
+      directory = await directory.getDirectoryHandle(part, { create: true });
+    }
+    return directory.getFileHandle(parts[parts.length - 1], { create: true });
+  }
+
+  async openFile(fileIndex, resumeAt = 0) {
+    if (this.writable && this.fileIndex === fileIndex) return;
+    if (this.writable) await this.writable.abort();
+    this.handle = await this.handleFor(this.manifest.files[fileIndex]);
+    this.writable = await this.handle.createWritable({ keepExistingData: resumeAt > 0 });
+    if (resumeAt > 0) await this.writable.truncate(resumeAt);
+    this.fileIndex = fileIndex;
+  }
+
+  async write(chunkIndex, position, data) {
+    await this.writable.write({ type: 'write', position, data });
+  }
+
+  async commit() {
+    await this.writable.close();
+    this.writable = await this.handle.createWritable({ keepExistingData: true });
+  }
+
+  async closeFile() {
+    await this.writable.close();
+    this.writable = null;
+  }
+
+  async discardFile() {
+    if (this.writable) await this.writable.abort();
+    this.writable = null;
+  }
+
+  async dispose() {
+    await this.discardFile().catch(() => {});
+  }
+
+  toCheckpoint() {
+    return { kind: 'filesystem', fileHandle: this.fileHandle, directoryHandle: this.directoryHandle };
+  }
+}
+
+// --- Service Worker Streamed Download ---
+// Each file becomes a download whose body is a stream inside the service worker
+// (public/zap-sw.js). Chunks are handed over through a MessagePort, one per `pull`
+// from the worker's stream, so nothing piles up in memory on either side.
+class StreamSink {
+  constructor(manifest, registration) {
+    this.kind = 'stream';
+    this.persistent = false; // The browser's download can't be picked up again after a reload
+    this.commitInterval = Infinity;
+    this.manifest = manifest;
+    this.registration = registration;
+    this.download = null;
+    this.fileIndex = null;
+    this.onCancel = null;
+  }
+
+  async hasPermission() {
+    return true;
+  }
+
+  async requestPermission() {
+    return true;
+  }
+
+  async openFile(fileIndex) {
+    if (this.download && this.fileIndex === fileIndex) return;
+    const entry = this.manifest.files[fileIndex];
+    const channel = new MessageChannel();
+    const download = { port: channel.port1, credits: 0, waiters: [], cancelled: false, iframe: null };
+
+    const url = await new Promise((resolve) => {
+      download.port.onmessage = ({ data }) => {
+        if (data.type === 'ready') {
+          resolve(data.url);
+        } else if (data.type === 'pull') {
+          download.credits += 1;
+          download.waiters.shift()?.();
+        } else if (data.type === 'cancel') {
+          // The user cancelled the download in the browser.
+          download.cancelled = true;
+          download.waiters.splice(0).forEach(wake => wake());
+          this.onCancel?.();
+        }
+      };
+      this.registration.active.postMessage({
+        type: 'zap-download',
+        id: createTransferId(),
+        filename: downloadNameForPath(entry.path),
+        size: entry.size,
+        mimeType: entry.type,
+      }, [channel.port2]);
+    });
+
+    // A hidden iframe starts the download without navigating away from the app.
+    download.iframe = document.createElement('iframe');
+    download.iframe.hidden = true;
+    download.iframe.src = url;
+    document.body.appendChild(download.iframe);
+    this.download = download;
+    this.fileIndex = fileIndex;
+  }
+
+  async write(chunkIndex, position, data) {
+    const download = this.download;
+    while (download.credits === 0 && !download.cancelled) {
+      await new Promise(resolve => download.waiters.push(resolve));
+    }
+    if (download.cancelled) throw new Error('The download was cancelled.');
+    download.credits -= 1;
+    download.port.postMessage({ type: 'chunk', chunk: data }, [data]);
+  }
+
+  async commit() {}
+
+  finish(type) {
+    const { download } = this;
+    if (!download) return;
+    download.port.postMessage({ type });
+    setTimeout(() => {
+      download.iframe.remove();
+      download.port.close();
+    }, DOWNLOAD_IFRAME_LIFETIME);
+    this.download = null;
+  }
+
+  async closeFile() {
+    this.finish('end');
+  }
+
+  async discardFile() {
+    this.finish('abort');
+  }
+
+  async dispose() {
+    this.finish('abort');
+  }
+
+  toCheckpoint() {
+    return { kind: 'stream' };
+  }
+}
+
+// --- IndexedDB ---
+// Last resort for origins without the File System Access API or service workers
+// (plain-http LAN addresses). Chunks are stored as disk-backed blobs and the file
+// is downloaded once it is complete.
+class IndexedDbSink {
+  constructor(transferId, manifest) {
+    this.kind = 'indexeddb';
+    this.persistent = true;
+    this.commitInterval = 0;
+    this.transferId = transferId;
+    this.manifest = manifest;
+    this.fileIndex = null;
+  }
+
+  async hasPermission() {
+    return true;
+  }
+
+  async requestPermission() {
+    return true;
+  }
+
+  async openFile(fileIndex) {
+    this.fileIndex = fileIndex;
+  }
+
+  async write(chunkIndex, position, data) {
+    await putChunk(this.transferId, this.fileIndex, chunkIndex, data);
+  }
+
+  async commit() {}
+
+  async closeFile() {
+    const entry = this.manifest.files[this.fileIndex];
+    const blob = await readFileBlob(this.transferId, this.fileIndex, entry.type);
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = downloadNameForPath(entry.path);
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    a.remove();
+    await deleteFileChunks(this.transferId, this.fileIndex);
+  }
+
+  async discardFile() {
+    await deleteFileChunks(this.transferId, this.fileIndex);
+  }
+
+  async dispose() {}
+
+  toCheckpoint() {
+    return { kind: 'indexeddb' };
+  }
+}
+
+// --- Sink Selection ---
+let downloadWorker = null;
+
+// Registers the download service worker once. Resolves to null where service workers
+// are unavailable (they need a secure context).
+export const registerDownloadWorker = () => {
+  if (!downloadWorker) {
+    downloadWorker = ('serviceWorker' in navigator && window.isSecureContext)
+      ? navigator.serviceWorker.register(`${import.meta.env.BASE_URL}zap-sw.js`)
+        .then(() => navigator.serviceWorker.ready)
+        .catch(() => null)
+      : Promise.resolve(null);
+  }
+  return downloadWorker;
+};
+
+// Must be called from a user gesture: it may open a save dialog. Rejects with an
+// AbortError if the user dismisses the dialog.
+export const createSink = async (transferId, manifest) => {
+  if (window.showSaveFilePicker && window.showDirectoryPicker) {
+    return FileSystemSink.pick(manifest);
+  }
+  const registration = await registerDownloadWorker();
+  if (registration?.active) return new StreamSink(manifest, registration);
+  return new IndexedDbSink(transferId, manifest);
+};
+
+// Rebuilds the sink of a checkpoint saved before a reload.
+export const restoreSink = (checkpoint) => {
+  const { kind, fileHandle, directoryHandle } = checkpoint.sink || { kind: 'indexeddb' };
+  if (kind === 'filesystem') return new FileSystemSink(checkpoint.manifest, { fileHandle, directoryHandle });
+  if (kind === 'indexeddb') return new IndexedDbSink(checkpoint.transferId, checkpoint.manifest);
+  return null;
+};
@@ -0,0 +1,86 @@
+// frontend/src/lib/sources.js
+
+// --- File Sources ---
+// Where a TransferSender reads its chunks from. Sending the same selection to several
+// devices shares one source, so each part of a file comes off the disk once and is
+// handed to every sender that asks for it. Recipients may have agreed on different
+// chunk sizes, so the source reads whole blocks of BLOCK_SIZE and cuts chunks out of
+// them. A block is dropped once every sender read past it, or, when the senders drift
+// too far apart, once the cache is full; a sender that falls that far behind simply
+// reads its blocks again. A single sender reads its chunks directly.
+
+const BLOCK_SIZE = 1024 * 1024; // The largest chunk size (backend/config.js): a chunk spans two blocks at most
+const MAX_CACHED_BYTES = 64 * 1024 * 1024;
+
+export class FileSource {
+  constructor(selection, readers = 1) {
+    this.selection = selection;
+    this.readers = readers; // Senders still reading from this source
+    this.cache = new Map(); // "fileIndex:block" -> { data, size, done }, `done` counting senders past it
+    this.cachedBytes = 0;
+  }
+
+  async read(fileIndex, start, end) {
+    const { file } = this.selection[fileIndex];
+    if (this.readers <= 1 || end <= start) return file.slice(start, end).arrayBuffer();
+
+    const first = Math.floor(start / BLOCK_SIZE);
+    const last = Math.floor((end - 1) / BLOCK_SIZE);
+    const blocks = [];
+    for (let block = first; block <= last; block++) {
+      blocks.push(this.readBlock(fileIndex, block));
+      // Only the last block may have more in it for this sender.
+      if (end >= Math.min((block + 1) * BLOCK_SIZE, file.size)) this.markRead(`${fileIndex}:${block}`);
+    }
+
+    const buffers = await Promise.all(blocks);
+    const chunk = new Uint8Array(end - start);
+    let offset = 0;
+    buffers.forEach((buffer, i) => {
+      const blockStart = (first + i) * BLOCK_SIZE;
+      const part = new Uint8Array(buffer, Math.max(0, start - blockStart), Math.min(buffer.byteLength, end - blockStart) - Math.max(0, start - blockStart));
+      chunk.set(part, offset);
+      offset += part.length;
+    });
+    return chunk.buffer;
+  }
+
+  readBlock(fileIndex, block) {
+    const key = `${fileIndex}:${block}`;
+    const cached = this.cache.get(key);
+    if (cached) return cached.data;
+    const { file } = this.selection[fileIndex];
+    const start = block * BLOCK_SIZE;
+    const end = Math.min(start + BLOCK_SIZE, file.size);
+    const data = file.slice(start, end).arrayBuffer();
+    this.cache.set(key, { data, size: end - start, done: 0 });
+    this.cachedBytes += end - start;
+    // Map order is insertion order, so the oldest blocks go first.
+    for (const oldest of this.cache.keys()) {
+      if (this.cachedBytes <= MAX_CACHED_BYTES) break;
+      this.evict(oldest);
+    }
+    return data;
+  }
+
+  markRead(key) {
+    const cached = this.cache.get(key);
+    if (!cached) return;
+    cached.done += 1;
+    if (cached.done >= this.readers) this.evict(key);
+  }
+
+  evict(key) {
+    this.cachedBytes -= this.cache.get(key).size;
+    this.cache.delete(key);
+  }
+
+  // A sender finished or gave up; blocks all the others are past now are dropped.
+  release() {
+    this.readers = Math.max(0, this.readers - 1);
+    for (const [key, cached] of this.cache) {
+      // A last sender reads directly, so it leaves nothing to share.
+      if (this.readers <= 1 || cached.done >= this.readers) this.evict(key);
+    }
+  }
+}
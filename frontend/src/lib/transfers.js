@@ -0,0 +1,10 @@
+// frontend/src/lib/transfers.js
+
+// --- Transfer Statuses ---
+// Every transfer in the panel is in one of these. Sends start out 'queued' and
+// incoming requests 'incoming'; both end in one of the finished statuses.
+export const ACTIVE_STATUSES = ['incoming', 'requesting', 'connecting', 'transferring', 'paused', 'verifying', 'interrupted'];
+export const FINISHED_STATUSES = ['completed', 'failed', 'rejected', 'cancelled'];
+
+// Outgoing transfers that hold a slot (and, once accepted, a peer connection).
+export const isRunningSend = (transfer) => transfer.direction === 'send' && ACTIVE_STATUSES.includes(transfer.status);